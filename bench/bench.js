@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+* Compares cutting with and without ol.cut.skipByExtent, and cutting nested coordinates (ol.cut.cutAll) with cutting
+* flat coordinates (ol.cut.cutFlat, as the workers of readCutFeaturesAsync do), on a synthetic data set of clustered
+* multipolygons. Uses only the OpenLayers-free functions of ol-cut.js. Flattening is not timed.
+*
+* Usage: node bench/bench.js [count]
+*/
+var path = require('path');
+var cut = require(path.join(__dirname, '..', 'ol-cut.js'));
+
+var count = parseInt(process.argv[2] || '2000', 10);
+
+/**
+* Synthetic data set: clustered multipolygons of densified, jagged rings. Seeded, so runs are comparable.
+* @param {number} count Number of features.
+* @return {Array.<Array>} MultiPolygon coordinates in EPSG:4326.
+*/
+var createData = function (count) {
+	var seed = 1;
+	var random = function () {
+		seed = (seed * 16807) % 2147483647;
+		return seed / 2147483647;
+	};
+	var ring = function (cx, cy, r, n) {
+		var out = [];
+		for (var i = 0; i < n; i++) {
+			var a = -2 * Math.PI * i / n;
+			var rr = r * (0.6 + 0.4 * random());
+			var x = cx + rr * Math.cos(a);
+			out.push([x > 180 ? x - 360 : (x < -180 ? x + 360 : x), Math.max(-89, Math.min(89, cy + rr * Math.sin(a)))]);
+		}
+		out.push(out[0].slice());
+		return out;
+	};
+	var geoms = [];
+	for (var i = 0; i < count; i++) {
+		var x = -170 + 340 * random();
+		var y = -70 + 140 * random();
+		var polygons = [];
+		for (var j = 0; j < 4; j++) {
+			polygons.push([ring(x + 10 * random(), y + 10 * random(), 1 + 5 * random(), 60)]);
+		}
+		geoms.push(polygons);
+	}
+	return geoms;
+};
+
+var setups = {
+	'EPSG:4326': [null, cut.getCutLines(false)],
+	'Rotated': [[30, 50, 20], cut.getCutLines(false)],
+	'Rotated, Goode interruptions': [[30, 50, 20], cut.getCutLines(false, cut.getInterruption('goode').cutLines)]
+};
+
+var data = createData(count);
+cut.setWarningHandler(function () {});
+for (var name in setups) {
+	var results = {};
+	var line = name + ':';
+	[false, true].forEach(function (skip) {
+		cut.skipByExtent = skip;
+		var input = JSON.parse(JSON.stringify(data));
+		var start = Date.now();
+		results[skip] = input.map(function (coordinates) {
+			return cut.cutAll('MultiPolygon', coordinates, true, setups[name][0], setups[name][1], 1e-6).coordinates;
+		});
+		line += (skip ? ' skipping by extent ' : ' every line ') + (Date.now() - start) + ' ms,';
+	});
+	cut.skipByExtent = true;
+	var flats = data.map(function (coordinates) {
+		return cut.toFlat('MultiPolygon', coordinates);
+	});
+	var start = Date.now();
+	var flatResults = flats.map(function (geom) {
+		return cut.cutFlat(geom, true, setups[name][0], setups[name][1], 1e-6);
+	});
+	line += ' flat ' + (Date.now() - start) + ' ms,';
+	results.flat = flatResults.map(function (result) {
+		return cut.fromFlat(result.type, result.flat, result.ends);
+	});
+	var expected = JSON.stringify(results[true]);
+	process.stdout.write(line + ' results ' + (JSON.stringify(results[false]) == expected &&
+		JSON.stringify(results.flat) == expected ? 'match' : 'DIFFER') + '\n');
+}
+cut.setWarningHandler(null);
\ No newline at end of file
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+* Writes ol-cut.core.mjs: the OpenLayers-free part of ol-cut.js (everything before its OpenLayers 3 glue)
+* as an ES module, with ol.cut as its default export. ol-cut.mjs imports it, so run this after changing ol-cut.js.
+*
+* Usage: node bin/build-esm.js [--check]
+*
+* With --check, nothing is written: exits with 1 if ol-cut.core.mjs is not up to date.
+*/
+var fs = require('fs');
+var path = require('path');
+
+var root = path.join(__dirname, '..');
+var target = path.join(root, 'ol-cut.core.mjs');
+var source = fs.readFileSync(path.join(root, 'ol-cut.js'), 'utf8').replace(/\r\n/g, '\n');
+var glue = source.indexOf('\nif (ol.proj) {\n');
+if (glue == -1) {
+	process.stderr.write('build-esm: the OpenLayers 3 glue (if (ol.proj) {) was not found in ol-cut.js\n');
+	process.exit(2);
+}
+
+var core = source.slice(0, glue).replace(/\s+$/, '');
+// The doc comment of the glue is left out too
+if (/\*\/$/.test(core)) {
+	core = core.slice(0, core.lastIndexOf('\n/**')).replace(/\s+$/, '');
+}
+
+var out = [
+	'// Generated from ol-cut.js by bin/build-esm.js, do not edit.',
+	core,
+	'',
+	'export default ol.cut;',
+	''
+].join('\n');
+
+if (process.argv[2] == '--check') {
+	var current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+	if (current != out) {
+		process.stderr.write('build-esm: ol-cut.core.mjs is out of date, run node bin/build-esm.js\n');
+		process.exit(1);
+	}
+} else {
+	fs.writeFileSync(target, out);
+}
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+* Cuts a GeoJSON file given in EPSG:4326 with ol.cut.cutGeoJSON, and writes it in metagraticule coordinates.
+* Read it later with dataProjection set to the metagraticule created with ol.proj.rotateProjection (with the same metapole).
+*
+* Usage: node bin/cut-geojson.js input.geojson config.json [output.geojson]
+*
+* Config is a JSON object: l0, f0, lm: metapole as in ol.proj.rotateProjection (default 0, 90, 0),
+* azimuthal, cutLines: as in readCutFeatures, interruption: code of a registered interruption (eg. 'goode'),
+* errorPolicy: as in readCutFeatures (default 'throw').
+* Output is written to the standard output if no file is given. Warnings are written to the standard error.
+*/
+var fs = require('fs');
+var path = require('path');
+var cut = require(path.join(__dirname, '..', 'ol-cut.js'));
+
+var args = process.argv.slice(2);
+if (args.length < 2) {
+	process.stderr.write('Usage: node bin/cut-geojson.js input.geojson config.json [output.geojson]\n');
+	process.exit(2);
+}
+
+var input = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+var config = JSON.parse(fs.readFileSync(args[1], 'utf8'));
+var pole = [
+	typeof config.l0 === 'undefined' ? 0 : config.l0,
+	typeof config.f0 === 'undefined' ? 90 : config.f0,
+	typeof config.lm === 'undefined' ? 0 : config.lm
+];
+
+try {
+	var output = cut.cutGeoJSON(input, {
+		pole: pole[0] == 0 && pole[1] == 90 && pole[2] == 0 ? null : pole,
+		azimuthal: config.azimuthal,
+		cutLines: config.cutLines,
+		interruption: config.interruption,
+		errorPolicy: config.errorPolicy,
+		onWarning: function (feature, code, details) {
+			var id = typeof feature.id === 'undefined' ? '' : ' (feature ' + feature.id + ')';
+			process.stderr.write(code + id + '\n');
+		}
+	});
+} catch (err) {
+	process.stderr.write((err.code || 'ERROR') + ': ' + err.message + '\n');
+	process.exit(1);
+}
+
+if (args[2]) {
+	fs.writeFileSync(args[2], JSON.stringify(output));
+} else {
+	process.stdout.write(JSON.stringify(output) + '\n');
+}
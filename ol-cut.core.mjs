@@ -0,0 +1,3395 @@
+// Generated from ol-cut.js by bin/build-esm.js, do not edit.
+/**
+* ol-cut extends the global ol namespace of the ol.js build of OpenLayers 3.
+* Without it (Node, ES module bundlers), only the OpenLayers-free functions of ol.cut are defined,
+* and exported as a CommonJS module. ol-cut.core.mjs exports them as an ES module, it is generated from this file
+* by bin/build-esm.js. See ol-cut.mjs for OpenLayers 6+.
+*/
+var ol = typeof ol === 'undefined' ? {} : ol;
+
+/**
+* None of any functions or variables in this namespace
+* are meant to be called directly.
+*
+* @namespace ol.cut
+*/
+ol.cut = {};
+
+/**
+* Error of cutting.
+* @constructor
+* @extends {Error}
+* @param {string} code One of ol.cut.CutError.Code.
+* @param {string} message
+* @param {Object=} opt_details Data describing the problem.
+* @api
+*/
+ol.cut.CutError = function (code, message, opt_details) {
+	this.name = 'CutError';
+	this.code = code;
+	this.message = message;
+	this.details = opt_details || {};
+	this.stack = (new Error(message)).stack;
+};
+ol.cut.CutError.prototype = Object.create(Error.prototype);
+ol.cut.CutError.prototype.constructor = ol.cut.CutError;
+
+/**
+* Error and warning codes.
+* Errors: INVALID_CUT_LINE, CUT_FAILED (any other error while cutting, details.error is the original one).
+* Warnings: SIDE_MISMATCH (segments to connect are on different sides of a closed cut line),
+* RING_REVERSED (ring was not clockwise / counterclockwise), SLIVER_REMOVED (ring of zero area was removed),
+* HOLE_OUTSIDE (hole was not found in any ring, it was removed), EMPTY_GEOMETRY (nothing remained of a polygon).
+* CANCELLED: readCutFeaturesAsync was cancelled.
+* @enum {string}
+* @api
+*/
+ol.cut.CutError.Code = {
+	INVALID_CUT_LINE: 'INVALID_CUT_LINE',
+	CUT_FAILED: 'CUT_FAILED',
+	SIDE_MISMATCH: 'SIDE_MISMATCH',
+	RING_REVERSED: 'RING_REVERSED',
+	SLIVER_REMOVED: 'SLIVER_REMOVED',
+	HOLE_OUTSIDE: 'HOLE_OUTSIDE',
+	EMPTY_GEOMETRY: 'EMPTY_GEOMETRY',
+	CANCELLED: 'CANCELLED'
+};
+
+/**
+* Function called with warnings of the feature being cut.
+* @type {function(string, Object)|null}
+* @private
+*/
+ol.cut.warningHandler_ = null;
+
+/**
+* Reports a warning of the feature being cut.
+* @param {string} code One of ol.cut.CutError.Code.
+* @param {Object} details
+*/
+ol.cut.warn = function (code, details) {
+	if (ol.cut.warningHandler_) {
+		ol.cut.warningHandler_(code, details);
+	}
+};
+
+/**
+* Sets the function called with warnings of the feature being cut.
+* @param {function(string, Object)|null} handler Called with the code and the details of the warning. Null to ignore warnings.
+*/
+ol.cut.setWarningHandler = function (handler) {
+	ol.cut.warningHandler_ = handler;
+};
+
+/**
+* Cut line. 
+* Type can be 'parallel', 'meridian', 'greatcircle', 'smallcircle' or 'polyline'.
+* Deg is the metalatitude / metalongitude of the line.
+* Cut line starts at from, and ends at to. From must be less than to.
+* Great circle arcs run between the two points, polylines along great circle arcs between their points.
+* Small circles have center and radius (degrees), from and to are optional azimuths around the center.
+* Points and center are given in metagraticule coordinates.
+* Mode is 'split' (default, both sides are kept) or 'clip' (only the keep side is kept).
+* Keep is 1 (default: north of parallels, west of meridians, inside of small circles,
+* left of great circles from their first point) or -1 (the other side).
+* @typedef {{type: string, deg: (number|undefined), from: (number|undefined), to: (number|undefined),
+* points: (Array.<ol.Coordinate>|undefined), center: (ol.Coordinate|undefined), radius: (number|undefined),
+* mode: (string|undefined), keep: (number|undefined)}} ol.cut.CutLine
+* @api
+*/
+ol.cut.CutLine;
+
+/**
+* Great circle and small circle cut lines are parallels of a rotated graticule.
+* Returns the rotation (as in ol.cut.rotate) and the parallel. Null for meridians and parallels.
+* @param {ol.cut.CutLine} cutLine
+* @return {{l0: number, f0: number, lm: number, cutLine: ol.cut.CutLine}|null}
+*/
+ol.cut.frame = function (cutLine) {
+	if (cutLine.type == 'meridian' || cutLine.type == 'parallel') {
+		return null;
+	} else if (cutLine.type == 'greatcircle') {
+		var a = ol.cut.toVector(cutLine.points[0]);
+		var b = ol.cut.toVector(cutLine.points[1]);
+		var n = [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+		var len = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]);
+		if (len < 1e-12) {
+			throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine points', {cutLine: cutLine});
+		}
+		var l0 = Math.atan2(n[1], n[0]) * 180 / Math.PI;
+		var f0 = Math.asin(n[2] / len) * 180 / Math.PI;
+		var s = Math.atan2(len, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]) * 180 / Math.PI;
+		var lm = ol.cut.rotate(cutLine.points[0], l0, f0, 0)[0] + s / 2;
+		if (lm > 180) {
+			lm -= 360;
+		}
+		return {l0: l0, f0: f0, lm: lm, cutLine: {
+			type: 'parallel',
+			deg: 0,
+			from: -s / 2,
+			to: s / 2,
+			mode: cutLine.mode,
+			keep: cutLine.keep
+		}};
+	} else if (cutLine.type == 'smallcircle') {
+		if (!(cutLine.radius > 0 && cutLine.radius < 180)) {
+			throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine radius', {cutLine: cutLine});
+		}
+		return {l0: cutLine.center[0], f0: cutLine.center[1], lm: 0, cutLine: {
+			type: 'parallel',
+			deg: 90 - cutLine.radius,
+			from: typeof cutLine.from === 'undefined' ? -180 : cutLine.from,
+			to: typeof cutLine.to === 'undefined' ? 180 : cutLine.to,
+			mode: cutLine.mode,
+			keep: cutLine.keep
+		}};
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
+	}
+};
+
+/**
+* Unit vector of a point given in spherical coords.
+* @param {ol.Coordinate} point
+* @return {Array.<number>}
+*/
+ol.cut.toVector = function (point) {
+	var l = point[0] * Math.PI / 180;
+	var f = point[1] * Math.PI / 180;
+	return [Math.cos(f) * Math.cos(l), Math.cos(f) * Math.sin(l), Math.sin(f)];
+};
+
+/**
+* Rotates coordinates (of any nesting depth) into the graticule of frame.
+* @param {ol.Coordinate|Array} coords
+* @param {{l0: number, f0: number, lm: number}} frame
+* @param {boolean=} opt_inverse Rotate back from the graticule of frame.
+* @return {ol.Coordinate|Array}
+*/
+ol.cut.toFrame = function (coords, frame, opt_inverse) {
+	if (typeof coords[0] === 'number') {
+		return opt_inverse ? ol.cut.rotate(coords, 180 - frame.lm, frame.f0, 180 - frame.l0) :
+			ol.cut.rotate(coords, frame.l0, frame.f0, frame.lm);
+	}
+	var out = [];
+	for (var i = 0; i < coords.length; i++) {
+		out.push(ol.cut.toFrame(coords[i], frame, opt_inverse));
+	}
+	return out;
+};
+
+/**
+* Replaces polylines with great circle cut lines between their points. Does not modify cutLines.
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @return {Array.<ol.cut.CutLine>}
+*/
+ol.cut.expandCutLines = function (cutLines) {
+	var out = [];
+	for (var i = 0; i < cutLines.length; i++) {
+		if (cutLines[i].type == 'polyline') {
+			for (var j = 1; j < cutLines[i].points.length; j++) {
+				out.push({type: 'greatcircle', points: [cutLines[i].points[j - 1], cutLines[i].points[j]]});
+			}
+		} else {
+			out.push(cutLines[i]);
+		}
+	}
+	return out;
+};
+
+/**
+* Metagraticule SRS of projections created with ol.proj.rotateProjection, by code of the rotated projection.
+* @type {Object.<string, string>}
+* @private
+*/
+ol.cut.metaNames_ = {};
+
+/**
+* Metapoles (l0, f0, lm) of metagraticules created with ol.proj.rotateProjection, by SRS of the metagraticule.
+* @type {Object.<string, Array.<number>>}
+* @private
+*/
+ol.cut.metaPoles_ = {};
+
+/**
+* Registers the metagraticule SRS of a rotated projection.
+* @param {string} projCode Code of the rotated projection.
+* @param {string} metaName SRS of the metagraticule.
+*/
+ol.cut.setMetaName = function (projCode, metaName) {
+	ol.cut.metaNames_[projCode] = metaName;
+};
+
+/**
+* Sets the metapole of a metagraticule.
+* @param {string} metaName SRS of the metagraticule.
+* @param {Array.<number>} pole Longitude and latitude of the metapole, metalongitude of the midmeridian.
+*/
+ol.cut.setMetaPole = function (metaName, pole) {
+	ol.cut.metaPoles_[metaName] = pole;
+};
+
+/**
+* Returns the metapole of a metagraticule.
+* @param {string} metaName SRS of the metagraticule.
+* @return {Array.<number>|null} Longitude and latitude of the metapole, metalongitude of the midmeridian.
+* Null if it was not set.
+*/
+ol.cut.getMetaPole = function (metaName) {
+	return ol.cut.metaPoles_[metaName] ? ol.cut.metaPoles_[metaName].slice(0) : null;
+};
+
+/**
+* Returns the metagraticule SRS of a projection created with ol.proj.rotateProjection.
+* @param {ol.proj.ProjectionLike} projection Without OpenLayers 3, a code or an object with getCode().
+* @return {string|undefined}
+*/
+ol.cut.getMetaName = function (projection) {
+	projection = ol.proj ? ol.proj.get(projection) : projection;
+	if (!projection) {
+		return undefined;
+	}
+	return ol.cut.metaNames_[typeof projection === 'string' ? projection : projection.getCode()];
+};
+
+/**
+* Interruptions of a projection.
+* Azimuthal is true for azimuthal projections, cut lines are the additional boundary cuts in the metagraticule.
+* @typedef {{azimuthal: boolean, cutLines: Array.<ol.cut.CutLine>}} ol.cut.Interruption
+* @api
+*/
+ol.cut.Interruption;
+
+/**
+* Registered interruptions by projection code.
+* @type {Object.<string, ol.cut.Interruption>}
+* @private
+*/
+ol.cut.interruptions_ = {};
+
+/**
+* Registers interruptions of a projection. Used by readCutFeatures when azimuthal and cut lines are not specified.
+* Projections created with ol.proj.rotateProjection inherit interruptions of the original projection.
+* @param {string} projCode Code of the projection.
+* @param {ol.cut.Interruption} interruption
+* @api
+*/
+ol.cut.registerInterruption = function (projCode, interruption) {
+	ol.cut.interruptions_[projCode] = {
+		azimuthal: !!interruption.azimuthal,
+		cutLines: (interruption.cutLines || []).slice(0)
+	};
+};
+
+/**
+* Returns interruptions registered for a projection.
+* @param {ol.proj.ProjectionLike} projection
+* @return {ol.cut.Interruption|undefined}
+* @api
+*/
+ol.cut.getInterruption = function (projection) {
+	var code = typeof projection === 'string' ? projection : projection.getCode();
+	return ol.cut.interruptions_[code];
+};
+
+/**
+* Goode homolosine, Boggs eumorphic: interrupted at 40W in the north, at 100W, 20W and 80E in the south.
+*/
+ol.cut.registerInterruption('goode', {azimuthal: false, cutLines: [
+	{type: 'meridian', deg: -40, from: 0, to: 90},
+	{type: 'meridian', deg: -100, from: -90, to: 0},
+	{type: 'meridian', deg: -20, from: -90, to: 0},
+	{type: 'meridian', deg: 80, from: -90, to: 0}
+]});
+ol.cut.registerInterruption('boggs', ol.cut.getInterruption('goode'));
+
+/**
+* Berghaus star: five lobes in the south centered at the midmeridian.
+*/
+ol.cut.registerInterruption('berghaus', {azimuthal: true, cutLines: [
+	{type: 'meridian', deg: 180, from: -90, to: 0},
+	{type: 'meridian', deg: -108, from: -90, to: 0},
+	{type: 'meridian', deg: -36, from: -90, to: 0},
+	{type: 'meridian', deg: 36, from: -90, to: 0},
+	{type: 'meridian', deg: 108, from: -90, to: 0}
+]});
+
+/**
+* William-Olsson star: four lobes in the south.
+*/
+ol.cut.registerInterruption('williamolsson', {azimuthal: true, cutLines: [
+	{type: 'meridian', deg: 180, from: -90, to: 20},
+	{type: 'meridian', deg: -90, from: -90, to: 20},
+	{type: 'meridian', deg: 0, from: -90, to: 20},
+	{type: 'meridian', deg: 90, from: -90, to: 20}
+]});
+
+/**
+* Returns cut lines completed with the automatic antimeridian and pole line cuts. Does not modify cutLines.
+* @param {boolean|undefined} azimuthal If true, only the pole line of the antipode is added.
+* @param {Array.<ol.cut.CutLine>|undefined} cutLines
+* @param {ol.proj.ProjectionLike=} opt_projection Azimuthal and cut lines not specified are taken from
+* the interruptions registered for this projection.
+* @return {Array.<ol.cut.CutLine>}
+*/
+ol.cut.getCutLines = function (azimuthal, cutLines, opt_projection) {
+	var interruption = opt_projection && ol.cut.getInterruption(opt_projection);
+	if (interruption) {
+		azimuthal = typeof azimuthal === 'undefined' ? interruption.azimuthal : azimuthal;
+		cutLines = typeof cutLines === 'undefined' ? interruption.cutLines : cutLines;
+	}
+	var out = ol.cut.expandCutLines(cutLines || []);
+	if (!azimuthal) {
+		out.unshift({type: 'parallel', deg: -90, from: -180, to: 180});
+		out.unshift({type: 'parallel', deg: 90, from: -180, to: 180});
+		out.unshift({type: 'meridian', deg: 180, from: -90, to: 90});
+	} else {
+		out.push({type: 'parallel', deg: -90, from: -180, to: 180});
+	}
+	return out;
+};
+
+/**
+* Lobe of an interrupted projection (see ol.proj.createInterruptedProjection).
+* Extent is the range of longitudes and latitudes: [west, south, east, north]. Central is the central meridian of the lobe,
+* offset is added to the coordinates projected with the base projection.
+* @typedef {{extent: ol.Extent, central: number, offset: (ol.Coordinate|undefined)}} ol.cut.Lobe
+* @api
+*/
+ol.cut.Lobe;
+
+/**
+* Index of the first lobe containing a point.
+* @param {Array.<ol.cut.Lobe>} lobes
+* @param {ol.Coordinate} lonLat
+* @return {number} -1 if no lobe contains it.
+*/
+ol.cut.findLobe = function (lobes, lonLat) {
+	for (var i = 0; i < lobes.length; i++) {
+		var extent = lobes[i].extent;
+		if (lonLat[0] >= extent[0] && lonLat[0] <= extent[2] && lonLat[1] >= extent[1] && lonLat[1] <= extent[3]) {
+			return i;
+		}
+	}
+	return -1;
+};
+
+/**
+* Cut lines of an interrupted projection: the east and north edges of lobes, where the neighbouring lobe
+* does not continue the map (checked every degree). The antimeridian and the poles are left to the automatic cuts.
+* @param {Array.<ol.cut.Lobe>} lobes Lobes covering the sphere without overlaps.
+* @param {function(number, ol.Coordinate): ol.Coordinate} project Projects longitude and latitude with the lobe of an index.
+* @param {number} tolerance Maximum distance of points projected with both lobes on a continuous edge (projected units).
+* @return {Array.<ol.cut.CutLine>}
+*/
+ol.cut.lobeCutLines = function (lobes, project, tolerance) {
+	var out = [];
+	var neighbor = function (axis, deg, along) {
+		for (var j = 0; j < lobes.length; j++) {
+			var extent = lobes[j].extent;
+			if (extent[axis] == deg && along >= extent[1 - axis] && along <= extent[3 - axis]) {
+				return j;
+			}
+		}
+		return -1;
+	};
+	for (var i = 0; i < lobes.length; i++) {
+		// Axis 0: east edge along a meridian, axis 1: north edge along a parallel
+		for (var axis = 0; axis < 2; axis++) {
+			var extent = lobes[i].extent;
+			var deg = extent[axis + 2];
+			if (deg >= (axis ? 90 : 180)) {
+				continue;
+			}
+			var from = extent[1 - axis];
+			var to = extent[3 - axis];
+			var n = Math.max(1, Math.ceil(to - from));
+			var start = null;
+			for (var k = 0; k < n; k++) {
+				var along = from + (k + 0.5) * (to - from) / n;
+				var point = axis ? [along, deg] : [deg, along];
+				var j = neighbor(axis, deg, along);
+				var a = project(i, point);
+				var b = j == -1 ? null : project(j, point);
+				var continuous = b && Math.abs(a[0] - b[0]) <= tolerance && Math.abs(a[1] - b[1]) <= tolerance;
+				if (!continuous && start === null) {
+					start = from + k * (to - from) / n;
+				}
+				if ((continuous || k == n - 1) && start !== null) {
+					out.push({type: axis ? 'parallel' : 'meridian', deg: deg, from: start,
+						to: continuous ? from + k * (to - from) / n : to});
+					start = null;
+				}
+			}
+		}
+	}
+	return out;
+};
+
+/**
+* Cuts a geometry given in EPSG:4326 and transforms it to dest. Modifies geometry in place.
+* clone() it before, if original needs to be preserved.
+* @param {ol.geom.Geometry} geom
+* @param {ol.proj.ProjectionLike|undefined} metaName SRS of the metagraticule. Default EPSG:4326.
+* @param {ol.proj.ProjectionLike|undefined} dest Destination projection. Default EPSG:4326.
+* @param {boolean|undefined} azimuthal See readCutFeatures.
+* @param {Array.<ol.cut.CutLine>|undefined} cutLines See readCutFeatures.
+* @param {number=} opt_tolerance If set, edges are densified to follow great circles within this distance in dest.
+* @param {ol.cut.CutRecord=} opt_record If set, it is filled with the details of the cut.
+* @return {ol.geom.Geometry} Cut geometry (may be a new object).
+*/
+ol.cut.cutGeometry = function (geom, metaName, dest, azimuthal, cutLines, opt_tolerance, opt_record) {
+	if (!geom) {
+		return geom;
+	}
+	geom.clockwiseGeometry();
+	geom.transform('EPSG:4326', metaName || 'EPSG:4326');
+	return ol.cut.cutMetaGeometry(geom, metaName, dest, azimuthal, cutLines, opt_tolerance, opt_record);
+};
+
+/**
+* Details of a cut. parts: index of the original part of every part of the cut geometry (see ol.cut.parts),
+* boundary: the real edges of cut polygons in the destination projection (see ol.cut.realEdges),
+* null if no edge was added along cut lines. metaName and dest: projections of the cut.
+* anchor: label anchor, computed by ol.cut.getLabelAnchor when first needed.
+* @typedef {{parts: Array.<number>, boundary: (ol.geom.MultiLineString|null), metaName: ol.proj.ProjectionLike,
+* dest: ol.proj.ProjectionLike, anchor: (ol.geom.Point|null|undefined)}}
+*/
+ol.cut.CutRecord;
+
+/**
+* Cuts a geometry given in the metagraticule and transforms it to dest. Modifies geometry in place.
+* @param {ol.geom.Geometry} geom
+* @param {ol.proj.ProjectionLike|undefined} metaName SRS of the metagraticule. Default EPSG:4326.
+* @param {ol.proj.ProjectionLike|undefined} dest Destination projection. Default EPSG:4326.
+* @param {boolean|undefined} azimuthal See readCutFeatures.
+* @param {Array.<ol.cut.CutLine>|undefined} cutLines See readCutFeatures.
+* @param {number=} opt_tolerance If set, edges are densified to follow great circles within this distance in dest.
+* @param {ol.cut.CutRecord=} opt_record See ol.cut.cutGeometry.
+* @return {ol.geom.Geometry} Cut geometry (may be a new object).
+*/
+ol.cut.cutMetaGeometry = function (geom, metaName, dest, azimuthal, cutLines, opt_tolerance, opt_record) {
+	cutLines = ol.cut.getCutLines(azimuthal, cutLines, dest);
+	var e = 1e-6//((azimuthal && cutLines.length == 1) || (!azimuthal && cutLines.length == 3)) ? 0 : 1e-4;
+	var parts;
+	if (opt_record) {
+		parts = geom.getType() in ol.cut.depths_ ? ol.cut.parts(geom.getType(), geom.getCoordinates()) : [];
+		opt_record.parts = parts;
+		opt_record.metaName = metaName || 'EPSG:4326';
+		opt_record.dest = dest || 'EPSG:4326';
+	}
+	for (var j = 0; j < cutLines.length; j++) {
+		if (!ol.cut.skipByExtent || ol.cut.reaches(geom.getExtent(), cutLines[j], e)) {
+			geom = geom.cut(cutLines[j], e, parts);
+		}
+	}
+	return ol.cut.transformMetaGeometry(geom, metaName, dest, cutLines, e, opt_tolerance, opt_record);
+};
+
+/**
+* Transforms a cut geometry from the metagraticule to dest, densifying it before if tolerance is set.
+* Modifies geometry in place.
+* @param {ol.geom.Geometry} geom
+* @param {ol.proj.ProjectionLike|undefined} metaName SRS of the metagraticule. Default EPSG:4326.
+* @param {ol.proj.ProjectionLike|undefined} dest Destination projection. Default EPSG:4326.
+* @param {Array.<ol.cut.CutLine>} cutLines All cut lines, see ol.cut.getCutLines.
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @param {number=} opt_tolerance See ol.cut.densify.
+* @param {ol.cut.CutRecord=} opt_record If set, its boundary is set to the real edges of polygons, transformed the same way.
+* @return {ol.geom.Geometry}
+*/
+ol.cut.transformMetaGeometry = function (geom, metaName, dest, cutLines, e, opt_tolerance, opt_record) {
+	var geoms = [geom];
+	if (opt_record) {
+		var type = geom.getType();
+		var lines = type == 'Polygon' || type == 'MultiPolygon' ?
+			ol.cut.realEdges(type == 'Polygon' ? [geom.getCoordinates()] : geom.getCoordinates(), cutLines, e) : null;
+		opt_record.boundary = lines ? new ol.geom.MultiLineString(lines) : null;
+		if (lines) {
+			geoms.push(opt_record.boundary);
+		}
+	}
+	for (var i = 0; i < geoms.length; i++) {
+		if (opt_tolerance) {
+			geoms[i].densify(ol.proj.getTransform(metaName || 'EPSG:4326', dest || 'EPSG:4326'), opt_tolerance, cutLines, e);
+		}
+		geoms[i].transform(metaName || 'EPSG:4326', dest || 'EPSG:4326');
+	}
+	return geom;
+};
+
+/**
+* Nesting depth of coordinates by type, for the geometry types which can be cut in a worker.
+* @type {Object.<string, number>}
+* @private
+*/
+ol.cut.depths_ = {Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3};
+
+/**
+* Part indices of an uncut geometry: each part is its own original part. Parts are the points, line strings
+* or polygons of multipart geometries, single geometries have one part.
+* @param {string} type Geometry type.
+* @param {Array} coordinates
+* @return {Array.<number>}
+*/
+ol.cut.parts = function (type, coordinates) {
+	if (type.indexOf('Multi') != 0) {
+		return [0];
+	}
+	return coordinates.map(function (part, i) {
+		return i;
+	});
+};
+
+/**
+* Uncut geometry of a feature cut by readCutFeatures, readCutFeaturesAsync or ol.source.CutVector, in EPSG:4326.
+* Not a copy: features of an ol.source.CutVector are cut again from it by recut() or recutFeature().
+* @param {ol.Feature} feature
+* @return {ol.geom.Geometry|null} Null if the feature was not cut.
+* @api
+*/
+ol.cut.getOriginalGeometry = function (feature) {
+	return feature.cutOriginal_ || null;
+};
+
+/**
+* Index of the part of the original geometry a part of the cut geometry comes from.
+* @param {ol.Feature} feature
+* @param {number} index Index of the part (point, line string or polygon) in the cut geometry, 0 for single geometries.
+* @return {number} Index of the part in the original geometry, 0 for single geometries, -1 if unknown
+* (eg. the feature was not cut, or kept uncut by errorPolicy 'keep', or it is a GeometryCollection).
+* @api
+*/
+ol.cut.getOriginalPart = function (feature, index) {
+	var parts = feature.cutRecord_ ? feature.cutRecord_.parts : null;
+	return parts && index < parts.length ? parts[index] : -1;
+};
+
+/**
+* Real boundary of a feature cut by readCutFeatures, readCutFeaturesAsync or ol.source.CutVector: its polygons
+* without the edges added along cut lines (see ol.cut.realEdges). Usable as the geometry of a stroke style.
+* @param {ol.Feature} feature
+* @return {ol.geom.Geometry|undefined} MultiLineString of the real edges, or the geometry of the feature,
+* if no edge was added.
+* @api
+*/
+ol.cut.getBoundary = function (feature) {
+	return (feature.cutRecord_ && feature.cutRecord_.boundary) || feature.getGeometry();
+};
+
+/**
+* Label anchor of a feature cut by readCutFeatures, readCutFeaturesAsync or ol.source.CutVector: the pole of inaccessibility
+* of its largest polygon (see ol.cut.labelPoint). Computed when first needed, and again after the feature is cut again.
+* Usable as the geometry of a text style.
+* @param {ol.Feature} feature
+* @return {ol.geom.Geometry|undefined} Point in the destination projection, or the geometry of the feature,
+* if it is not a polygon.
+* @api
+*/
+ol.cut.getLabelAnchor = function (feature) {
+	var record = feature.cutRecord_;
+	var geom = feature.getGeometry();
+	var type = geom ? geom.getType() : null;
+	if (!record || (type != 'Polygon' && type != 'MultiPolygon')) {
+		return geom;
+	}
+	if (record.anchor === undefined) {
+		var meta = geom.clone().transform(record.dest, record.metaName).getCoordinates();
+		var point = ol.cut.labelPoint(type == 'Polygon' ? [meta] : meta);
+		record.anchor = point ? new ol.geom.Point(ol.proj.transform(point, record.metaName, record.dest)) : null;
+	}
+	return record.anchor || geom;
+};
+
+/**
+* Splits a style into one filling the geometry and one stroking its real boundary (see ol.cut.getBoundary),
+* so edges added along cut lines are not drawn as borders.
+* @param {ol.style.Style} style
+* @return {Array.<ol.style.Style>}
+* @api
+*/
+ol.cut.realEdgeStyle = function (style) {
+	return [
+		new ol.style.Style({
+			geometry: style.getGeometry() || undefined,
+			fill: style.getFill() || undefined,
+			image: style.getImage() || undefined,
+			text: style.getText() || undefined,
+			zIndex: style.getZIndex()
+		}),
+		new ol.style.Style({
+			geometry: ol.cut.getBoundary,
+			stroke: style.getStroke() || undefined,
+			zIndex: style.getZIndex()
+		})
+	];
+};
+
+/**
+* Whether a part of a cut geometry was created by the cut: its original part was cut into several pieces.
+* Parts which were separate parts of the original multipart geometry are not synthetic.
+* @param {ol.Feature} feature
+* @param {number} index Index of the part in the cut geometry, see ol.cut.getOriginalPart.
+* @return {boolean}
+* @api
+*/
+ol.cut.isSyntheticPart = function (feature, index) {
+	var part = ol.cut.getOriginalPart(feature, index);
+	var parts = feature.cutRecord_ ? feature.cutRecord_.parts : null;
+	return part != -1 && parts.indexOf(part) != parts.lastIndexOf(part);
+};
+
+/**
+* Flattens coordinates of a geometry. Only x and y are kept.
+* @param {string} type Geometry type.
+* @param {Array} coordinates
+* @return {{type: string, flat: Float64Array, ends: (Array|null)}} Ends are the end offsets of rings in flat
+* (array of arrays for MultiPolygons), null for types not having rings.
+*/
+ol.cut.toFlat = function (type, coordinates) {
+	var depth = ol.cut.depths_[type];
+	var flat = [];
+	var walk = function (coords, d) {
+		if (d == 0) {
+			flat.push(coords[0], coords[1]);
+			return flat.length;
+		}
+		var ends = [];
+		for (var i = 0; i < coords.length; i++) {
+			ends.push(walk(coords[i], d - 1));
+		}
+		return d == 1 ? flat.length : ends;
+	};
+	var ends = walk(coordinates, depth);
+	return {type: type, flat: new Float64Array(flat), ends: depth < 2 ? null : ends};
+};
+
+/**
+* Builds coordinates of a geometry from flat coordinates. Inverse of ol.cut.toFlat.
+* @param {string} type Geometry type.
+* @param {Float64Array} flat
+* @param {Array|null} ends
+* @return {Array}
+*/
+ol.cut.fromFlat = function (type, flat, ends) {
+	var depth = ol.cut.depths_[type];
+	var offset = 0;
+	var read = function (end) {
+		var out = [];
+		for (; offset < end; offset += 2) {
+			out.push([flat[offset], flat[offset + 1]]);
+		}
+		return out;
+	};
+	var rings = function (ends) {
+		var out = [];
+		for (var i = 0; i < ends.length; i++) {
+			out.push(read(ends[i]));
+		}
+		return out;
+	};
+	if (depth == 0) {
+		return [flat[0], flat[1]];
+	} else if (depth == 1) {
+		return read(flat.length);
+	} else if (depth == 2) {
+		return rings(ends);
+	}
+	var out = [];
+	for (var i = 0; i < ends.length; i++) {
+		out.push(rings(ends[i]));
+	}
+	return out;
+};
+
+/**
+* Cuts coordinates of a geometry with all cut lines. Does not depend on OpenLayers. Coordinates may be modified.
+* @param {string} type Geometry type, one of Point, MultiPoint, LineString, MultiLineString, Polygon and MultiPolygon.
+* @param {Array} coordinates
+* @param {boolean} prepare If true, coordinates are in EPSG:4326: they are set clockwise and rotated to the metagraticule
+* before cutting. Otherwise they are prepared in the metagraticule already.
+* @param {Array.<number>|null} pole Metapole (l0, f0, lm) of the metagraticule, null if it is EPSG:4326.
+* @param {Array.<ol.cut.CutLine>} cutLines All cut lines, see ol.cut.getCutLines.
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {{type: string, coordinates: Array, parts: Array.<number>}} Cut geometry in the metagraticule,
+* with the original part index of its parts (see ol.cut.parts).
+*/
+ol.cut.cutAll = function (type, coordinates, prepare, pole, cutLines, e) {
+	var cut = {type: type, coordinates: coordinates};
+	cut.parts = ol.cut.parts(cut.type, cut.coordinates);
+	if (prepare) {
+		if (cut.type == 'Polygon') {
+			cut.coordinates = ol.cut.orient(cut.coordinates);
+		} else if (cut.type == 'MultiPolygon') {
+			for (var i = 0; i < cut.coordinates.length; i++) {
+				cut.coordinates[i] = ol.cut.orient(cut.coordinates[i]);
+			}
+		}
+		if (pole) {
+			cut.coordinates = ol.cut.toFrame(cut.coordinates, {l0: pole[0], f0: pole[1], lm: pole[2]});
+		}
+	}
+	var extent = ol.cut.coordinatesExtent(cut.coordinates);
+	for (var j = 0; j < cutLines.length; j++) {
+		if (!ol.cut.skipByExtent || ol.cut.reaches(extent, cutLines[j], e)) {
+			cut = ol.cut.cutCoordinates(cut.type, cut.coordinates, cutLines[j], e, cut.parts);
+			extent = ol.cut.coordinatesExtent(cut.coordinates);
+		}
+	}
+	return cut;
+};
+
+/**
+* Cuts a geometry given in flat coordinates with all cut lines, as ol.cut.cutAll does with nested coordinates.
+* Coordinates stay flat while cutting (see ol.cut.cutCoordinatesFlat). Runs in the workers of readCutFeaturesAsync.
+* @param {{type: string, flat: (Float64Array|Array.<number>), ends: (Array|null), stride: (number|undefined)}} geom
+* See ol.cut.toFlat. Stride defaults to 2, only x and y are kept.
+* @param {boolean} prepare See ol.cut.cutAll.
+* @param {Array.<number>|null} pole See ol.cut.cutAll.
+* @param {Array.<ol.cut.CutLine>} cutLines All cut lines, see ol.cut.getCutLines.
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {{type: string, flat: Float64Array, ends: (Array|null), parts: Array.<number>}} Cut geometry in the metagraticule,
+* with the original part index of its parts (see ol.cut.parts).
+*/
+ol.cut.cutFlat = function (geom, prepare, pole, cutLines, e) {
+	var type = geom.type;
+	var stride = geom.stride || 2;
+	var flat = geom.flat;
+	var ends = geom.ends;
+	if (stride != 2) {
+		var rescale = function (end) {
+			return typeof end === 'number' ? end / stride * 2 : end.map(rescale);
+		};
+		flat = ol.cut.copyFlat_(flat, 0, flat.length, stride);
+		ends = ends && ends.map(rescale);
+	}
+	var count = type == 'MultiPoint' ? flat.length / 2 : (type == 'MultiLineString' || type == 'MultiPolygon' ? ends.length : 1);
+	var parts = [];
+	for (var i = 0; i < count; i++) {
+		parts.push(i);
+	}
+	if (prepare) {
+		if (type == 'Polygon' || type == 'MultiPolygon') {
+			var polygons = type == 'Polygon' ? [ends] : ends;
+			var oriented = [];
+			var orientedEnds = [];
+			var offset = 0;
+			for (var i = 0; i < polygons.length; i++) {
+				var rings = ol.cut.orientFlat(flat, offset, polygons[i], 2);
+				offset = polygons[i].length ? polygons[i][polygons[i].length - 1] : offset;
+				var polygonEnds = [];
+				for (var j = 0; j < rings.length; j++) {
+					for (var k = 0; k < rings[j].length; k++) {
+						oriented.push(rings[j][k]);
+					}
+					polygonEnds.push(oriented.length);
+				}
+				orientedEnds.push(polygonEnds);
+			}
+			flat = oriented;
+			ends = type == 'Polygon' ? orientedEnds[0] : orientedEnds;
+		}
+		if (pole) {
+			flat = ol.cut.toFrameFlat(flat, 0, flat.length, 2, {l0: pole[0], f0: pole[1], lm: pole[2]});
+		}
+	}
+	var cut = {type: type, flat: flat, ends: ends, parts: parts};
+	var extent = ol.cut.flatExtent(cut.flat, 2);
+	for (var j = 0; j < cutLines.length; j++) {
+		if (!ol.cut.skipByExtent || ol.cut.reaches(extent, cutLines[j], e)) {
+			cut = ol.cut.cutCoordinatesFlat(cut.type, cut.flat, cut.ends, 2, cutLines[j], e, cut.parts);
+			extent = ol.cut.flatExtent(cut.flat, 2);
+		}
+	}
+	return {type: cut.type, flat: new Float64Array(cut.flat), ends: cut.ends, parts: cut.parts};
+};
+
+/**
+* Cuts GeoJSON given in EPSG:4326, and returns it in the metagraticule. Does not depend on OpenLayers, and does not modify geojson.
+* @param {Object} geojson FeatureCollection, Feature or geometry.
+* @param {Object=} opt_options pole: metapole (l0, f0, lm) of the metagraticule, as in ol.proj.rotateProjection
+* (default none, EPSG:4326). azimuthal, cutLines: as in readCutFeatures. interruption: code of the interruption
+* registered with ol.cut.registerInterruption, used where azimuthal or cutLines are not set.
+* onWarning, errorPolicy, topology: as in readCutFeatures, onWarning is called with the GeoJSON feature.
+* Features kept uncut by errorPolicy 'keep' are only rotated to the metagraticule.
+* @return {Object|null} Cut GeoJSON. Null if it was a feature skipped by errorPolicy 'skip'.
+*/
+ol.cut.cutGeoJSON = function (geojson, opt_options) {
+	var options = opt_options || {};
+	var cutLines = ol.cut.getCutLines(options.azimuthal, options.cutLines, options.interruption);
+	var e = 1e-6;
+	var pole = options.pole || null;
+	var policy = options.errorPolicy || 'throw';
+	var walk = function (geom, fn) {
+		if (!geom) {
+			return geom;
+		} else if (geom.type == 'GeometryCollection') {
+			return {type: geom.type, geometries: geom.geometries.map(function (member) {
+				return walk(member, fn);
+			})};
+		} else if (!(geom.type in ol.cut.depths_)) {
+			return geom;
+		}
+		var out = fn(geom.type, JSON.parse(JSON.stringify(geom.coordinates)));
+		return {type: out.type, coordinates: out.coordinates};
+	};
+	var cut = function (type, coordinates) {
+		return ol.cut.cutAll(type, coordinates, true, pole, cutLines, e);
+	};
+	var rotate = function (type, coordinates) {
+		var frame = pole ? {l0: pole[0], f0: pole[1], lm: pole[2]} : null;
+		return {type: type, coordinates: frame ? ol.cut.toFrame(coordinates, frame) : coordinates};
+	};
+	var cutFeature = function (feature) {
+		var out = {};
+		for (var key in feature) {
+			out[key] = feature[key];
+		}
+		ol.cut.setWarningHandler(options.onWarning ? function (code, details) {
+			options.onWarning(feature, code, details);
+		} : null);
+		try {
+			out.geometry = walk(feature.geometry, cut);
+		} catch (err) {
+			if (!(err instanceof ol.cut.CutError)) {
+				err = new ol.cut.CutError(ol.cut.CutError.Code.CUT_FAILED, String(err.message || err), {error: err});
+			}
+			ol.cut.warn(err.code, err.details);
+			ol.cut.setWarningHandler(null);
+			if (policy == 'keep') {
+				out.geometry = walk(feature.geometry, rotate);
+			} else if (policy == 'skip') {
+				return null;
+			} else {
+				ol.cut.setTopology(false);
+				throw err;
+			}
+		}
+		ol.cut.setWarningHandler(null);
+		return out;
+	};
+	if (geojson.type == 'FeatureCollection') {
+		var out = {};
+		for (var key in geojson) {
+			out[key] = geojson[key];
+		}
+		ol.cut.setTopology(!!options.topology);
+		out.features = geojson.features.map(cutFeature).filter(function (feature) {
+			return feature !== null;
+		});
+		ol.cut.setTopology(false);
+		return out;
+	} else if (geojson.type == 'Feature') {
+		return cutFeature(geojson);
+	}
+	return walk(geojson, cut);
+};
+
+/**
+* Message handler of the workers of readCutFeaturesAsync. Cuts a batch of geometries, and posts them back
+* with warnings and errors.
+* @private
+*/
+ol.cut.workerMain_ = function () {
+	self.onmessage = function (evt) {
+		var data = evt.data;
+		var results = [];
+		var transfer = [];
+		for (var i = 0; i < data.geoms.length; i++) {
+			var warnings = [];
+			ol.cut.setWarningHandler(function (code, details) {
+				warnings.push({code: code, details: details});
+			});
+			try {
+				var result = ol.cut.cutFlat(data.geoms[i], data.prepare, data.pole, data.cutLines, data.e);
+				transfer.push(result.flat.buffer);
+			} catch (err) {
+				result = {error: err instanceof ol.cut.CutError ?
+					{code: err.code, message: err.message, details: err.details} :
+					{code: ol.cut.CutError.Code.CUT_FAILED, message: String(err.message || err), details: {}}};
+			}
+			result.index = data.geoms[i].index;
+			result.warnings = warnings;
+			results.push(result);
+		}
+		self.postMessage(results, transfer);
+	};
+};
+
+/**
+* Source of the workers of readCutFeaturesAsync: the functions, settings and constants of ol.cut, and ol.cut.workerMain_ started.
+* @return {string}
+* @private
+*/
+ol.cut.workerSource_ = function () {
+	var source = [
+		'var ol = {cut: {}};',
+		'ol.inherits = function (child, parent) {',
+		'	child.prototype = Object.create(parent.prototype);',
+		'	child.prototype.constructor = child;',
+		'};'
+	];
+	for (var key in ol.cut) {
+		if (typeof ol.cut[key] === 'function') {
+			source.push('ol.cut.' + key + ' = ' + ol.cut[key].toString() + ';');
+		} else if (typeof ol.cut[key] === 'number' || typeof ol.cut[key] === 'boolean') {
+			source.push('ol.cut.' + key + ' = ' + JSON.stringify(ol.cut[key]) + ';');
+		}
+	}
+	source.push('ol.inherits(ol.cut.CutError, Error);');
+	source.push('ol.cut.CutError.Code = ' + JSON.stringify(ol.cut.CutError.Code) + ';');
+	source.push('ol.cut.depths_ = ' + JSON.stringify(ol.cut.depths_) + ';');
+	source.push('ol.cut.setWarningHandler(null);');
+	source.push('ol.cut.workerMain_();');
+	return source.join('\n');
+};
+
+/**
+* Adds points along the edges of a line string (given in spherical coords), until every edge follows its great circle
+* within tolerance after transform. Edges along cut lines are left untouched.
+* @param {Array.<ol.Coordinate>} lineString
+* @param {ol.TransformFunction} transform Transform function to the destination projection.
+* @param {number} tolerance Maximum distance between the great circle and the projected edge (destination map units).
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<ol.Coordinate>} New line string.
+*/
+ol.cut.densify = function (lineString, transform, tolerance, cutLines, e) {
+	var MAXDEPTH = 10;
+	var out = [];
+	var project = function (point) {
+		return transform(point.slice(0, 2), undefined, 2);
+	};
+	var distance = function (p, a, b) {
+		var dx = b[0] - a[0];
+		var dy = b[1] - a[1];
+		var t = dx || dy ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy) : 0;
+		t = Math.max(0, Math.min(1, t));
+		return Math.sqrt(Math.pow(p[0] - a[0] - t * dx, 2) + Math.pow(p[1] - a[1] - t * dy, 2));
+	};
+	var addEdge = function (a, b, pa, pb, depth, out) {
+		var va = ol.cut.toVector(a);
+		var vb = ol.cut.toVector(b);
+		var vm = [va[0] + vb[0], va[1] + vb[1], va[2] + vb[2]];
+		var length = Math.sqrt(vm[0] * vm[0] + vm[1] * vm[1] + vm[2] * vm[2]);
+		if (depth == MAXDEPTH || length < 1e-9) {
+			return;
+		}
+		var m = [Math.atan2(vm[1], vm[0]) * 180 / Math.PI, Math.asin(vm[2] / length) * 180 / Math.PI];
+		var pm = project(m);
+		if (!isFinite(pm[0]) || !isFinite(pm[1]) || distance(pm, pa, pb) <= tolerance) {
+			return;
+		}
+		addEdge(a, m, pa, pm, depth + 1, out);
+		out.push(m);
+		addEdge(m, b, pm, pb, depth + 1, out);
+	};
+	var edgePoints = function (a, b) {
+		var points = [];
+		var pa = project(a);
+		var pb = project(b);
+		if (isFinite(pa[0]) && isFinite(pa[1]) && isFinite(pb[0]) && isFinite(pb[1])) {
+			addEdge(a, b, pa, pb, 0, points);
+		}
+		return points;
+	};
+	for (var i = 0; i < lineString.length; i++) {
+		if (i > 0) {
+			var a = lineString[i - 1];
+			var b = lineString[i];
+			var line = ol.cut.onCutLine(a, cutLines, e);
+			if (line == -1 || line != ol.cut.onCutLine(b, cutLines, e)) {
+				out.push.apply(out, ol.cut.sharedEdge('densify' + tolerance, a, b, edgePoints));
+			}
+		}
+		out.push(lineString[i]);
+	}
+	return out;
+};
+
+/**
+* Adds points along straight edges (in planar coordinates, eg. tile pixels), so no edge is longer than step.
+* Any nesting depth of line strings is accepted. Points are computed from the lower end point of the edge,
+* so edges shared by neighbouring rings get exactly the same points.
+* @param {Array} coords
+* @param {number} step Maximum length of edges.
+* @return {Array} New coordinates.
+*/
+ol.cut.subdividePlanar = function (coords, step) {
+	if (typeof coords[0][0] !== 'number') {
+		return coords.map(function (lineString) {
+			return ol.cut.subdividePlanar(lineString, step);
+		});
+	}
+	var out = [];
+	for (var i = 0; i < coords.length; i++) {
+		if (i > 0) {
+			var a = coords[i - 1];
+			var b = coords[i];
+			var forward = a[0] < b[0] || (a[0] == b[0] && a[1] <= b[1]);
+			var from = forward ? a : b;
+			var to = forward ? b : a;
+			var n = Math.ceil(Math.sqrt((to[0] - from[0]) * (to[0] - from[0]) + (to[1] - from[1]) * (to[1] - from[1])) / step);
+			for (var j = 1; j < n; j++) {
+				var k = forward ? j / n : 1 - j / n;
+				out.push([from[0] + k * (to[0] - from[0]), from[1] + k * (to[1] - from[1])]);
+			}
+		}
+		out.push(coords[i]);
+	}
+	return out;
+};
+
+/**
+* Intersection point of the segment between a and b with the line where coordinate axis is value.
+* Computed from the lower end point, so it does not depend on the direction of the segment.
+* @param {ol.Coordinate} a
+* @param {ol.Coordinate} b
+* @param {number} axis 0 for a vertical line, 1 for a horizontal one.
+* @param {number} value
+* @return {ol.Coordinate}
+*/
+ol.cut.axisIntersect = function (a, b, axis, value) {
+	if (a[0] > b[0] || (a[0] == b[0] && a[1] > b[1])) {
+		var c = a;
+		a = b;
+		b = c;
+	}
+	var point = [0, 0];
+	point[axis] = value;
+	point[1 - axis] = a[1 - axis] + (value - a[axis]) * (b[1 - axis] - a[1 - axis]) / (b[axis] - a[axis]);
+	return point;
+};
+
+/**
+* Clips the segment between a and b to box (Liang-Barsky).
+* @param {ol.Coordinate} a
+* @param {ol.Coordinate} b
+* @param {ol.Extent} box
+* @return {Array.<ol.Coordinate>|null} End points of the part inside box (a or b themselves if they are inside),
+* null if the segment is outside.
+*/
+ol.cut.clipSegment = function (a, b, box) {
+	var t0 = 0;
+	var t1 = 1;
+	var k0 = -1;
+	var k1 = -1;
+	for (var k = 0; k < 4; k++) {
+		var axis = k % 2;
+		var p = k < 2 ? a[axis] - b[axis] : b[axis] - a[axis];
+		var q = k < 2 ? a[axis] - box[k] : box[k] - a[axis];
+		if (p == 0) {
+			if (q < 0) {
+				return null;
+			}
+			continue;
+		}
+		var t = q / p;
+		if (p < 0) {
+			if (t > t1) {
+				return null;
+			} else if (t > t0) {
+				t0 = t;
+				k0 = k;
+			}
+		} else {
+			if (t < t0) {
+				return null;
+			} else if (t < t1) {
+				t1 = t;
+				k1 = k;
+			}
+		}
+	}
+	return [k0 < 0 ? a : ol.cut.axisIntersect(a, b, k0 % 2, box[k0]), k1 < 0 ? b : ol.cut.axisIntersect(a, b, k1 % 2, box[k1])];
+};
+
+/**
+* Clips a line string to box.
+* @param {Array.<ol.Coordinate>} lineString
+* @param {ol.Extent} box
+* @return {Array.<Array.<ol.Coordinate>>} Parts inside box.
+*/
+ol.cut.clipLineString = function (lineString, box) {
+	var out = [];
+	var current = null;
+	for (var i = 1; i < lineString.length; i++) {
+		var segment = ol.cut.clipSegment(lineString[i - 1], lineString[i], box);
+		if (!segment) {
+			current = null;
+			continue;
+		}
+		if (!current || segment[0] !== lineString[i - 1]) {
+			current = [segment[0]];
+			out.push(current);
+		}
+		current.push(segment[1]);
+		if (segment[1] !== lineString[i]) {
+			current = null;
+		}
+	}
+	return out;
+};
+
+/**
+* Clips a closed ring to box (Sutherland-Hodgman).
+* @param {Array.<ol.Coordinate>} ring
+* @param {ol.Extent} box
+* @return {Array.<ol.Coordinate>|null} Closed ring, null if nothing is left.
+*/
+ol.cut.clipRing = function (ring, box) {
+	var out = ring.slice(0, ring.length - 1);
+	for (var k = 0; k < 4 && out.length; k++) {
+		var axis = k % 2;
+		var inside = function (point) {
+			return k < 2 ? point[axis] >= box[k] : point[axis] <= box[k];
+		};
+		var points = out;
+		out = [];
+		for (var i = 0; i < points.length; i++) {
+			var prev = points[(i + points.length - 1) % points.length];
+			if (inside(points[i]) != inside(prev)) {
+				out.push(ol.cut.axisIntersect(prev, points[i], axis, box[k]));
+			}
+			if (inside(points[i])) {
+				out.push(points[i]);
+			}
+		}
+	}
+	if (out.length < 3) {
+		return null;
+	}
+	out.push(out[0].slice(0));
+	return out;
+};
+
+/**
+* If false, geometries are cut with every cut line, even if their extent cannot reach it. For benchmarks.
+* Workers of readCutFeaturesAsync take the value it has when they are started.
+* @type {boolean}
+*/
+ol.cut.skipByExtent = true;
+
+/**
+* Points of the edges cut in topology mode, by kind and end points. Null if topology mode is off.
+* @type {Object.<string, Array.<ol.Coordinate>>|null}
+* @private
+*/
+ol.cut.edges_ = null;
+
+/**
+* Turns topology mode on or off. While it is on, edges shared by rings and features are cut only once
+* (see ol.cut.sharedEdge). Turning it on starts with no edges, unless the edges of earlier calls are given.
+* @param {boolean|Object.<string, Array.<ol.Coordinate>>} topology Whether topology mode is on,
+* or the edges to continue with (an object kept between calls, eg. by ol.source.CutVectorTile).
+*/
+ol.cut.setTopology = function (topology) {
+	ol.cut.edges_ = typeof topology === 'object' ? topology : (topology ? {} : null);
+};
+
+/**
+* Returns points computed for the edge from a to b. In topology mode (see the topology read option of readCutFeatures)
+* they are computed only once for every edge, and reused for the edges of other rings or features running between
+* the same points, in either direction. Otherwise the points depend on the direction of the edge in their last digits,
+* so neighbouring polygons sharing a border may get slightly different ones.
+* @param {string} kind Kind of the points, eg. the cut line they are computed for.
+* @param {ol.Coordinate} a
+* @param {ol.Coordinate} b
+* @param {function(ol.Coordinate, ol.Coordinate): Array.<ol.Coordinate>} compute Computes the points from a to b.
+* @return {Array.<ol.Coordinate>} Points in the order from a to b.
+*/
+ol.cut.sharedEdge = function (kind, a, b, compute) {
+	if (!ol.cut.edges_) {
+		return compute(a, b);
+	}
+	var ka = a[0] + ' ' + a[1];
+	var kb = b[0] + ' ' + b[1];
+	var forward = ka <= kb;
+	var key = kind + ':' + (forward ? ka + ',' + kb : kb + ',' + ka);
+	if (!(key in ol.cut.edges_)) {
+		ol.cut.edges_[key] = forward ? compute(a, b) : compute(b, a);
+	}
+	return forward ? ol.cut.edges_[key] : ol.cut.edges_[key].slice(0).reverse();
+};
+
+/**
+* Decides if a geometry of extent (in spherical coords) may be changed by cutting with cutLine.
+* Edges are great circle arcs, so they may reach higher latitudes than the extent: this bulge is bounded by the width of the extent.
+* Always true for cut lines in clip mode and for cut lines not following the metagraticule.
+* @param {ol.Extent} extent
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {boolean}
+*/
+ol.cut.reaches = function (extent, cutLine, e) {
+	if (cutLine.mode == 'clip' || (cutLine.type != 'meridian' && cutLine.type != 'parallel')) {
+		return true;
+	}
+	var m = 10 * e;
+	var width = extent[2] - extent[0];
+	var bulge = function (f) {
+		if (f <= 0) {
+			return f;
+		} else if (width >= 180 - m) {
+			return 90;
+		}
+		return Math.atan(Math.tan(f * Math.PI / 180) / Math.cos(width * Math.PI / 360)) * 180 / Math.PI;
+	};
+	if (cutLine.type == 'parallel' && Math.abs(cutLine.deg) == 90) {
+		// Rings around the pole, and edges close to it (see ol.cut.hasIntersect)
+		return width >= 180 - m || (cutLine.deg > 0 ? extent[3] : -extent[1]) >= 89 - m;
+	}
+	var north = bulge(extent[3]);
+	var south = -bulge(-extent[1]);
+	var reachesLon = function (from, to) {
+		return width >= 180 - m || (extent[2] >= from - m && extent[0] <= to + m);
+	};
+	if (cutLine.type == 'meridian') {
+		var lon = Math.abs(cutLine.deg) == 180 ? reachesLon(-180, -180) || reachesLon(180, 180) : reachesLon(cutLine.deg, cutLine.deg);
+		return lon && north >= cutLine.from - m && south <= cutLine.to + m;
+	}
+	return reachesLon(cutLine.from, cutLine.to) && north >= cutLine.deg - m && south <= cutLine.deg + m;
+};
+
+/**
+* Extent of coordinates (of any nesting depth).
+* @param {ol.Coordinate|Array} coords
+* @param {ol.Extent=} opt_extent Extent to extend.
+* @return {ol.Extent}
+*/
+ol.cut.coordinatesExtent = function (coords, opt_extent) {
+	var extent = opt_extent || [Infinity, Infinity, -Infinity, -Infinity];
+	if (typeof coords[0] === 'number') {
+		extent[0] = Math.min(extent[0], coords[0]);
+		extent[1] = Math.min(extent[1], coords[1]);
+		extent[2] = Math.max(extent[2], coords[0]);
+		extent[3] = Math.max(extent[3], coords[1]);
+	} else {
+		for (var i = 0; i < coords.length; i++) {
+			ol.cut.coordinatesExtent(coords[i], extent);
+		}
+	}
+	return extent;
+};
+
+/**
+* Intersection point of geodetic between pointA, pointB (given in spherical coords) and graticule line of cutLine.
+* @param {ol.Coordinate} pointA
+* @param {ol.Coordinate} pointB
+* @param {ol.cut.CutLine} cutLine
+* @return {ol.Coordinate}
+*/
+ol.cut.intersect = function (pointA, pointB, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.intersect(ol.cut.toFrame(pointA, frame), ol.cut.toFrame(pointB, frame), frame.cutLine), frame, true);
+	}
+	// Convert to radians
+	var a = [pointA[0] / 180 * Math.PI, pointA[1] / 180 * Math.PI];
+	var b = [pointB[0] / 180 * Math.PI, pointB[1] / 180 * Math.PI];
+	var s = Math.acos(Math.sin(a[1]) * Math.sin(b[1]) + Math.cos(a[1]) * Math.cos(b[1]) * Math.cos(b[0] - a[0]));
+	var x = Math.acos((Math.sin(a[1]) - Math.sin(b[1]) * Math.cos(s)) / (Math.cos(b[1]) * Math.sin(s)));
+	if (cutLine.type == 'meridian') {
+		var l = cutLine.deg / 180 * Math.PI;
+		if (Math.abs(a[0] - l) <= 1e-4) {
+			var f = a[1];
+		} else if (Math.abs(b[0] - l) <= 1e-4) {
+			var f = b[1];
+		} else if (Math.PI / 2 - Math.abs(a[1]) <= 1e-6) {
+			var f = a[1];
+		} else if (Math.PI / 2 - Math.abs(b[1]) <= 1e-6) {
+			var f = b[1];
+		} else {
+			var f = Math.atan((Math.sin(b[1]) * Math.cos(b[0] - l) + Math.abs(Math.sin(b[0] - l)) / Math.tan(x)) / Math.cos(b[1]));
+		}
+		return [cutLine.deg, f / Math.PI * 180];
+	} else if (cutLine.type == 'parallel') {
+		var f = cutLine.deg / 180 * Math.PI;
+		if (Math.abs(f) == Math.PI / 2) {
+			if (Math.abs(Math.abs(a[1]) - Math.PI / 2) <= 1e-6) {
+				var l = b[0] + Math.PI / 2
+			} else if (Math.abs(Math.abs(b[1]) - Math.PI / 2) <= 1e-6) {
+				var l = a[0] + Math.PI / 2
+			} else {
+				var l = (a[0] + b[0]) / 2;
+			}
+			if (l > Math.PI / 2) {
+				l-= Math.PI;
+			}
+		} else if (Math.abs(a[0] - b[0]) <= 1e-6) {
+			if (Math.abs(a[1]) < Math.abs(b[1])) {
+				var l = a[0];
+			} else {
+				var l = a[0];
+			}
+		} else {
+			if (Math.abs(f + b[1]) <= 1e-6) {
+				var l = -2 * Math.atan(Math.tan(x) * Math.sin(b[1]));
+			} else {
+				var l = 2 * Math.atan((1 / Math.tan(x) -
+					(a[1] > b[1] ? 1 : -1) * Math.sqrt(Math.pow(Math.tan(x), -2) - Math.pow(Math.cos(b[1]) * Math.tan(f), 2) +
+					Math.pow(Math.sin(b[1]), 2))) / (Math.cos(b[1]) * Math.tan(f) + Math.sin(b[1])));
+			}
+			l = b[0] - (Math.sin(b[0] - a[0]) > 0 ? 1 : -1) * l;
+			while (Math.abs(l) > Math.PI) {
+				l -= (l > 0 ? 1 : -1) * 2 * Math.PI;
+			}
+		}
+		return [l / Math.PI * 180, cutLine.deg];		
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
+	}
+};
+
+/**
+* Decide if geodetic between pointA and pointB intersects with cutLine.
+* @param {ol.Coordinate} pointA
+* @param {ol.Coordinate} pointB
+* @param {ol.cut.CutLine} cutLine
+* @return {boolean}
+*/
+ol.cut.hasIntersect = function (pointA, pointB, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.hasIntersect(ol.cut.toFrame(pointA, frame), ol.cut.toFrame(pointB, frame), frame.cutLine);
+	}
+	if (cutLine.type == 'meridian') {
+		if (Math.abs(cutLine.deg) == 180) {
+			return Math.abs(pointA[0] - pointB[0]) > 180;
+		} else {
+			return ((pointA[0] < cutLine.deg) != (pointB[0] < cutLine.deg)) && (Math.abs(pointA[0] - pointB[0]) < 180);
+		}
+	} else if (cutLine.type == 'parallel') {
+		if (Math.abs(cutLine.deg) == 90) {
+			return (Math.abs(Math.abs(pointA[0] - pointB[0]) - 180) < (180 - 180 * Math.sqrt((90 - Math.abs(pointA[1])) * (90 - Math.abs(pointB[1]))))) && ((pointA[1] + pointB[1] > 0) ^ (cutLine.deg < 0));
+		} else {
+			return (pointA[1] < cutLine.deg) != (pointB[1] < cutLine.deg);
+		}
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
+	}
+};
+
+/**
+* Decide if intersection point is between the from and to of cutLine
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+* @return {boolean}
+*/
+ol.cut.intersectBetween = function (point, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.intersectBetween(ol.cut.toFrame(point, frame), frame.cutLine);
+	}
+	if (cutLine.type == 'meridian') {
+		return point[1] >= cutLine.from && point[1] <= cutLine.to;
+	} else if (cutLine.type == 'parallel') {
+		return point[0] >= cutLine.from && point[0] <= cutLine.to;
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
+	}	
+};
+
+/**
+* Moves a point if too close to cut line. Otherwise it keeps in place.
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {ol.Coordinate}
+*/
+ol.cut.move = function (point, cutLine, e) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		var framed = ol.cut.toFrame(point, frame);
+		var moved = ol.cut.move(framed, frame.cutLine, e);
+		return moved == framed ? point : ol.cut.toFrame(moved, frame, true);
+	}
+	if (!ol.cut.intersectBetween(point, cutLine)) return point;
+	if (cutLine.type == 'meridian') {
+		if (Math.abs(cutLine.deg) == 180) {
+			return Math.abs(point[0]) > 180 - e ? [(point[0] > 0 ? 1 : -1) * (180 - e), point[1]] : point;
+		} else {
+			return Math.abs(point[0] - cutLine.deg) < e ? [cutLine.deg + (point[0] >= cutLine.deg ? 1 : -1) * e, point[1]] : point;
+		}
+	} else if (cutLine.type == 'parallel') {
+		return Math.abs(point[1] - cutLine.deg) < e ? [point[0], cutLine.deg + (point[1] >= cutLine.deg && cutLine.deg < 90 ? 1 : -1) * e] : point;
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
+	}
+};
+
+/**
+* Moves intersection point away from cutLine. Moving direction towards neighborPoint.
+* @param {ol.Coordinate} point
+* @param {ol.Coordinate} neighborPoint
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Distance from cut line (degrees)
+* @return {ol.Coordinate}
+*/
+ol.cut.moveIntersection = function (point, neighborPoint, cutLine, e) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.moveIntersection(ol.cut.toFrame(point, frame), ol.cut.toFrame(neighborPoint, frame),
+			frame.cutLine, e), frame, true);
+	}
+	if (cutLine.type == 'meridian') {
+		if (Math.abs(cutLine.deg) == 180) {
+			return [(neighborPoint[0] > 0 ? 1 : -1) * (180 - e), point[1]];
+		} else {
+			return [cutLine.deg + (neighborPoint[0] >= cutLine.deg ? 1 : -1) * e, point[1]];
+		}
+	} else if (cutLine.type == 'parallel') {
+		if (Math.abs(cutLine.deg) == 90) {
+			return [/*point[0] + (point[0] <*/ neighborPoint[0]/* ? 90 : -90)*/, cutLine.deg + (cutLine.deg < 0 ? 1 : -1) * e];
+		} else {
+			return [point[0], cutLine.deg + (neighborPoint[1] >= cutLine.deg ? 1 : -1) * e];
+		}
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
+	}
+};
+
+/**
+* Oblique aspect transformation.
+* @param {ol.Coordinate} point
+* @param {number} l0 Longitude of the metapole.
+* @param {number} f0 Latitude of the metapole.
+* @param {number} lm Metalongitude of the midmeridian.
+* @return {ol.Coordinate}
+*/
+ol.cut.rotate = function (point, l0, f0, lm) {
+	point = [point[0] * Math.PI / 180, point[1] * Math.PI / 180];
+	l0 *= Math.PI / 180;
+	f0 *= Math.PI / 180;
+	lm *= Math.PI / 180;
+	if (l0 != 0) {
+		point[0] -= l0;
+	}
+	if (Math.sin(f0) == -1) {
+		point[1] *= -1;
+		point[0] *= -1;
+		point[0] += point[0] > 0 ? -Math.PI : Math.PI;
+	} else if (Math.sin(f0) < 1) {
+		point = [
+			Math.atan2(Math.cos(point[1]) * Math.sin(point[0]), -Math.cos(f0) * Math.sin(point[1]) + Math.sin(f0) * Math.cos(point[1]) * Math.cos(point[0])),
+			Math.asin(Math.sin(f0) * Math.sin(point[1]) + Math.cos(f0) * Math.cos(point[1]) * Math.cos(point[0]))
+		];
+	}
+	if (lm != 0) {
+		point[0] -= lm;
+	}
+	while (Math.abs(point[0]) > Math.PI && (l0 != 0 || lm != 0)) {
+		point[0] -= (point[0] > 0 ? 1 : -1) * 2 * Math.PI;
+	}
+	return [point[0] * 180 / Math.PI, point[1] * 180 / Math.PI];
+};
+
+/**
+* Small circle (a geodesic circle) around center, as a closed ring. Vertices are equally spaced on the circle.
+* @param {ol.Coordinate} center Longitude and latitude.
+* @param {number} radius Angular radius (degrees of arc).
+* @param {number=} opt_n Number of vertices (default 64).
+* @return {Array.<ol.Coordinate>}
+*/
+ol.cut.smallCircle = function (center, radius, opt_n) {
+	var n = opt_n || 64;
+	var ring = [];
+	for (var i = 0; i <= n; i++) {
+		// Parallel around the pole of a metagraticule centered on center
+		ring.push(ol.cut.rotate([180 - 360 * (i % n) / n, 90 - radius], 180, center[1], 180 - center[0]));
+	}
+	return ring;
+};
+
+/**
+* Distortion of a projection at a point, from the derivatives of its forward transform (Tissot indicatrix).
+* @param {function(ol.Coordinate): ol.Coordinate} transform Forward transform from longitude and latitude.
+* @param {ol.Coordinate} point Longitude and latitude.
+* @param {number} radius Radius of the sphere in projected units.
+* @return {{a: number, b: number, areal: number, angular: number}|null} Maximum and minimum scale, areal scale,
+* and maximum angular deformation (degrees). Null at the poles, or where the transform fails.
+*/
+ol.cut.distortion = function (transform, point, radius) {
+	var d = 1e-5;
+	var cos = Math.cos(point[1] * Math.PI / 180);
+	if (Math.abs(point[1]) > 90 - 2 * d) {
+		return null;
+	}
+	var west = transform([point[0] - d, point[1]]);
+	var east = transform([point[0] + d, point[1]]);
+	var south = transform([point[0], point[1] - d]);
+	var north = transform([point[0], point[1] + d]);
+	var length = 2 * d * Math.PI / 180 * radius;
+	var xl = (east[0] - west[0]) / (length * cos);
+	var yl = (east[1] - west[1]) / (length * cos);
+	var xf = (north[0] - south[0]) / length;
+	var yf = (north[1] - south[1]) / length;
+	var hk = xl * xl + yl * yl + xf * xf + yf * yf;
+	var areal = Math.abs(xl * yf - xf * yl);
+	if (!isFinite(hk) || !isFinite(areal)) {
+		return null;
+	}
+	var sum = Math.sqrt(hk + 2 * areal);
+	var diff = Math.sqrt(Math.max(0, hk - 2 * areal));
+	return {
+		a: (sum + diff) / 2,
+		b: (sum - diff) / 2,
+		areal: areal,
+		angular: sum ? 2 * Math.asin(Math.min(1, diff / sum)) * 180 / Math.PI : 0
+	};
+};
+
+/**
+* Which side of cutLine?
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+* @return {number} -1 or 1
+*/
+ol.cut.side = function(point, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.side(ol.cut.toFrame(point, frame), frame.cutLine);
+	}
+	if (cutLine.deg == 180) {
+		return point[0] > 0 ? 1 : -1;
+	} else {
+		var side = point[cutLine.type == 'parallel' ? 1 : 0] < cutLine.deg || (cutLine.type == 'parallel' && cutLine.deg == 90) ? -1 : 1;
+		return side * (cutLine.type == 'meridian' ? -1 : 1);
+	}
+}
+
+/**
+* Decide if point is kept by cutLine. Always true, except for the removed side of cut lines in clip mode.
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+* @return {boolean}
+*/
+ol.cut.keeps = function(point, cutLine) {
+	return cutLine.mode != 'clip' || ol.cut.side(point, cutLine) == (cutLine.keep || 1);
+};
+
+/**
+* Decides if the result of an inverse transform belongs to a lobe of the map. Points of the projection plane outside
+* the outline or in the gaps of interruptions are not transformed back to themselves, or they fall on the removed side
+* of a cut line in clip mode.
+* @param {ol.Coordinate} point Point of the projection plane.
+* @param {ol.Coordinate} lonLat Longitude and latitude given for point by the inverse transform.
+* @param {function(ol.Coordinate): ol.Coordinate} forward Forward transform from longitude and latitude.
+* @param {Array.<number>|null} pole Metapole (l0, f0, lm) of the metagraticule, null if it is EPSG:4326.
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} tolerance Maximum distance of point transformed back (projected units).
+* @return {boolean}
+*/
+ol.cut.inLobe = function (point, lonLat, forward, pole, cutLines, tolerance) {
+	if (!lonLat || !isFinite(lonLat[0]) || !isFinite(lonLat[1]) || Math.abs(lonLat[1]) > 90) {
+		return false;
+	}
+	var back = forward(lonLat);
+	if (!(Math.abs(back[0] - point[0]) <= tolerance && Math.abs(back[1] - point[1]) <= tolerance)) {
+		return false;
+	}
+	var meta = pole ? ol.cut.rotate(lonLat, pole[0], pole[1], pole[2]) : lonLat;
+	cutLines = ol.cut.expandCutLines(cutLines);
+	for (var i = 0; i < cutLines.length; i++) {
+		if (!ol.cut.keeps(meta, cutLines[i])) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+* Removes line strings on the removed side of cutLine in clip mode. Modifies original array.
+* @param {Array.<Array.<ol.Coordinate>>} lineStrings Pieces of line strings cut by cutLine.
+* @param {ol.cut.CutLine} cutLine
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.clip = function(lineStrings, cutLine) {
+	for (var i = 0; i < lineStrings.length; i++) {
+		if (!ol.cut.keeps(lineStrings[i][0], cutLine)) {
+			lineStrings.splice(i, 1);
+			i--;
+		}
+	}
+	return lineStrings;
+};
+
+/**
+* Orders line strings by endpoints.
+* @param {Array.<Array.<ol.Coordinate>>} lineStrings Line strings to order.
+* @param {ol.cut.CutLine} cutLine
+* @return {{start: Array.<Array.<ol.Coordinate>>, end: Array.<Array.<ol.Coordinate>>}} Ordered by start and endpoints.
+*/
+ol.cut.orderLineStrings = function(lineStrings, cutLine) {
+	var out = {
+		start: lineStrings.slice(0),
+		end: lineStrings.slice(0)
+	};
+	var sort = function (a, b) {
+		var acoord = a[start ? 0 : a.length - 1];
+		var bcoord = b[start ? 0 : b.length - 1];
+		return sort2(acoord, bcoord);
+	};
+	var sort2 = function(acoord, bcoord) {
+		var aval = acoord[cutLine.type == 'meridian' ? 1 : 0];
+		var bval = bcoord[cutLine.type == 'meridian' ? 1 : 0];
+		aval = ol.cut.side(acoord, cutLine) == 1 ? 400 - aval : aval;
+		bval = ol.cut.side(bcoord, cutLine) == 1 ? 400 - bval : bval;
+		return aval - bval;
+	}
+	var start = true;
+	out.start.sort(sort);
+	start = false;
+	out.end.sort(sort);
+	if (sort2(out.start[0][0], out.end[0][out.end[0].length - 1]) < 0) {
+		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) < 90 && out.start.length > 1) {
+			var i = 0;
+			var last = out.start.shift();
+			var lside = ol.cut.side(last[0], cutLine);
+			while (i != out.start.length && lside == ol.cut.side(out.start[i][0], cutLine)) {
+				i++;
+			}
+			if (i != out.start.length) {
+				out.start.splice(i, 0, last);
+				out.start.push(out.start.splice(i + 1, 1)[0]);
+			}
+		} else {
+			out.start.push(out.start.shift());
+		}
+	}
+	return out;
+};
+
+/**
+* Connects two line segments. Modifies original arrays! If a == b, closes ring.
+* @param {Array.<Array.<ol.Coordinate>>} a
+* @param {Array.<Array.<ol.Coordinate>>} b
+* @param {ol.cut.CutLine} cutLine
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.connectSegments = function(a, b, cutLine) {
+	var start = a[a.length - 1];
+	var end = b[0];
+	var addPoints = function(a, b, interval, xy, deg, arr) {
+		for (var i = 1; i < Math.round(Math.abs(b - a) / interval); i++) {
+			var point = [];
+			point[xy] = a + i * (b - a) / Math.round(Math.abs(b - a) / interval);
+			if (point[xy] > 180) {
+				point[xy] -= 360;
+			}
+			point[-(xy - 1)] = deg;
+			arr.push(point);
+		}
+	};
+	var INT = .5;
+	var xy = cutLine.type == 'parallel' ? 0 : 1;
+	var aside = ol.cut.side(start, cutLine);
+	var bside = ol.cut.side(end, cutLine);
+	if (cutLine.from == -180 && cutLine.to == 180 && aside != bside)
+	{
+		ol.cut.warn(ol.cut.CutError.Code.SIDE_MISMATCH, {a: a, b: b, cutLine: cutLine});
+	}
+	if (cutLine.from == -180 && cutLine.to == 180 && aside * start[xy] < aside * end[xy] - 1e-4) {
+		addPoints(start[xy] + (aside == -1 ? 0 : 360), end[xy] + (aside == 1 ? 0 : 360), INT, xy, start[-(xy - 1)], a);
+	} else if (aside == bside) {
+		addPoints(start[xy], end[xy], INT, xy, start[-(xy - 1)], a);
+	} else if (aside == -1) {
+		addPoints(start[xy], cutLine.to, INT, xy, start[-(xy - 1)], a);
+		var point = [];
+		point[xy] = cutLine.to;
+		point[-(xy - 1)] = start[-(xy - 1)];
+		a.push(point);
+		point = [];
+		point[xy] = cutLine.to;
+		point[-(xy - 1)] = end[-(xy - 1)];
+		a.push(point);
+		addPoints(cutLine.to, end[xy], INT, xy, end[-(xy - 1)], a);
+	} else {
+		addPoints(start[xy], cutLine.from, INT, xy, start[-(xy - 1)], a);
+		var point = [];
+		point[xy] = cutLine.from;
+		point[-(xy - 1)] = start[-(xy - 1)];
+		a.push(point);
+		point = [];
+		point[xy] = cutLine.from;
+		point[-(xy - 1)] = end[-(xy - 1)];
+		a.push(point);
+		addPoints(cutLine.from, end[xy], INT, xy, end[-(xy - 1)], a);
+	}
+	if (a == b) {
+		a.push(a[0]);
+		return a;
+	} else {
+		a.push.apply(a, b);
+		b = a;
+		return a;
+	}
+};
+
+/**
+* Check if a hole is in a linear ring, testing its first point.
+* @param {Array.<ol.Coordinate>} hole
+* @param {Array.<ol.Coordinate>} ring Clockwise ring.
+* @return {boolean}
+*/
+ol.cut.holeInRing = function(hole, ring) {
+	return ol.cut.pointInRing(hole[0], ring);
+};
+
+/**
+* Check if a point is in a linear ring on the sphere. Edges are great circle arcs, except the ones along pole lines.
+* Counts crossings of the meridian running from point to the north pole. Rings winding around a pole are
+* supposed to be clockwise: westward ones contain the north pole, eastward ones the south pole.
+* @param {ol.Coordinate} point
+* @param {Array.<ol.Coordinate>} ring
+* @return {boolean}
+*/
+ol.cut.pointInRing = function(point, ring) {
+	var inside = false;
+	var winding = 0;
+	var rad = Math.PI / 180;
+	for (var i = 1; i < ring.length; i++) {
+		var a = ring[i - 1];
+		var b = [ring[i][0], ring[i][1]];
+		if (b[0] - a[0] > 180) {
+			b[0] -= 360;
+		} else if (b[0] - a[0] < -180) {
+			b[0] += 360;
+		}
+		winding += b[0] - a[0];
+		for (var shift = -360; shift <= 360; shift += 360) {
+			var x = point[0] + shift;
+			if ((a[0] > x) != (b[0] > x)) {
+				var t = (x - a[0]) / (b[0] - a[0]);
+				var sin = Math.sin((b[0] - a[0]) * rad);
+				if (Math.abs(a[1]) >= 90 || Math.abs(b[1]) >= 90 || Math.abs(sin) < 1e-12) {
+					var f = a[1] + t * (b[1] - a[1]);
+				} else {
+					var f = Math.atan((Math.tan(a[1] * rad) * Math.sin((b[0] - x) * rad) +
+						Math.tan(b[1] * rad) * Math.sin((x - a[0]) * rad)) / sin) / rad;
+				}
+				if (f > point[1]) {
+					inside = !inside;
+				}
+			}
+		}
+	}
+	return winding < -180 ? !inside : inside;
+};
+
+/**
+* Adds a point to a linestring. Modifies original array.
+* @param {Array.<ol.Coordinate>} lineString
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+*/
+ol.cut.addPoint = function(lineString, point, cutLine) {
+	if (lineString.length == 0 ||
+	((cutLine.type != 'parallel' || Math.abs(cutLine.deg) < 90 || lineString[lineString.length - 1][1] + point[1] != 2 * cutLine.deg) &&
+	(lineString[lineString.length - 1][0] != point[0] ||
+	lineString[lineString.length - 1][1] != point[1]))) {
+		lineString.push(point);
+	}
+}
+
+
+/**
+* Cuts a line string into pieces. Pieces on the removed side of cut lines in clip mode are dropped.
+* @param {Array.<ol.Coordinate>} lineString
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {boolean=} opt_noClip Keep pieces on both sides even in clip mode.
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.cutLineString = function (lineString, cutLine, e, opt_noClip) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.cutLineString(ol.cut.toFrame(lineString, frame), frame.cutLine, e, opt_noClip), frame, true);
+	}
+	var out = [];
+	var stack = [];
+	for (var i = 1; i < lineString.length; i++) {
+		ol.cut.addPoint(stack, ol.cut.move(lineString[i - 1], cutLine, e), cutLine);
+		if (ol.cut.hasIntersect(lineString[i - 1], lineString[i], cutLine)) {
+			var intPoint = ol.cut.sharedEdge(cutLine.type + cutLine.deg, lineString[i - 1], lineString[i], function (a, b) {
+				return [ol.cut.intersect(a, b, cutLine)];
+			})[0];
+			if (ol.cut.intersectBetween(intPoint, cutLine)) {
+				ol.cut.addPoint(stack, ol.cut.moveIntersection(intPoint, lineString[i - 1], cutLine, e), cutLine);
+				if (stack.length > 1 || out.length == 0) {
+					out.push(stack);
+				}
+				stack = [ol.cut.moveIntersection(intPoint, lineString[i], cutLine, e)];
+			}
+		}
+	}
+	ol.cut.addPoint(stack, ol.cut.move(lineString[i - 1], cutLine, e), cutLine);
+	out.push(stack);
+	if (!opt_noClip) {
+		return ol.cut.clip(out, cutLine);
+	} else if (out.length > 0) {
+		return out;
+	} else {
+		return [lineString];
+	}
+};
+
+/**
+* Cuts a polygon into pieces.
+* @param {Array.<Array.<ol.Coordinate>>} polygon
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {Array.<Array.<Array.<ol.Coordinate>>>}
+*/
+ol.cut.cutPolygon = function (polygon, cutLine, e) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.cutPolygon(ol.cut.toFrame(polygon, frame), frame.cutLine, e), frame, true);
+	}
+	var segments = ol.cut.cutLineString(polygon[0], cutLine, e, true);
+	if (segments.length == 1) {
+		if (!ol.cut.keeps(segments[0][0], cutLine)) {
+			return [];
+		}
+		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) == 90) {
+			polygon = ol.cut.cutPole(polygon, cutLine, e);
+			// if (getArea(polygon[0]) < 1e-8)
+			//	console.log(getArea(polygon[0]));
+		}
+		return [polygon];
+	}
+	segments[0].shift();
+	segments[0] = segments[segments.length - 1].concat(segments[0]);
+	segments.pop();
+	var holes = [];
+	var rings = [];
+	for (var i = 1; i < polygon.length; i++) {
+		var temp = ol.cut.cutLineString(polygon[i], cutLine, e, true);
+		if (temp.length == 1) {
+			if (ol.cut.keeps(temp[0][0], cutLine)) {
+				holes.push(temp[0]);
+			}
+		} else {
+			temp[0].shift();
+			temp[0] = temp[temp.length - 1].concat(temp[0]);
+			temp.pop();
+			segments = segments.concat(temp);
+		}
+	}
+	// Drop pieces lying along the cut line, having no vertex off it
+	for (var i = 0; i < segments.length; i++) {
+		var j = 0;
+		while (j < segments[i].length && ol.cut.onCutLine(segments[i][j], [cutLine], e) != -1) {
+			j++;
+		}
+		if (j == segments[i].length) {
+			segments.splice(i, 1);
+			i--;
+		}
+	}
+	ol.cut.clip(segments, cutLine);
+	if (segments.length == 0)
+	{
+		if (cutLine.mode == 'clip') {
+			return [];
+		}
+		ol.cut.warn(ol.cut.CutError.Code.EMPTY_GEOMETRY, {polygon: polygon, cutLine: cutLine});
+		return [[[[0, 0], [0, 0]]]];
+	}
+	var sorted = ol.cut.orderLineStrings(segments, cutLine);
+	for (var i = 0; i < segments.length; i++) {
+		var con = ol.cut.connectSegments(sorted.end[i], sorted.start[i], cutLine);
+		if (con[0] == con[con.length - 1]) {
+			rings.push([con]);
+		} else {
+			sorted.end[sorted.end.indexOf(sorted.start[i])] = sorted.end[i];
+		}
+	}
+	for (var i = 0; i < holes.length; i++) {
+		var j = 0;
+		while(j < rings.length && !ol.cut.holeInRing(holes[i], rings[j][0])) {
+			j++;
+		}
+		if (j == rings.length) {
+			ol.cut.warn(ol.cut.CutError.Code.HOLE_OUTSIDE, {hole: holes[i], cutLine: cutLine});
+		} else {
+			rings[j].push(holes[i]);
+		}
+	}
+	return rings;
+};
+
+/**
+* Cuts a polygon with pole line.
+* @param {Array.<Array.<ol.Coordinate>>} polygon
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.cutPole = function (polygon, cutLine, e) {
+	var pole = 0;
+	for (var i = 0; i < polygon[0].length - 1; i++) {
+		if (polygon[0][i][0] - polygon[0][i + 1][0] > 180) {
+			pole -= 1;
+		}
+		if (polygon[0][i][0] - polygon[0][i + 1][0] < -180) {
+			pole += 1;
+		}
+	}
+	if (pole == 0 || (pole < 0) != (cutLine.deg < 0) || polygon[0][0][1] == -cutLine.deg) {
+		return polygon;
+	}
+	for (var j = 1; j < polygon.length; j++) {
+		for (var i = 0; i < polygon[j].length - 1; i++) {
+			if (polygon[j][i][0] - polygon[j][i + 1][0] > 180) {
+				pole -= 1;
+			}
+			if (polygon[j][i][0] - polygon[j][i + 1][0] < -180) {
+				pole += 1;
+			}
+		}
+		if (pole == 0) {
+			polygon.unshift(polygon.splice(j, 1)[0]);
+			polygon[0] = ol.cut.cutPolygon([polygon[0]], cutLine, e)[0][0];
+			return polygon;
+		}
+	}
+	var line = ol.cut.connectSegments([[0, cutLine.deg]], [[pole * 180, cutLine.deg]], cutLine);
+	line.pop();
+	line = line.concat(ol.cut.connectSegments([[pole * -180, cutLine.deg]], [[0, cutLine.deg]], cutLine));
+	polygon.unshift(line);
+	return polygon;
+}
+
+/**
+* Area of the region on the right of the ring (the one a clockwise ring encloses) on the unit sphere.
+* Exact spherical excess for great circle edges, for rings of any size.
+* @param {Array.<ol.Coordinate>} ring Closed ring.
+* @return {number} Area in steradians, between 0 and 4 * PI.
+* @api
+*/
+ol.cut.sphericalArea = function (ring) {
+	var sum = 0;
+	var a = ol.cut.toVector(ring[0]);
+	var c = ol.cut.toVector(ring[1]);
+	for (var i = 1; i < ring.length - 1; i++) {
+		var b = c;
+		c = ol.cut.toVector(ring[i + 1]);
+		var triple = a[0] * (b[1] * c[2] - b[2] * c[1]) + a[1] * (b[2] * c[0] - b[0] * c[2]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+		var dot = 1 + a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + b[0] * c[0] + b[1] * c[1] + b[2] * c[2] +
+			c[0] * a[0] + c[1] * a[1] + c[2] * a[2];
+		sum += 2 * Math.atan2(triple, dot);
+	}
+	// sum is the counterclockwise area, modulo 4 * PI
+	var area = (-sum) % (4 * Math.PI);
+	return area < 0 ? area + 4 * Math.PI : area;
+};
+
+/**
+* Decides if a ring is clockwise as drawn on a map in geographic coordinates. Edges cross the antimeridian the short way,
+* edges along pole lines have no area. A ring winding around a pole encloses the pole it touches
+* (eg. Antarctica), or if it touches none, the smaller cap.
+* @param {Array.<ol.Coordinate>} ring Closed ring.
+* @return {boolean}
+* @api
+*/
+ol.cut.isClockwise = function (ring) {
+	var winding = 0;
+	var sum = 0;
+	var north = false;
+	var south = false;
+	for (var i = 1; i < ring.length; i++) {
+		var dl = ring[i][0] - ring[i - 1][0];
+		if (dl > 180) {
+			dl -= 360;
+		} else if (dl < -180) {
+			dl += 360;
+		}
+		winding += dl;
+		sum += dl * (ring[i][1] + ring[i - 1][1]);
+		north = north || ring[i][1] >= 90;
+		south = south || ring[i][1] <= -90;
+	}
+	if (Math.abs(winding) < 180) {
+		return sum > 0;
+	} else if (north != south) {
+		return (winding > 0) == south;
+	}
+	return ol.cut.sphericalArea(ring) < 2 * Math.PI;
+};
+
+/**
+* Rings with smaller area (steradians) are removed by ol.cut.orient as slivers.
+* @type {number}
+* @api
+*/
+ol.cut.sliverArea = 1e-12;
+
+/**
+* Sets the exterior ring (the one enclosing the biggest area) first and clockwise, holes counterclockwise.
+* Removes slivers. Modifies original array.
+* @param {Array.<Array.<ol.Coordinate>>} polygon
+* @param {number=} opt_sliverArea Default ol.cut.sliverArea.
+* @return {Array.<Array.<ol.Coordinate>>}
+* @api
+*/
+ol.cut.orient = function (polygon, opt_sliverArea) {
+	var sliverArea = typeof opt_sliverArea === 'undefined' ? ol.cut.sliverArea : opt_sliverArea;
+	var max = -Infinity;
+	var biggest = 0;
+	var clockwise = [];
+	for (var i = 0; i < polygon.length; i++) {
+		var area = ol.cut.sphericalArea(polygon[i]);
+		if (area < sliverArea || 4 * Math.PI - area < sliverArea) {
+			ol.cut.warn(ol.cut.CutError.Code.SLIVER_REMOVED, {ring: polygon[i], area: Math.min(area, 4 * Math.PI - area)});
+			polygon.splice(i, 1);
+			i--;
+			continue;
+		}
+		clockwise[i] = ol.cut.isClockwise(polygon[i]);
+		area = clockwise[i] ? area : 4 * Math.PI - area;
+		if (area > max) {
+			max = area;
+			biggest = i;
+		}
+	}
+	if (polygon.length == 0) {
+		ol.cut.warn(ol.cut.CutError.Code.EMPTY_GEOMETRY, {});
+		return [[[0, 0], [0, 0]]];
+	}
+	if (biggest > 0) {
+		polygon.unshift(polygon.splice(biggest, 1)[0]);
+		clockwise.unshift(clockwise.splice(biggest, 1)[0]);
+	}
+	for (var i = 0; i < polygon.length; i++) {
+		if (clockwise[i] == (i > 0)) {
+			ol.cut.warn(ol.cut.CutError.Code.RING_REVERSED, {ring: polygon[i]});
+			polygon[i].reverse();
+		}
+	}
+	return polygon;
+};
+
+/**
+* Pole of inaccessibility of a polygon: its inner point farthest from the boundary, found by subdividing cells
+* of its bounding box. Planar, for coordinates not crossing the antimeridian.
+* @param {Array.<Array.<ol.Coordinate>>} polygon
+* @param {number} precision Cells are not subdivided below this size.
+* @return {ol.Coordinate}
+*/
+ol.cut.inaccessibility = function (polygon, precision) {
+	var MAXCELLS = 10000;
+	var extent = ol.cut.coordinatesExtent(polygon[0]);
+	var size = Math.min(extent[2] - extent[0], extent[3] - extent[1]);
+	if (size == 0) {
+		return polygon[0][0].slice(0, 2);
+	}
+	var distance = function (x, y) {
+		var inside = false;
+		var min = Infinity;
+		for (var k = 0; k < polygon.length; k++) {
+			var ring = polygon[k];
+			for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+				var a = ring[i];
+				var b = ring[j];
+				if ((a[1] > y) != (b[1] > y) && x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]) {
+					inside = !inside;
+				}
+				var dx = b[0] - a[0];
+				var dy = b[1] - a[1];
+				var t = dx || dy ? Math.max(0, Math.min(1, ((x - a[0]) * dx + (y - a[1]) * dy) / (dx * dx + dy * dy))) : 0;
+				var ex = x - a[0] - t * dx;
+				var ey = y - a[1] - t * dy;
+				min = Math.min(min, ex * ex + ey * ey);
+			}
+		}
+		return (inside ? 1 : -1) * Math.sqrt(min);
+	};
+	var cell = function (x, y, h) {
+		var d = distance(x, y);
+		return {x: x, y: y, h: h, d: d, max: d + h * Math.SQRT2};
+	};
+	var queue = [];
+	for (var x = extent[0]; x < extent[2]; x += size) {
+		for (var y = extent[1]; y < extent[3]; y += size) {
+			queue.push(cell(x + size / 2, y + size / 2, size / 2));
+		}
+	}
+	var best = cell((extent[0] + extent[2]) / 2, (extent[1] + extent[3]) / 2, 0);
+	for (var count = queue.length; queue.length && count < MAXCELLS; count += 4) {
+		var top = 0;
+		for (var i = 1; i < queue.length; i++) {
+			if (queue[i].max > queue[top].max) {
+				top = i;
+			}
+		}
+		var c = queue.splice(top, 1)[0];
+		if (c.d > best.d) {
+			best = c;
+		}
+		if (c.max - best.d <= precision) {
+			break;
+		}
+		var h = c.h / 2;
+		queue.push(cell(c.x - h, c.y - h, h), cell(c.x + h, c.y - h, h), cell(c.x - h, c.y + h, h), cell(c.x + h, c.y + h, h));
+	}
+	return [best.x, best.y];
+};
+
+/**
+* Label point of cut polygons: the pole of inaccessibility of the largest one (by spherical area), in the metagraticule.
+* Distances are measured with longitudes scaled by the cosine of the middle latitude of the polygon.
+* @param {Array.<Array.<Array.<ol.Coordinate>>>} polygons Cut polygons in the metagraticule.
+* @return {ol.Coordinate|null} Null if there is no polygon, or the largest one winds around a pole.
+*/
+ol.cut.labelPoint = function (polygons) {
+	var largest = null;
+	var max = -1;
+	for (var i = 0; i < polygons.length; i++) {
+		var area = 0;
+		for (var j = 0; j < polygons[i].length; j++) {
+			var a = ol.cut.sphericalArea(polygons[i][j]);
+			a = Math.min(a, 4 * Math.PI - a);
+			area += j == 0 ? a : -a;
+		}
+		if (area > max) {
+			max = area;
+			largest = polygons[i];
+		}
+	}
+	if (!largest) {
+		return null;
+	}
+	// Unwraps longitudes around the first vertex, in case the polygon crosses the antimeridian (azimuthal cuts)
+	var x0 = largest[0][0][0];
+	var polygon = largest.map(function (ring) {
+		var prev = x0;
+		return ring.map(function (point) {
+			var x = point[0] + 360 * Math.round((prev - point[0]) / 360);
+			prev = x;
+			return [x, point[1]];
+		});
+	});
+	var exterior = polygon[0];
+	if (Math.abs(exterior[exterior.length - 1][0] - exterior[0][0]) > 1e-6) {
+		return null;
+	}
+	var extent = ol.cut.coordinatesExtent(exterior);
+	var scale = Math.max(0.01, Math.cos((extent[1] + extent[3]) / 360 * Math.PI));
+	var scaled = polygon.map(function (ring) {
+		return ring.map(function (point) {
+			return [point[0] * scale, point[1]];
+		});
+	});
+	var point = ol.cut.inaccessibility(scaled, Math.max((extent[2] - extent[0]) * scale, extent[3] - extent[1]) / 100);
+	var x = point[0] / scale;
+	return [x - 360 * Math.round(x / 360), point[1]];
+};
+
+/**
+* Index of the cut line the point lies on (as moved by ol.cut.move or ol.cut.moveIntersection), or -1.
+* @param {ol.Coordinate} point
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {number}
+*/
+ol.cut.onCutLine = function (point, cutLines, e) {
+	for (var i = 0; i < cutLines.length; i++) {
+		var cutLine = cutLines[i];
+		var frame = ol.cut.frame(cutLine);
+		if (frame) {
+			point = ol.cut.toFrame(point, frame);
+			cutLine = frame.cutLine;
+		}
+		if (cutLine.type == 'meridian') {
+			var d = Math.abs(cutLine.deg) == 180 ? 180 - Math.abs(point[0]) : Math.abs(point[0] - cutLine.deg);
+			var along = point[1];
+		} else {
+			var d = Math.abs(point[1] - cutLine.deg);
+			var along = point[0];
+		}
+		if (d <= 10 * e && along >= cutLine.from - 10 * e && along <= cutLine.to + 10 * e) {
+			return i;
+		}
+		if (frame) {
+			point = ol.cut.toFrame(point, frame, true);
+		}
+	}
+	return -1;
+};
+
+/**
+* Splits a ring of a cut polygon at runs of points lying on cut lines.
+* @param {Array.<ol.Coordinate>} ring
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<ol.cut.Chain_>|null} Chains in ring order, null if ring does not touch any cut line.
+* Empty array if the ring lies on cut lines only.
+*/
+ol.cut.splitRing = function (ring, cutLines, e) {
+	var points = ring.slice(0, ring.length - 1);
+	var on = [];
+	var first = -1;
+	for (var i = 0; i < points.length; i++) {
+		on[i] = ol.cut.onCutLine(points[i], cutLines, e);
+	}
+	for (var i = 0; i < points.length; i++) {
+		if (on[i] != -1 && on[(i + 1) % points.length] == -1) {
+			first = i;
+			break;
+		}
+	}
+	if (first == -1) {
+		return on[0] == -1 ? null : [];
+	}
+	points = points.slice(first).concat(points.slice(0, first));
+	on = on.slice(first).concat(on.slice(0, first));
+	var chains = [];
+	var i = 0;
+	while (i < points.length) {
+		var chain = {points: [points[i]], tail: [], startLine: on[i], next: null};
+		i++;
+		while (on[i % points.length] == -1) {
+			chain.points.push(points[i]);
+			i++;
+		}
+		chain.endLine = on[i % points.length];
+		chain.end = points[i % points.length];
+		while (i < points.length && (on[(i + 1) % points.length] != -1)) {
+			chain.tail.push(points[i]);
+			i++;
+		}
+		chains.push(chain);
+	}
+	for (var i = 0; i < chains.length; i++) {
+		chains[i].next = chains[(i + 1) % chains.length];
+	}
+	return chains;
+};
+
+/**
+* Real edges of cut polygons: the rings without the edges added along cut lines while cutting.
+* @param {Array.<Array.<Array.<ol.Coordinate>>>} polygons
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<Array.<ol.Coordinate>>|null} Line strings of consecutive real edges, null if no ring touches any cut line.
+*/
+ol.cut.realEdges = function (polygons, cutLines, e) {
+	var out = [];
+	var cut = false;
+	for (var i = 0; i < polygons.length; i++) {
+		for (var j = 0; j < polygons[i].length; j++) {
+			var chains = ol.cut.splitRing(polygons[i][j], cutLines, e);
+			if (chains === null) {
+				out.push(polygons[i][j]);
+				continue;
+			}
+			cut = true;
+			for (var k = 0; k < chains.length; k++) {
+				out.push(chains[k].points.concat([chains[k].end]));
+			}
+		}
+	}
+	return cut ? out : null;
+};
+
+/**
+* Piece of a cut ring or line string between two cut lines.
+* points: vertices, the first one lies on startLine.
+* end: vertex on endLine after the last point. Undefined if the line string does not end on a cut line.
+* tail: points along endLine added while cutting (including end), followed by next.
+* next: following chain of the same ring, null for line strings.
+* @typedef {{points: Array.<ol.Coordinate>, tail: Array.<ol.Coordinate>, end: (ol.Coordinate|undefined),
+* startLine: number, endLine: number, next: Object}}
+* @private
+*/
+ol.cut.Chain_;
+
+/**
+* Points of a chain along its end line: end and tail, followed by the start of next.
+* @param {ol.cut.Chain_} chain
+* @return {Array.<ol.Coordinate>}
+*/
+ol.cut.run = function (chain) {
+	return chain.tail.concat([chain.next ? chain.next.points[0] : chain.end]);
+};
+
+/**
+* Finds for each chain the one continuing it on the other side of a cut line.
+* The pair starts at a point of the run (see ol.cut.run) of the chain, usually the first one.
+* Points of the run before it are real vertices lying on the cut line, the rest was added while cutting.
+* Chains without a matching pair are continued with the next chain of their ring.
+* @param {Array.<ol.cut.Chain_>} chains
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @return {Array.<{chain: ol.cut.Chain_, at: number}|null>} Pair of chain at the same index, and index of its start
+* in the run.
+*/
+ol.cut.pairChains = function (chains, cutLines) {
+	var TOL = 1e-4;
+	var pairs = [];
+	var used = [];
+	for (var i = 0; i < chains.length; i++) {
+		pairs[i] = null;
+		var a = chains[i];
+		if (a.endLine == -1 || typeof a.end === 'undefined') {
+			continue;
+		}
+		var cutLine = cutLines[a.endLine];
+		var frame = ol.cut.frame(cutLine);
+		var run = ol.cut.run(a);
+		for (var k = 0; k < run.length; k++) {
+			run[k] = frame ? ol.cut.toFrame(run[k], frame) : run[k];
+		}
+		cutLine = frame ? frame.cutLine : cutLine;
+		var pole = cutLine.type == 'parallel' && Math.abs(cutLine.deg) == 90;
+		var xy = cutLine.type == 'meridian' ? 1 : 0;
+		var best = -1;
+		var bestAt = run.length;
+		var bestDist = TOL;
+		for (var j = 0; j < chains.length; j++) {
+			var b = chains[j];
+			if (used[j] || b.startLine != a.endLine) {
+				continue;
+			}
+			var start = frame ? ol.cut.toFrame(b.points[0], frame) : b.points[0];
+			if (!pole && ol.cut.side(run[0], cutLine) == ol.cut.side(start, cutLine)) {
+				continue;
+			}
+			// Across a pole line only the end itself may continue
+			for (var k = 0; k < (pole ? 1 : run.length) && k <= bestAt; k++) {
+				var dist = pole ? Math.abs(Math.abs(run[k][0] - start[0]) - 180) : Math.abs(run[k][xy] - start[xy]);
+				if (dist <= TOL && (k < bestAt || dist <= bestDist)) {
+					best = j;
+					bestAt = k;
+					bestDist = dist;
+				}
+			}
+		}
+		if (best != -1) {
+			used[best] = true;
+			pairs[i] = {chain: chains[best], at: bestAt};
+		}
+	}
+	return pairs;
+};
+
+/**
+* Point on cutLine where two chains are joined.
+* @param {ol.Coordinate} a End of first chain.
+* @param {ol.Coordinate} b Start of second chain.
+* @param {ol.cut.CutLine} cutLine
+* @return {ol.Coordinate}
+*/
+ol.cut.joinPoint = function (a, b, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.joinPoint(ol.cut.toFrame(a, frame), ol.cut.toFrame(b, frame), frame.cutLine), frame, true);
+	}
+	if (cutLine.type == 'meridian') {
+		return [Math.abs(cutLine.deg) == 180 ? (a[0] > 0 ? 180 : -180) : cutLine.deg, (a[1] + b[1]) / 2];
+	} else if (Math.abs(cutLine.deg) == 90) {
+		return [a[0], cutLine.deg];
+	} else {
+		return [(a[0] + b[0]) / 2, cutLine.deg];
+	}
+};
+
+/**
+* Joins chains into line strings (or rings, if closed is true).
+* @param {Array.<ol.cut.Chain_>} chains
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {boolean} closed
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.joinChains = function (chains, cutLines, closed) {
+	var pairs = ol.cut.pairChains(chains, cutLines);
+	var prev = [];
+	for (var i = 0; i < chains.length; i++) {
+		var next = pairs[i] ? pairs[i].chain : chains[i].next;
+		if (next) {
+			prev[chains.indexOf(next)] = i;
+		}
+	}
+	var done = [];
+	var out = [];
+	var order = [];
+	// Start with chains having no predecessor (only line strings), then with the rest
+	for (var i = 0; i < chains.length; i++) {
+		if (typeof prev[i] === 'undefined') {
+			order.push(i);
+		}
+	}
+	for (var i = 0; i < chains.length; i++) {
+		order.push(i);
+	}
+	for (var k = 0; k < order.length; k++) {
+		var i = order[k];
+		if (done[i]) {
+			continue;
+		}
+		var line = [];
+		var skipFirst = false;
+		while (i != -1 && !done[i]) {
+			done[i] = true;
+			var chain = chains[i];
+			line.push.apply(line, chain.points.slice(skipFirst ? 1 : 0));
+			skipFirst = false;
+			if (pairs[i]) {
+				var run = ol.cut.run(chain);
+				var at = pairs[i].at;
+				for (var j = 0; j < at; j++) {
+					line.push(ol.cut.joinPoint(run[j], run[j], cutLines[chain.endLine]));
+				}
+				line.push(ol.cut.joinPoint(run[at], pairs[i].chain.points[0], cutLines[chain.endLine]));
+				skipFirst = true;
+				i = chains.indexOf(pairs[i].chain);
+			} else if (chain.next) {
+				line.push.apply(line, chain.tail);
+				i = chains.indexOf(chain.next);
+			} else {
+				if (typeof chain.end !== 'undefined') {
+					line.push(chain.end);
+				}
+				i = -1;
+			}
+		}
+		if (closed || i != -1) {
+			if (skipFirst) {
+				line[0] = line.pop();
+			}
+			line.push(line[0]);
+		}
+		out.push(line);
+	}
+	return out;
+};
+
+/**
+* Joins pieces of polygons cut by ol.cut.cutPolygon.
+* @param {Array.<Array.<Array.<ol.Coordinate>>>} polygons
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<Array.<Array.<ol.Coordinate>>>}
+*/
+ol.cut.stitchPolygons = function (polygons, cutLines, e) {
+	var chains = [];
+	var rings = [];
+	for (var i = 0; i < polygons.length; i++) {
+		for (var j = 0; j < polygons[i].length; j++) {
+			var temp = ol.cut.splitRing(polygons[i][j], cutLines, e);
+			if (temp === null) {
+				rings.push(polygons[i][j]);
+			} else {
+				chains = chains.concat(temp);
+			}
+		}
+	}
+	rings = rings.concat(ol.cut.joinChains(chains, cutLines, true));
+	var out = [];
+	var holes = [];
+	for (var i = 0; i < rings.length; i++) {
+		if (rings[i].length < 4) {
+			continue;
+		}
+		if (ol.cut.isClockwise(rings[i])) {
+			out.push([rings[i]]);
+		} else {
+			holes.push(rings[i]);
+		}
+	}
+	if (out.length == 0) {
+		for (var i = 0; i < holes.length; i++) {
+			out.push([holes[i]]);
+		}
+		return out;
+	}
+	for (var i = 0; i < holes.length; i++) {
+		var j = 0;
+		while(j < out.length && !ol.cut.holeInRing(holes[i], out[j][0])) {
+			j++;
+		}
+		if (j == out.length) {
+			ol.cut.warn(ol.cut.CutError.Code.HOLE_OUTSIDE, {hole: holes[i], cutLines: cutLines});
+		} else {
+			out[j].push(holes[i]);
+		}
+	}
+	return out;
+};
+
+/**
+* Joins pieces of line strings cut by ol.cut.cutLineString.
+* @param {Array.<Array.<ol.Coordinate>>} lineStrings
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.stitchLineStrings = function (lineStrings, cutLines, e) {
+	var chains = [];
+	for (var i = 0; i < lineStrings.length; i++) {
+		var last = lineStrings[i][lineStrings[i].length - 1];
+		var endLine = ol.cut.onCutLine(last, cutLines, e);
+		chains.push({
+			points: endLine == -1 ? lineStrings[i] : lineStrings[i].slice(0, lineStrings[i].length - 1),
+			tail: [],
+			end: endLine == -1 ? undefined : last,
+			startLine: ol.cut.onCutLine(lineStrings[i][0], cutLines, e),
+			endLine: endLine,
+			next: null
+		});
+	}
+	return ol.cut.joinChains(chains, cutLines, false);
+};
+
+/**
+* Joins pieces of a geometry cut with ol.cut.cutGeometry, and transforms it back to EPSG:4326.
+* Modifies geometry in place. clone() it before, if original needs to be preserved.
+* @param {ol.geom.Geometry} geom
+* @param {ol.proj.ProjectionLike|undefined} metaName SRS of the metagraticule. Default EPSG:4326.
+* @param {ol.proj.ProjectionLike|undefined} source Projection of geom. Default EPSG:4326.
+* @param {boolean|undefined} azimuthal See readCutFeatures.
+* @param {Array.<ol.cut.CutLine>|undefined} cutLines See readCutFeatures.
+* @return {ol.geom.Geometry} Joined geometry (may be a new object).
+*/
+ol.cut.stitchGeometry = function (geom, metaName, source, azimuthal, cutLines) {
+	if (!geom) {
+		return geom;
+	}
+	cutLines = ol.cut.getCutLines(azimuthal, cutLines, source);
+	var e = 1e-6;
+	geom.transform(source || 'EPSG:4326', metaName || 'EPSG:4326');
+	geom = geom.stitch(cutLines, e);
+	return geom.transform(metaName || 'EPSG:4326', 'EPSG:4326');
+};
+
+/**
+* Cuts coordinates of a geometry with cutLine. Does not depend on OpenLayers geometries, so it may run in a worker.
+* Coordinates of types other than Point, MultiPoint, LineString, MultiLineString, Polygon and MultiPolygon are returned unchanged.
+* @param {string} type Geometry type.
+* @param {Array} coordinates Coordinates of the geometry in spherical coords.
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {Array.<number>=} opt_parts Original part index of every part of the geometry. Default: ol.cut.parts.
+* @return {{type: string, coordinates: Array, parts: Array.<number>}} Type may change, eg. a cut LineString becomes
+* MultiLineString. Parts are the original part indices of the parts of the cut geometry.
+*/
+ol.cut.cutCoordinates = function (type, coordinates, cutLine, e, opt_parts) {
+	var out = [];
+	var parts = [];
+	var inp = opt_parts || (type in ol.cut.depths_ ? ol.cut.parts(type, coordinates) : []);
+	if (type == 'Point') {
+		var point = ol.cut.move(coordinates, cutLine, e);
+		return ol.cut.keeps(point, cutLine) ? {type: type, coordinates: point, parts: inp.slice()} :
+			{type: 'MultiPoint', coordinates: [], parts: []};
+	} else if (type == 'MultiPoint') {
+		for (var i = 0; i < coordinates.length; i++) {
+			var point = ol.cut.move(coordinates[i], cutLine, e);
+			if (ol.cut.keeps(point, cutLine)) {
+				out.push(point);
+				parts.push(inp[i]);
+			}
+		}
+		return {type: type, coordinates: out, parts: parts};
+	} else if (type == 'LineString' || type == 'Polygon') {
+		out = type == 'LineString' ? ol.cut.cutLineString(coordinates, cutLine, e) : ol.cut.cutPolygon(coordinates, cutLine, e);
+		for (var i = 0; i < out.length; i++) {
+			parts.push(inp[0]);
+		}
+		return out.length == 1 ? {type: type, coordinates: out[0], parts: parts} :
+			{type: 'Multi' + type, coordinates: out, parts: parts};
+	} else if (type == 'MultiLineString' || type == 'MultiPolygon') {
+		for (var i = 0; i < coordinates.length; i++) {
+			var stack = type == 'MultiLineString' ? ol.cut.cutLineString(coordinates[i], cutLine, e) :
+				ol.cut.cutPolygon(coordinates[i], cutLine, e);
+			for (var j = 0; j < stack.length; j++) {
+				out.push(stack[j]);
+				parts.push(inp[i]);
+			}
+		}
+		return {type: type, coordinates: out, parts: parts};
+	}
+	return {type: type, coordinates: coordinates, parts: inp.slice()};
+};
+
+/**
+* Copies the x and y of flat coordinates from offset to end.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @return {Array.<number>} Flat coordinates of stride 2.
+* @private
+*/
+ol.cut.copyFlat_ = function (flat, offset, end, stride) {
+	var out = [];
+	for (var i = offset; i < end; i += stride) {
+		out.push(flat[i], flat[i + 1]);
+	}
+	return out;
+};
+
+/**
+* Extent of flat coordinates.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} stride
+* @return {ol.Extent}
+*/
+ol.cut.flatExtent = function (flat, stride) {
+	var extent = [Infinity, Infinity, -Infinity, -Infinity];
+	for (var i = 0; i < flat.length; i += stride) {
+		extent[0] = Math.min(extent[0], flat[i]);
+		extent[1] = Math.min(extent[1], flat[i + 1]);
+		extent[2] = Math.max(extent[2], flat[i]);
+		extent[3] = Math.max(extent[3], flat[i + 1]);
+	}
+	return extent;
+};
+
+/**
+* Rotates flat coordinates into the graticule of frame, as ol.cut.toFrame does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @param {{l0: number, f0: number, lm: number}} frame
+* @param {boolean=} opt_inverse Rotate back from the graticule of frame.
+* @return {Array.<number>} Flat coordinates of stride 2.
+*/
+ol.cut.toFrameFlat = function (flat, offset, end, stride, frame, opt_inverse) {
+	var out = [];
+	for (var i = offset; i < end; i += stride) {
+		var point = ol.cut.toFrame([flat[i], flat[i + 1]], frame, opt_inverse);
+		out.push(point[0], point[1]);
+	}
+	return out;
+};
+
+/**
+* Moves the point x, y if too close to a meridian or parallel cut line, as ol.cut.move does.
+* @param {number} x
+* @param {number} y
+* @param {ol.cut.CutLine} cutLine Meridian or parallel.
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {Array.<number>} out Receives the moved point.
+* @private
+*/
+ol.cut.moveXY_ = function (x, y, cutLine, e, out) {
+	out[0] = x;
+	out[1] = y;
+	if (cutLine.type == 'meridian') {
+		if (!(y >= cutLine.from && y <= cutLine.to)) {
+			return;
+		}
+		if (Math.abs(cutLine.deg) == 180) {
+			if (Math.abs(x) > 180 - e) {
+				out[0] = (x > 0 ? 1 : -1) * (180 - e);
+			}
+		} else if (Math.abs(x - cutLine.deg) < e) {
+			out[0] = cutLine.deg + (x >= cutLine.deg ? 1 : -1) * e;
+		}
+	} else if (x >= cutLine.from && x <= cutLine.to && Math.abs(y - cutLine.deg) < e) {
+		out[1] = cutLine.deg + (y >= cutLine.deg && cutLine.deg < 90 ? 1 : -1) * e;
+	}
+};
+
+/**
+* Decides if the edge from ax, ay to bx, by intersects with a meridian or parallel cut line, as ol.cut.hasIntersect does.
+* @param {number} ax
+* @param {number} ay
+* @param {number} bx
+* @param {number} by
+* @param {ol.cut.CutLine} cutLine Meridian or parallel.
+* @return {boolean}
+* @private
+*/
+ol.cut.hasIntersectXY_ = function (ax, ay, bx, by, cutLine) {
+	if (cutLine.type == 'meridian') {
+		if (Math.abs(cutLine.deg) == 180) {
+			return Math.abs(ax - bx) > 180;
+		}
+		return ((ax < cutLine.deg) != (bx < cutLine.deg)) && (Math.abs(ax - bx) < 180);
+	} else if (Math.abs(cutLine.deg) == 90) {
+		return (Math.abs(Math.abs(ax - bx) - 180) < (180 - 180 * Math.sqrt((90 - Math.abs(ay)) * (90 - Math.abs(by))))) &&
+			((ay + by > 0) != (cutLine.deg < 0));
+	}
+	return (ay < cutLine.deg) != (by < cutLine.deg);
+};
+
+/**
+* Adds the point x, y to flat coordinates, as ol.cut.addPoint does. Modifies original array.
+* @param {Array.<number>} flat
+* @param {number} x
+* @param {number} y
+* @param {ol.cut.CutLine} cutLine
+* @private
+*/
+ol.cut.addPointXY_ = function (flat, x, y, cutLine) {
+	var n = flat.length;
+	if (n == 0 || ((cutLine.type != 'parallel' || Math.abs(cutLine.deg) < 90 || flat[n - 1] + y != 2 * cutLine.deg) &&
+		(flat[n - 2] != x || flat[n - 1] != y))) {
+		flat.push(x, y);
+	}
+};
+
+/**
+* Removes pieces on the removed side of cutLine in clip mode, as ol.cut.clip does. Modifies original array.
+* @param {Array.<Array.<number>>} pieces Pieces in flat coordinates.
+* @param {ol.cut.CutLine} cutLine
+* @return {Array.<Array.<number>>}
+* @private
+*/
+ol.cut.clipFlat_ = function (pieces, cutLine) {
+	for (var i = 0; i < pieces.length; i++) {
+		if (!ol.cut.keeps([pieces[i][0], pieces[i][1]], cutLine)) {
+			pieces.splice(i, 1);
+			i--;
+		}
+	}
+	return pieces;
+};
+
+/**
+* Orders pieces by endpoints, as ol.cut.orderLineStrings does.
+* @param {Array.<Array.<number>>} pieces Pieces in flat coordinates.
+* @param {ol.cut.CutLine} cutLine
+* @return {{start: Array.<Array.<number>>, end: Array.<Array.<number>>}} Ordered by start and endpoints.
+* @private
+*/
+ol.cut.orderFlat_ = function (pieces, cutLine) {
+	var xy = cutLine.type == 'meridian' ? 1 : 0;
+	var sides = [];
+	var starts = [];
+	var ends = [];
+	var key = function (piece, i, side) {
+		return side == 1 ? 400 - piece[i + xy] : piece[i + xy];
+	};
+	for (var i = 0; i < pieces.length; i++) {
+		var piece = pieces[i];
+		var n = piece.length;
+		sides[i] = ol.cut.side([piece[0], piece[1]], cutLine);
+		starts[i] = key(piece, 0, sides[i]);
+		ends[i] = key(piece, n - 2, ol.cut.side([piece[n - 2], piece[n - 1]], cutLine));
+	}
+	var sort = function (keys) {
+		var order = pieces.map(function (piece, i) {
+			return i;
+		});
+		return order.sort(function (a, b) {
+			return keys[a] - keys[b];
+		});
+	};
+	var start = sort(starts);
+	var end = sort(ends);
+	if (starts[start[0]] - ends[end[0]] < 0) {
+		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) < 90 && start.length > 1) {
+			var i = 0;
+			var last = start.shift();
+			while (i != start.length && sides[last] == sides[start[i]]) {
+				i++;
+			}
+			if (i != start.length) {
+				start.splice(i, 0, last);
+				start.push(start.splice(i + 1, 1)[0]);
+			}
+		} else {
+			start.push(start.shift());
+		}
+	}
+	var get = function (i) {
+		return pieces[i];
+	};
+	return {start: start.map(get), end: end.map(get)};
+};
+
+/**
+* Connects two pieces in flat coordinates along cutLine, as ol.cut.connectSegments does. Appends to a.
+* If a == b, closes ring.
+* @param {Array.<number>} a
+* @param {Array.<number>} b
+* @param {ol.cut.CutLine} cutLine
+* @return {Array.<number>} a
+* @private
+*/
+ol.cut.connectFlat_ = function (a, b, cutLine) {
+	var INT = .5;
+	var xy = cutLine.type == 'parallel' ? 0 : 1;
+	var start = [a[a.length - 2], a[a.length - 1]];
+	var end = [b[0], b[1]];
+	var push = function (along, deg) {
+		if (xy == 0) {
+			a.push(along, deg);
+		} else {
+			a.push(deg, along);
+		}
+	};
+	var addPoints = function (from, to, deg) {
+		var n = Math.round(Math.abs(to - from) / INT);
+		for (var i = 1; i < n; i++) {
+			var along = from + i * (to - from) / n;
+			push(along > 180 ? along - 360 : along, deg);
+		}
+	};
+	var aside = ol.cut.side(start, cutLine);
+	var bside = ol.cut.side(end, cutLine);
+	if (cutLine.from == -180 && cutLine.to == 180 && aside != bside) {
+		ol.cut.warn(ol.cut.CutError.Code.SIDE_MISMATCH, {a: ol.cut.fromFlat('LineString', a, null),
+			b: ol.cut.fromFlat('LineString', b, null), cutLine: cutLine});
+	}
+	if (cutLine.from == -180 && cutLine.to == 180 && aside * start[xy] < aside * end[xy] - 1e-4) {
+		addPoints(start[xy] + (aside == -1 ? 0 : 360), end[xy] + (aside == 1 ? 0 : 360), start[1 - xy]);
+	} else if (aside == bside) {
+		addPoints(start[xy], end[xy], start[1 - xy]);
+	} else {
+		var limit = aside == -1 ? cutLine.to : cutLine.from;
+		addPoints(start[xy], limit, start[1 - xy]);
+		push(limit, start[1 - xy]);
+		push(limit, end[1 - xy]);
+		addPoints(limit, end[xy], end[1 - xy]);
+	}
+	if (a == b) {
+		a.push(a[0], a[1]);
+	} else {
+		for (var i = 0; i < b.length; i++) {
+			a.push(b[i]);
+		}
+	}
+	return a;
+};
+
+/**
+* Checks if the point x, y is in a ring given in flat coordinates, as ol.cut.pointInRing does.
+* @param {number} x
+* @param {number} y
+* @param {Array.<number>} ring Flat coordinates of stride 2.
+* @return {boolean}
+* @private
+*/
+ol.cut.pointInRingXY_ = function (x, y, ring) {
+	var inside = false;
+	var winding = 0;
+	var rad = Math.PI / 180;
+	for (var i = 2; i < ring.length; i += 2) {
+		var ax = ring[i - 2];
+		var ay = ring[i - 1];
+		var bx = ring[i];
+		var by = ring[i + 1];
+		if (bx - ax > 180) {
+			bx -= 360;
+		} else if (bx - ax < -180) {
+			bx += 360;
+		}
+		winding += bx - ax;
+		for (var shift = -360; shift <= 360; shift += 360) {
+			var sx = x + shift;
+			if ((ax > sx) != (bx > sx)) {
+				var t = (sx - ax) / (bx - ax);
+				var sin = Math.sin((bx - ax) * rad);
+				if (Math.abs(ay) >= 90 || Math.abs(by) >= 90 || Math.abs(sin) < 1e-12) {
+					var f = ay + t * (by - ay);
+				} else {
+					var f = Math.atan((Math.tan(ay * rad) * Math.sin((bx - sx) * rad) +
+						Math.tan(by * rad) * Math.sin((sx - ax) * rad)) / sin) / rad;
+				}
+				if (f > y) {
+					inside = !inside;
+				}
+			}
+		}
+	}
+	return winding < -180 ? !inside : inside;
+};
+
+/**
+* Cuts a line string given in flat coordinates into pieces, as ol.cut.cutLineString does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {boolean=} opt_noClip Keep pieces on both sides even in clip mode.
+* @return {Array.<Array.<number>>} Pieces in flat coordinates of stride 2.
+*/
+ol.cut.cutLineStringFlat = function (flat, offset, end, stride, cutLine, e, opt_noClip) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		var framed = ol.cut.toFrameFlat(flat, offset, end, stride, frame);
+		var pieces = ol.cut.cutLineStringFlat(framed, 0, framed.length, 2, frame.cutLine, e, opt_noClip);
+		for (var i = 0; i < pieces.length; i++) {
+			pieces[i] = ol.cut.toFrameFlat(pieces[i], 0, pieces[i].length, 2, frame, true);
+		}
+		return pieces;
+	}
+	var out = [];
+	var stack = [];
+	var moved = [0, 0];
+	var compute = function (a, b) {
+		return [ol.cut.intersect(a, b, cutLine)];
+	};
+	for (var i = offset + stride; i < end; i += stride) {
+		var ax = flat[i - stride];
+		var ay = flat[i - stride + 1];
+		ol.cut.moveXY_(ax, ay, cutLine, e, moved);
+		ol.cut.addPointXY_(stack, moved[0], moved[1], cutLine);
+		if (ol.cut.hasIntersectXY_(ax, ay, flat[i], flat[i + 1], cutLine)) {
+			var a = [ax, ay];
+			var b = [flat[i], flat[i + 1]];
+			var intPoint = ol.cut.sharedEdge(cutLine.type + cutLine.deg, a, b, compute)[0];
+			if (ol.cut.intersectBetween(intPoint, cutLine)) {
+				var point = ol.cut.moveIntersection(intPoint, a, cutLine, e);
+				ol.cut.addPointXY_(stack, point[0], point[1], cutLine);
+				if (stack.length > 2 || out.length == 0) {
+					out.push(stack);
+				}
+				point = ol.cut.moveIntersection(intPoint, b, cutLine, e);
+				stack = [point[0], point[1]];
+			}
+		}
+	}
+	ol.cut.moveXY_(flat[end - stride], flat[end - stride + 1], cutLine, e, moved);
+	ol.cut.addPointXY_(stack, moved[0], moved[1], cutLine);
+	out.push(stack);
+	return opt_noClip ? out : ol.cut.clipFlat_(out, cutLine);
+};
+
+/**
+* Cuts a polygon given in flat coordinates into pieces, as ol.cut.cutPolygon does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {Array.<number>} ends End offsets of the rings.
+* @param {number} stride
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {Array.<Array.<Array.<number>>>} Polygons, as rings in flat coordinates of stride 2.
+*/
+ol.cut.cutPolygonFlat = function (flat, offset, ends, stride, cutLine, e) {
+	if (ends.length == 0) {
+		return [];
+	}
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		var framed = ol.cut.toFrameFlat(flat, offset, ends[ends.length - 1], stride, frame);
+		var framedEnds = ends.map(function (end) {
+			return (end - offset) / stride * 2;
+		});
+		var polygons = ol.cut.cutPolygonFlat(framed, 0, framedEnds, 2, frame.cutLine, e);
+		for (var i = 0; i < polygons.length; i++) {
+			for (var j = 0; j < polygons[i].length; j++) {
+				polygons[i][j] = ol.cut.toFrameFlat(polygons[i][j], 0, polygons[i][j].length, 2, frame, true);
+			}
+		}
+		return polygons;
+	}
+	var rings = function () {
+		var out = [];
+		for (var i = 0; i < ends.length; i++) {
+			out.push(ol.cut.copyFlat_(flat, i ? ends[i - 1] : offset, ends[i], stride));
+		}
+		return out;
+	};
+	var segments = ol.cut.cutLineStringFlat(flat, offset, ends[0], stride, cutLine, e, true);
+	if (segments.length == 1) {
+		if (!ol.cut.keeps([segments[0][0], segments[0][1]], cutLine)) {
+			return [];
+		}
+		var polygon = rings();
+		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) == 90) {
+			polygon = ol.cut.cutPoleFlat_(polygon, cutLine, e);
+		}
+		return [polygon];
+	}
+	segments[0] = segments[segments.length - 1].concat(segments[0].slice(2));
+	segments.pop();
+	var holes = [];
+	var out = [];
+	for (var i = 1; i < ends.length; i++) {
+		var temp = ol.cut.cutLineStringFlat(flat, ends[i - 1], ends[i], stride, cutLine, e, true);
+		if (temp.length == 1) {
+			if (ol.cut.keeps([temp[0][0], temp[0][1]], cutLine)) {
+				holes.push(temp[0]);
+			}
+		} else {
+			temp[0] = temp[temp.length - 1].concat(temp[0].slice(2));
+			temp.pop();
+			segments = segments.concat(temp);
+		}
+	}
+	// Drop pieces lying along the cut line, having no vertex off it
+	for (var i = 0; i < segments.length; i++) {
+		var j = 0;
+		while (j < segments[i].length && ol.cut.onCutLine([segments[i][j], segments[i][j + 1]], [cutLine], e) != -1) {
+			j += 2;
+		}
+		if (j == segments[i].length) {
+			segments.splice(i, 1);
+			i--;
+		}
+	}
+	ol.cut.clipFlat_(segments, cutLine);
+	if (segments.length == 0) {
+		if (cutLine.mode == 'clip') {
+			return [];
+		}
+		ol.cut.warn(ol.cut.CutError.Code.EMPTY_GEOMETRY, {polygon: rings().map(function (ring) {
+			return ol.cut.fromFlat('LineString', ring, null);
+		}), cutLine: cutLine});
+		return [[[0, 0, 0, 0]]];
+	}
+	var sorted = ol.cut.orderFlat_(segments, cutLine);
+	for (var i = 0; i < segments.length; i++) {
+		ol.cut.connectFlat_(sorted.end[i], sorted.start[i], cutLine);
+		if (sorted.end[i] == sorted.start[i]) {
+			out.push([sorted.end[i]]);
+		} else {
+			sorted.end[sorted.end.indexOf(sorted.start[i])] = sorted.end[i];
+		}
+	}
+	for (var i = 0; i < holes.length; i++) {
+		var j = 0;
+		while (j < out.length && !ol.cut.pointInRingXY_(holes[i][0], holes[i][1], out[j][0])) {
+			j++;
+		}
+		if (j == out.length) {
+			ol.cut.warn(ol.cut.CutError.Code.HOLE_OUTSIDE, {hole: ol.cut.fromFlat('LineString', holes[i], null), cutLine: cutLine});
+		} else {
+			out[j].push(holes[i]);
+		}
+	}
+	return out;
+};
+
+/**
+* Cuts a polygon given as rings in flat coordinates with pole line, as ol.cut.cutPole does. Modifies original array.
+* @param {Array.<Array.<number>>} polygon Rings in flat coordinates of stride 2.
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {Array.<Array.<number>>}
+* @private
+*/
+ol.cut.cutPoleFlat_ = function (polygon, cutLine, e) {
+	var pole = 0;
+	var wind = function (ring) {
+		for (var i = 0; i < ring.length - 2; i += 2) {
+			if (ring[i] - ring[i + 2] > 180) {
+				pole -= 1;
+			}
+			if (ring[i] - ring[i + 2] < -180) {
+				pole += 1;
+			}
+		}
+	};
+	wind(polygon[0]);
+	if (pole == 0 || (pole < 0) != (cutLine.deg < 0) || polygon[0][1] == -cutLine.deg) {
+		return polygon;
+	}
+	for (var j = 1; j < polygon.length; j++) {
+		wind(polygon[j]);
+		if (pole == 0) {
+			polygon.unshift(polygon.splice(j, 1)[0]);
+			polygon[0] = ol.cut.cutPolygonFlat(polygon[0], 0, [polygon[0].length], 2, cutLine, e)[0][0];
+			return polygon;
+		}
+	}
+	var line = ol.cut.connectFlat_([0, cutLine.deg], [pole * 180, cutLine.deg], cutLine);
+	line.length -= 2;
+	polygon.unshift(line.concat(ol.cut.connectFlat_([pole * -180, cutLine.deg], [0, cutLine.deg], cutLine)));
+	return polygon;
+};
+
+/**
+* Cuts flat coordinates of a geometry with cutLine, as ol.cut.cutCoordinates does.
+* @param {string} type Geometry type.
+* @param {Array.<number>|Float64Array} flat Flat coordinates in spherical coords.
+* @param {Array|null} ends End offsets of line strings or rings (array of arrays for MultiPolygons), null for other types.
+* @param {number} stride
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {Array.<number>} parts Original part index of every part of the geometry, see ol.cut.parts.
+* @return {{type: string, flat: Array.<number>, ends: (Array|null), parts: Array.<number>}} Cut geometry
+* in flat coordinates of stride 2. Type may change, eg. a cut LineString becomes MultiLineString.
+*/
+ol.cut.cutCoordinatesFlat = function (type, flat, ends, stride, cutLine, e, parts) {
+	var out = [];
+	var outEnds = [];
+	var outParts = [];
+	var addLines = function (lines, part) {
+		for (var i = 0; i < lines.length; i++) {
+			for (var k = 0; k < lines[i].length; k++) {
+				out.push(lines[i][k]);
+			}
+			outEnds.push(out.length);
+			outParts.push(part);
+		}
+	};
+	var addPolygons = function (polygons, part) {
+		for (var i = 0; i < polygons.length; i++) {
+			var polygonEnds = [];
+			for (var j = 0; j < polygons[i].length; j++) {
+				for (var k = 0; k < polygons[i][j].length; k++) {
+					out.push(polygons[i][j][k]);
+				}
+				polygonEnds.push(out.length);
+			}
+			outEnds.push(polygonEnds);
+			outParts.push(part);
+		}
+	};
+	if (type == 'Point' || type == 'MultiPoint') {
+		for (var i = 0, k = 0; i < flat.length; i += stride, k++) {
+			var point = ol.cut.move([flat[i], flat[i + 1]], cutLine, e);
+			if (ol.cut.keeps(point, cutLine)) {
+				out.push(point[0], point[1]);
+				outParts.push(parts[k]);
+			}
+		}
+		return {type: type == 'Point' && out.length ? type : 'MultiPoint', flat: out, ends: null, parts: outParts};
+	} else if (type == 'LineString' || type == 'MultiLineString') {
+		if (type == 'LineString') {
+			addLines(ol.cut.cutLineStringFlat(flat, 0, flat.length, stride, cutLine, e), parts[0]);
+		} else {
+			for (var i = 0; i < ends.length; i++) {
+				addLines(ol.cut.cutLineStringFlat(flat, i ? ends[i - 1] : 0, ends[i], stride, cutLine, e), parts[i]);
+			}
+		}
+		return type == 'LineString' && outEnds.length == 1 ? {type: type, flat: out, ends: null, parts: outParts} :
+			{type: 'MultiLineString', flat: out, ends: outEnds, parts: outParts};
+	} else if (type == 'Polygon' || type == 'MultiPolygon') {
+		if (type == 'Polygon') {
+			addPolygons(ol.cut.cutPolygonFlat(flat, 0, ends, stride, cutLine, e), parts[0]);
+		} else {
+			var offset = 0;
+			for (var i = 0; i < ends.length; i++) {
+				addPolygons(ol.cut.cutPolygonFlat(flat, offset, ends[i], stride, cutLine, e), parts[i]);
+				offset = ends[i].length ? ends[i][ends[i].length - 1] : offset;
+			}
+		}
+		return type == 'Polygon' && outEnds.length == 1 ? {type: type, flat: out, ends: outEnds[0], parts: outParts} :
+			{type: 'MultiPolygon', flat: out, ends: outEnds, parts: outParts};
+	}
+	return {type: type, flat: ol.cut.copyFlat_(flat, 0, flat.length, stride), ends: ends, parts: parts.slice()};
+};
+
+/**
+* Unit vector of the point x, y, as ol.cut.toVector computes it.
+* @param {number} x
+* @param {number} y
+* @param {Array.<number>} out Receives the vector.
+* @return {Array.<number>} out
+* @private
+*/
+ol.cut.toVectorXY_ = function (x, y, out) {
+	var l = x * Math.PI / 180;
+	var f = y * Math.PI / 180;
+	out[0] = Math.cos(f) * Math.cos(l);
+	out[1] = Math.cos(f) * Math.sin(l);
+	out[2] = Math.sin(f);
+	return out;
+};
+
+/**
+* Area of the region on the right of a ring given in flat coordinates, as ol.cut.sphericalArea computes it.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @return {number} Area in steradians, between 0 and 4 * PI.
+*/
+ol.cut.sphericalAreaFlat = function (flat, offset, end, stride) {
+	var sum = 0;
+	var a = ol.cut.toVectorXY_(flat[offset], flat[offset + 1], []);
+	var b = [];
+	var c = ol.cut.toVectorXY_(flat[offset + stride], flat[offset + stride + 1], []);
+	for (var i = offset + stride; i < end - stride; i += stride) {
+		var temp = b;
+		b = c;
+		c = ol.cut.toVectorXY_(flat[i + stride], flat[i + stride + 1], temp);
+		var triple = a[0] * (b[1] * c[2] - b[2] * c[1]) + a[1] * (b[2] * c[0] - b[0] * c[2]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+		var dot = 1 + a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + b[0] * c[0] + b[1] * c[1] + b[2] * c[2] +
+			c[0] * a[0] + c[1] * a[1] + c[2] * a[2];
+		sum += 2 * Math.atan2(triple, dot);
+	}
+	var area = (-sum) % (4 * Math.PI);
+	return area < 0 ? area + 4 * Math.PI : area;
+};
+
+/**
+* Decides if a ring given in flat coordinates is clockwise, as ol.cut.isClockwise does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @return {boolean}
+*/
+ol.cut.isClockwiseFlat = function (flat, offset, end, stride) {
+	var winding = 0;
+	var sum = 0;
+	var north = false;
+	var south = false;
+	for (var i = offset + stride; i < end; i += stride) {
+		var dl = flat[i] - flat[i - stride];
+		if (dl > 180) {
+			dl -= 360;
+		} else if (dl < -180) {
+			dl += 360;
+		}
+		winding += dl;
+		sum += dl * (flat[i + 1] + flat[i - stride + 1]);
+		north = north || flat[i + 1] >= 90;
+		south = south || flat[i + 1] <= -90;
+	}
+	if (Math.abs(winding) < 180) {
+		return sum > 0;
+	} else if (north != south) {
+		return (winding > 0) == south;
+	}
+	return ol.cut.sphericalAreaFlat(flat, offset, end, stride) < 2 * Math.PI;
+};
+
+/**
+* Orients the rings of a polygon given in flat coordinates, as ol.cut.orient does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {Array.<number>} ends End offsets of the rings.
+* @param {number} stride
+* @return {Array.<Array.<number>>} Rings in flat coordinates of stride 2, the exterior one first.
+*/
+ol.cut.orientFlat = function (flat, offset, ends, stride) {
+	var max = -Infinity;
+	var biggest = 0;
+	var rings = [];
+	var clockwise = [];
+	for (var i = 0; i < ends.length; i++) {
+		var start = i ? ends[i - 1] : offset;
+		var area = ol.cut.sphericalAreaFlat(flat, start, ends[i], stride);
+		if (area < ol.cut.sliverArea || 4 * Math.PI - area < ol.cut.sliverArea) {
+			ol.cut.warn(ol.cut.CutError.Code.SLIVER_REMOVED, {ring: ol.cut.fromFlat('LineString',
+				ol.cut.copyFlat_(flat, start, ends[i], stride), null), area: Math.min(area, 4 * Math.PI - area)});
+			continue;
+		}
+		clockwise.push(ol.cut.isClockwiseFlat(flat, start, ends[i], stride));
+		rings.push(ol.cut.copyFlat_(flat, start, ends[i], stride));
+		area = clockwise[rings.length - 1] ? area : 4 * Math.PI - area;
+		if (area > max) {
+			max = area;
+			biggest = rings.length - 1;
+		}
+	}
+	if (rings.length == 0) {
+		ol.cut.warn(ol.cut.CutError.Code.EMPTY_GEOMETRY, {});
+		return [[0, 0, 0, 0]];
+	}
+	if (biggest > 0) {
+		rings.unshift(rings.splice(biggest, 1)[0]);
+		clockwise.unshift(clockwise.splice(biggest, 1)[0]);
+	}
+	for (var i = 0; i < rings.length; i++) {
+		if (clockwise[i] == (i > 0)) {
+			var ring = rings[i];
+			ol.cut.warn(ol.cut.CutError.Code.RING_REVERSED, {ring: ol.cut.fromFlat('LineString', ring, null)});
+			for (var j = 0, k = ring.length - 2; j < k; j += 2, k -= 2) {
+				var x = ring[j];
+				var y = ring[j + 1];
+				ring[j] = ring[k];
+				ring[j + 1] = ring[k + 1];
+				ring[k] = x;
+				ring[k + 1] = y;
+			}
+		}
+	}
+	return rings;
+};
+
+/**
+* Points of a metagraticule line from a to b, densified as cut lines in ol.cut.connectSegments.
+* @param {number} a
+* @param {number} b
+* @param {number} xy 0 for parallels, 1 for meridians.
+* @param {number} deg Metalatitude of parallel or metalongitude of meridian.
+* @return {Array.<ol.Coordinate>}
+*/
+ol.cut.graticuleLine = function (a, b, xy, deg) {
+	var INT = .5;
+	var n = Math.max(1, Math.round(Math.abs(b - a) / INT));
+	var out = [];
+	for (var i = 0; i <= n; i++) {
+		var point = [];
+		point[xy] = a + i * (b - a) / n;
+		point[-(xy - 1)] = deg;
+		out.push(point);
+	}
+	return out;
+};
+
+/**
+* Closed ring along a parallel, clockwise around the region north (westward) or south (eastward) of it.
+* Starts at the midmeridian, so the ring crosses the antimeridian.
+* @param {number} deg Latitude of the parallel.
+* @param {boolean} north Region north of the parallel.
+* @return {Array.<ol.Coordinate>}
+*/
+ol.cut.parallelRing = function (deg, north) {
+	var ring = north ? ol.cut.graticuleLine(360, 0, 0, deg) : ol.cut.graticuleLine(0, 360, 0, deg);
+	for (var i = 0; i < ring.length; i++) {
+		if (ring[i][0] > 180) {
+			ring[i][0] -= 360;
+		}
+	}
+	return ring;
+};
+
+/**
+* Outline of the sphere in the metagraticule, with slits of cut lines reaching it.
+* Closed cut lines in clip mode (small circles, parallels from -180 to 180) bound the outline instead of the sphere.
+* @param {boolean} azimuthal See readCutFeatures.
+* @param {Array.<ol.cut.CutLine>} cutLines Additional cut lines, without automatic antimeridian and pole line cuts.
+* @param {number} e Distance from cut line (degrees)
+* @return {{type: string, coordinates: Array}} Polygon or MultiPolygon.
+*/
+ol.cut.outline = function (azimuthal, cutLines, e) {
+	var clipRing = null;
+	var splitLines = [];
+	cutLines = ol.cut.expandCutLines(cutLines);
+	for (var i = 0; i < cutLines.length; i++) {
+		var frame = ol.cut.frame(cutLines[i]);
+		var cutLine = frame ? frame.cutLine : cutLines[i];
+		if (cutLine.mode == 'clip' && cutLine.type == 'parallel' && cutLine.from == -180 && cutLine.to == 180) {
+			var keep = cutLine.keep || 1;
+			clipRing = ol.cut.parallelRing(cutLine.deg + keep * e, keep == 1);
+			if (frame) {
+				clipRing = ol.cut.toFrame(clipRing, frame, true);
+			}
+		} else {
+			splitLines.push(cutLines[i]);
+		}
+	}
+	if (clipRing) {
+		var ring = clipRing;
+	} else if (azimuthal) {
+		var ring = ol.cut.parallelRing(-90 + e, true);
+	} else {
+		var ring = ol.cut.graticuleLine(-90 + e, 90 - e, 1, -180 + e);
+		ring.pop();
+		ring = ring.concat(ol.cut.graticuleLine(-180 + e, 180 - e, 0, 90 - e));
+		ring.pop();
+		ring = ring.concat(ol.cut.graticuleLine(90 - e, -90 + e, 1, 180 - e));
+		ring.pop();
+		ring = ring.concat(ol.cut.graticuleLine(180 - e, -180 + e, 0, -90 + e));
+	}
+	var out = {type: 'Polygon', coordinates: [ring]};
+	for (var i = 0; i < splitLines.length; i++) {
+		out = ol.cut.cutCoordinates(out.type, out.coordinates, splitLines[i], e);
+	}
+	return {type: out.type, coordinates: out.coordinates};
+};
+
+/**
+* Radius of the sphere in units of projection, as OpenLayers measures degrees.
+* @param {ol.proj.Projection} projection
+* @return {number}
+* @private
+*/
+ol.cut.sphereRadius_ = function (projection) {
+	return 6370997 / (projection.getMetersPerUnit() || 1);
+};
+
+export default ol.cut;
@@ -1,802 +1,5593 @@
 /**
-* Rotates a projection to oblique aspect and registers transform functions between EPSG:4326 and the new projection.
-* @param {ol.proj.ProjectionLike} projection Original projection.
-* Transform function between EPSG:4326 and this projection must be defined earlier in either OpenLayers or proj4js.
-* @param {number} l0 Longitude of the metapole. Set to zero if you only want to change the midmeridian.
-* @param {number} f0 Latitude of the metapole. Set to 90 if you only want to change the midmeridian.
-* @param {number} lm Metalongitude of the midmeridian.
-* @param {string} rotName SRS of the new, rotated projection.
-* @param {string} metaName SRS of the created metagraticule.
-* @return {ol.proj.Projection} Object for the rotated projection.
+* ol-cut extends the global ol namespace of the ol.js build of OpenLayers 3.
+* Without it (Node, ES module bundlers), only the OpenLayers-free functions of ol.cut are defined,
+* and exported as a CommonJS module. ol-cut.core.mjs exports them as an ES module, it is generated from this file
+* by bin/build-esm.js. See ol-cut.mjs for OpenLayers 6+.
+*/
+var ol = typeof ol === 'undefined' ? {} : ol;
+
+/**
+* None of any functions or variables in this namespace
+* are meant to be called directly.
+*
+* @namespace ol.cut
+*/
+ol.cut = {};
+
+/**
+* Error of cutting.
+* @constructor
+* @extends {Error}
+* @param {string} code One of ol.cut.CutError.Code.
+* @param {string} message
+* @param {Object=} opt_details Data describing the problem.
 * @api
 */
-ol.proj.rotateProjection = function (projection, l0, f0, lm, rotName, metaName) {
-	var meta = new ol.proj.Projection({
-		code: metaName,
-		units: 'degrees'
-	});
-	if (!ol.proj.get(metaName)) {
-		ol.proj.addProjection(meta);
-	}
-	ol.proj.addCoordinateTransforms('EPSG:4326', metaName, function(point) {
-		return ol.cut.rotate(point, l0, f0, lm);
-	}, function(point) {
-		return ol.cut.rotate(point, 180 - lm, f0, 180 - l0);
-	});
-	var orig = ol.proj.get(projection);
-	var rotated = new ol.proj.Projection({
-		code: rotName,
-		units: orig.getUnits(),
-		extent: orig.getExtent(),
-		global: orig.isGlobal()
-	});
-	if (!ol.proj.get(rotName)) {
-		ol.proj.addProjection(rotated);
-	}
-	ol.proj.addCoordinateTransforms(metaName, rotName, function(point) {
-		return ol.proj.fromLonLat(point, orig);
-	}, function(point) {
-		return ol.proj.toLonLat(point, orig);
-	});
-	ol.proj.addCoordinateTransforms('EPSG:4326', rotName, function(point) {
-		return ol.proj.fromLonLat(ol.cut.rotate(point, l0, f0, lm), orig);
-	}, function(point) {
-		return ol.cut.rotate(ol.proj.toLonLat(point, orig), 180 - lm, f0, 180 - l0);
-	});
-	return rotated;
+ol.cut.CutError = function (code, message, opt_details) {
+	this.name = 'CutError';
+	this.code = code;
+	this.message = message;
+	this.details = opt_details || {};
+	this.stack = (new Error(message)).stack;
 };
+ol.cut.CutError.prototype = Object.create(Error.prototype);
+ol.cut.CutError.prototype.constructor = ol.cut.CutError;
 
 /**
-* Acts as readFeature() but cuts features at antimeridian and optional other arbitary lines.
-* @param {Document|Node|Object|string} source Source.
-* @param {olx.format.ReadOptions=} opt_options Read options.
-* @param {ol.proj.ProjectionLike|undefined} opt_metaName SRS of the metagraticule created with ol.proj.rotateProjection.
-* Required when the destination projection is in oblique aspect or the midmeridian is not Greenwich. Default EPSG:4326.
-* If used, please set featureProjection in the read options to the projection created with ol.proj.rotateProjection.
-* @param {boolean|undefined} opt_azimuthal If true, cut will not preform at the antimeridian, only at the antipode.
-* Default is false. Only set true for azimuthal projections (eg. Lambert Azimuthal or Berghaus star).
-* @param {Array.<ol.cut.CutLine>|undefined} opt_cutLines If the projection has additional boundary cuts following any metagraticule line
-* (eg. Goode or Berghaus), specify them here. Antimeridian and pole line cuts are automatic, must not be included. Default: empty array.
-* @return {Array.<ol.Feature>} Features.
+* Error and warning codes.
+* Errors: INVALID_CUT_LINE, CUT_FAILED (any other error while cutting, details.error is the original one).
+* Warnings: SIDE_MISMATCH (segments to connect are on different sides of a closed cut line),
+* RING_REVERSED (ring was not clockwise / counterclockwise), SLIVER_REMOVED (ring of zero area was removed),
+* HOLE_OUTSIDE (hole was not found in any ring, it was removed), EMPTY_GEOMETRY (nothing remained of a polygon).
+* CANCELLED: readCutFeaturesAsync was cancelled.
+* @enum {string}
 * @api
 */
-ol.format.Feature.prototype.readCutFeatures = function(source, opt_options, opt_metaName, opt_azimuthal, opt_cutLines) {
-	if (typeof opt_options === 'undefined') {
-		opt_options = {};
-	}
-	if (typeof opt_cutLines === 'undefined') {
-		opt_cutLines = [];
-	}
-	if (!opt_azimuthal) {
-		opt_cutLines.unshift({type: 'parallel', deg: -90, from: -180, to: 180});
-		opt_cutLines.unshift({type: 'parallel', deg: 90, from: -180, to: 180});
-		opt_cutLines.unshift({type: 'meridian', deg: 180, from: -90, to: 90});
-	} else {
-		opt_cutLines.push({type: 'parallel', deg: -90, from: -180, to: 180});
-	}
-	var e = 1e-6//((opt_azimuthal && opt_cutLines.length == 1) || (!opt_azimuthal && opt_cutLines.length == 3)) ? 0 : 1e-4;
-	var dest = opt_options.featureProjection || 'EPSG:4326';
-	opt_options.featureProjection = 'EPSG:4326';
-	var features = this.readFeatures(source, opt_options);
-	for (var i = 0; i < features.length; i++) {
-		var geom = features[i].getGeometry();
-		geom.clockwiseGeometry();
-		geom.transform('EPSG:4326', opt_metaName || 'EPSG:4326');
-		for (var j = 0; j < opt_cutLines.length; j++) {
-			geom = geom.cut(opt_cutLines[j], e);
-		}
-		features[i].setGeometry(geom.transform(opt_metaName || 'EPSG:4326', dest));
-	}
-	if (!opt_azimuthal) {
-		opt_cutLines.shift();
-		opt_cutLines.shift();
-		opt_cutLines.shift();
-	} else {
-		opt_cutLines.pop();
+ol.cut.CutError.Code = {
+	INVALID_CUT_LINE: 'INVALID_CUT_LINE',
+	CUT_FAILED: 'CUT_FAILED',
+	SIDE_MISMATCH: 'SIDE_MISMATCH',
+	RING_REVERSED: 'RING_REVERSED',
+	SLIVER_REMOVED: 'SLIVER_REMOVED',
+	HOLE_OUTSIDE: 'HOLE_OUTSIDE',
+	EMPTY_GEOMETRY: 'EMPTY_GEOMETRY',
+	CANCELLED: 'CANCELLED'
+};
+
+/**
+* Function called with warnings of the feature being cut.
+* @type {function(string, Object)|null}
+* @private
+*/
+ol.cut.warningHandler_ = null;
+
+/**
+* Reports a warning of the feature being cut.
+* @param {string} code One of ol.cut.CutError.Code.
+* @param {Object} details
+*/
+ol.cut.warn = function (code, details) {
+	if (ol.cut.warningHandler_) {
+		ol.cut.warningHandler_(code, details);
 	}
-	return features;
 };
 
 /**
-* None of any functions or variables in this namespace
-* are meant to be called directly.
-*
-* @namespace ol.cut
+* Sets the function called with warnings of the feature being cut.
+* @param {function(string, Object)|null} handler Called with the code and the details of the warning. Null to ignore warnings.
 */
-ol.cut = {};
+ol.cut.setWarningHandler = function (handler) {
+	ol.cut.warningHandler_ = handler;
+};
 
 /**
 * Cut line. 
-* Type can be either 'parallel' or 'meridian'.
+* Type can be 'parallel', 'meridian', 'greatcircle', 'smallcircle' or 'polyline'.
 * Deg is the metalatitude / metalongitude of the line.
 * Cut line starts at from, and ends at to. From must be less than to.
-* @typedef {{type: string, deg: number, from: number, to: number}} ol.cut.CutLine
+* Great circle arcs run between the two points, polylines along great circle arcs between their points.
+* Small circles have center and radius (degrees), from and to are optional azimuths around the center.
+* Points and center are given in metagraticule coordinates.
+* Mode is 'split' (default, both sides are kept) or 'clip' (only the keep side is kept).
+* Keep is 1 (default: north of parallels, west of meridians, inside of small circles,
+* left of great circles from their first point) or -1 (the other side).
+* @typedef {{type: string, deg: (number|undefined), from: (number|undefined), to: (number|undefined),
+* points: (Array.<ol.Coordinate>|undefined), center: (ol.Coordinate|undefined), radius: (number|undefined),
+* mode: (string|undefined), keep: (number|undefined)}} ol.cut.CutLine
 * @api
 */
 ol.cut.CutLine;
 
 /**
-* Intersection point of geodetic between pointA, pointB (given in spherical coords) and graticule line of cutLine.
-* @param {ol.Coordinate} pointA
-* @param {ol.Coordinate} pointB
+* Great circle and small circle cut lines are parallels of a rotated graticule.
+* Returns the rotation (as in ol.cut.rotate) and the parallel. Null for meridians and parallels.
 * @param {ol.cut.CutLine} cutLine
-* @return {ol.Coordinate}
+* @return {{l0: number, f0: number, lm: number, cutLine: ol.cut.CutLine}|null}
 */
-ol.cut.intersect = function (pointA, pointB, cutLine) {
-	// Convert to radians
-	var a = [pointA[0] / 180 * Math.PI, pointA[1] / 180 * Math.PI];
-	var b = [pointB[0] / 180 * Math.PI, pointB[1] / 180 * Math.PI];
-	var s = Math.acos(Math.sin(a[1]) * Math.sin(b[1]) + Math.cos(a[1]) * Math.cos(b[1]) * Math.cos(b[0] - a[0]));
-	var x = Math.acos((Math.sin(a[1]) - Math.sin(b[1]) * Math.cos(s)) / (Math.cos(b[1]) * Math.sin(s)));
-	if (cutLine.type == 'meridian') {
-		var l = cutLine.deg / 180 * Math.PI;
-		if (Math.abs(a[0] - l) <= 1e-4) {
-			var f = a[1];
-		} else if (Math.abs(b[0] - l) <= 1e-4) {
-			var f = b[1];
-		} else if (Math.PI / 2 - Math.abs(a[1]) <= 1e-6) {
-			var f = a[1];
-		} else if (Math.PI / 2 - Math.abs(b[1]) <= 1e-6) {
-			var f = b[1];
-		} else {
-			var f = Math.atan((Math.sin(b[1]) * Math.cos(b[0] - l) + Math.abs(Math.sin(b[0] - l)) / Math.tan(x)) / Math.cos(b[1]));
+ol.cut.frame = function (cutLine) {
+	if (cutLine.type == 'meridian' || cutLine.type == 'parallel') {
+		return null;
+	} else if (cutLine.type == 'greatcircle') {
+		var a = ol.cut.toVector(cutLine.points[0]);
+		var b = ol.cut.toVector(cutLine.points[1]);
+		var n = [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+		var len = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]);
+		if (len < 1e-12) {
+			throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine points', {cutLine: cutLine});
 		}
-		return [cutLine.deg, f / Math.PI * 180];
-	} else if (cutLine.type == 'parallel') {
-		var f = cutLine.deg / 180 * Math.PI;
-		if (Math.abs(f) == Math.PI / 2) {
-			if (Math.abs(Math.abs(a[1]) - Math.PI / 2) <= 1e-6) {
-				var l = b[0] + Math.PI / 2
-			} else if (Math.abs(Math.abs(b[1]) - Math.PI / 2) <= 1e-6) {
-				var l = a[0] + Math.PI / 2
-			} else {
-				var l = (a[0] + b[0]) / 2;
-			}
-			if (l > Math.PI / 2) {
-				l-= Math.PI;
-			}
-		} else if (Math.abs(a[0] - b[0]) <= 1e-6) {
-			if (Math.abs(a[1]) < Math.abs(b[1])) {
-				var l = a[0];
-			} else {
-				var l = a[0];
-			}
-		} else {
-			if (Math.abs(f + b[1]) <= 1e-6) {
-				var l = -2 * Math.atan(Math.tan(x) * Math.sin(b[1]));
-			} else {
-				var l = 2 * Math.atan((1 / Math.tan(x) -
-					(a[1] > b[1] ? 1 : -1) * Math.sqrt(Math.pow(Math.tan(x), -2) - Math.pow(Math.cos(b[1]) * Math.tan(f), 2) +
-					Math.pow(Math.sin(b[1]), 2))) / (Math.cos(b[1]) * Math.tan(f) + Math.sin(b[1])));
-			}
-			l = b[0] - (Math.sin(b[0] - a[0]) > 0 ? 1 : -1) * l;
-			while (Math.abs(l) > Math.PI) {
-				l -= (l > 0 ? 1 : -1) * 2 * Math.PI;
-			}
+		var l0 = Math.atan2(n[1], n[0]) * 180 / Math.PI;
+		var f0 = Math.asin(n[2] / len) * 180 / Math.PI;
+		var s = Math.atan2(len, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]) * 180 / Math.PI;
+		var lm = ol.cut.rotate(cutLine.points[0], l0, f0, 0)[0] + s / 2;
+		if (lm > 180) {
+			lm -= 360;
 		}
-		return [l / Math.PI * 180, cutLine.deg];		
+		return {l0: l0, f0: f0, lm: lm, cutLine: {
+			type: 'parallel',
+			deg: 0,
+			from: -s / 2,
+			to: s / 2,
+			mode: cutLine.mode,
+			keep: cutLine.keep
+		}};
+	} else if (cutLine.type == 'smallcircle') {
+		if (!(cutLine.radius > 0 && cutLine.radius < 180)) {
+			throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine radius', {cutLine: cutLine});
+		}
+		return {l0: cutLine.center[0], f0: cutLine.center[1], lm: 0, cutLine: {
+			type: 'parallel',
+			deg: 90 - cutLine.radius,
+			from: typeof cutLine.from === 'undefined' ? -180 : cutLine.from,
+			to: typeof cutLine.to === 'undefined' ? 180 : cutLine.to,
+			mode: cutLine.mode,
+			keep: cutLine.keep
+		}};
 	} else {
-		throw 'Invalid cutLine type';
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
 	}
 };
 
 /**
-* Decide if geodetic between pointA and pointB intersects with cutLine.
-* @param {ol.Coordinate} pointA
-* @param {ol.Coordinate} pointB
-* @param {ol.cut.CutLine} cutLine
-* @return {boolean}
+* Unit vector of a point given in spherical coords.
+* @param {ol.Coordinate} point
+* @return {Array.<number>}
 */
-ol.cut.hasIntersect = function (pointA, pointB, cutLine) {
-	if (cutLine.type == 'meridian') {
-		if (Math.abs(cutLine.deg) == 180) {
-			return Math.abs(pointA[0] - pointB[0]) > 180;
-		} else {
-			return ((pointA[0] < cutLine.deg) != (pointB[0] < cutLine.deg)) && (Math.abs(pointA[0] - pointB[0]) < 180);
-		}
-	} else if (cutLine.type == 'parallel') {
-		if (Math.abs(cutLine.deg) == 90) {
-			return (Math.abs(Math.abs(pointA[0] - pointB[0]) - 180) < (180 - 180 * Math.sqrt((90 - Math.abs(pointA[1])) * (90 - Math.abs(pointB[1]))))) && ((pointA[1] + pointB[1] > 0) ^ (cutLine.deg < 0));
-		} else {
-			return (pointA[1] < cutLine.deg) != (pointB[1] < cutLine.deg);
-		}
-	} else {
-		throw 'Invalid cutLine type';
-	}
+ol.cut.toVector = function (point) {
+	var l = point[0] * Math.PI / 180;
+	var f = point[1] * Math.PI / 180;
+	return [Math.cos(f) * Math.cos(l), Math.cos(f) * Math.sin(l), Math.sin(f)];
 };
 
 /**
-* Decide if intersection point is between the from and to of cutLine
-* @param {ol.Coordinate} point
-* @param {ol.cut.CutLine} cutLine
-* @return {boolean}
+* Rotates coordinates (of any nesting depth) into the graticule of frame.
+* @param {ol.Coordinate|Array} coords
+* @param {{l0: number, f0: number, lm: number}} frame
+* @param {boolean=} opt_inverse Rotate back from the graticule of frame.
+* @return {ol.Coordinate|Array}
 */
-ol.cut.intersectBetween = function (point, cutLine) {
-	if (cutLine.type == 'meridian') {
-		return point[1] >= cutLine.from && point[1] <= cutLine.to;
-	} else if (cutLine.type == 'parallel') {
-		return point[0] >= cutLine.from && point[0] <= cutLine.to;
-	} else {
-		throw 'Invalid cutLine type';
-	}	
+ol.cut.toFrame = function (coords, frame, opt_inverse) {
+	if (typeof coords[0] === 'number') {
+		return opt_inverse ? ol.cut.rotate(coords, 180 - frame.lm, frame.f0, 180 - frame.l0) :
+			ol.cut.rotate(coords, frame.l0, frame.f0, frame.lm);
+	}
+	var out = [];
+	for (var i = 0; i < coords.length; i++) {
+		out.push(ol.cut.toFrame(coords[i], frame, opt_inverse));
+	}
+	return out;
 };
 
 /**
-* Moves a point if too close to cut line. Otherwise it keeps in place.
-* @param {ol.Coordinate} point
-* @param {ol.cut.CutLine} cutLine
-* @param {number} e Minimum distance from cut line (degrees)
-* @return {ol.Coordinate}
+* Replaces polylines with great circle cut lines between their points. Does not modify cutLines.
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @return {Array.<ol.cut.CutLine>}
 */
-ol.cut.move = function (point, cutLine, e) {
-	if (!ol.cut.intersectBetween(point, cutLine)) return point;
-	if (cutLine.type == 'meridian') {
-		if (Math.abs(cutLine.deg) == 180) {
-			return Math.abs(point[0]) > 180 - e ? [(point[0] > 0 ? 1 : -1) * (180 - e), point[1]] : point;
+ol.cut.expandCutLines = function (cutLines) {
+	var out = [];
+	for (var i = 0; i < cutLines.length; i++) {
+		if (cutLines[i].type == 'polyline') {
+			for (var j = 1; j < cutLines[i].points.length; j++) {
+				out.push({type: 'greatcircle', points: [cutLines[i].points[j - 1], cutLines[i].points[j]]});
+			}
 		} else {
-			return Math.abs(point[0] - cutLine.deg) < e ? [cutLine.deg + (point[0] >= cutLine.deg ? 1 : -1) * e, point[1]] : point;
+			out.push(cutLines[i]);
 		}
-	} else if (cutLine.type == 'parallel') {
-		return Math.abs(point[1] - cutLine.deg) < e ? [point[0], cutLine.deg + (point[1] >= cutLine.deg && cutLine.deg < 90 ? 1 : -1) * e] : point;
-	} else {
-		throw 'Invalid cutLine type';
 	}
+	return out;
 };
 
 /**
-* Moves intersection point away from cutLine. Moving direction towards neighborPoint.
-* @param {ol.Coordinate} point
-* @param {ol.Coordinate} neighborPoint
-* @param {ol.cut.CutLine} cutLine
-* @param {number} e Distance from cut line (degrees)
-* @return {ol.Coordinate}
+* Metagraticule SRS of projections created with ol.proj.rotateProjection, by code of the rotated projection.
+* @type {Object.<string, string>}
+* @private
 */
-ol.cut.moveIntersection = function (point, neighborPoint, cutLine, e) {
-	if (cutLine.type == 'meridian') {
-		if (Math.abs(cutLine.deg) == 180) {
-			return [(neighborPoint[0] > 0 ? 1 : -1) * (180 - e), point[1]];
-		} else {
-			return [cutLine.deg + (neighborPoint[0] >= cutLine.deg ? 1 : -1) * e, point[1]];
-		}
-	} else if (cutLine.type == 'parallel') {
-		if (Math.abs(cutLine.deg) == 90) {
-			return [/*point[0] + (point[0] <*/ neighborPoint[0]/* ? 90 : -90)*/, cutLine.deg + (cutLine.deg < 0 ? 1 : -1) * e];
-		} else {
-			return [point[0], cutLine.deg + (neighborPoint[1] >= cutLine.deg ? 1 : -1) * e];
-		}
-	} else {
-		throw 'Invalid cutLine type';
-	}
+ol.cut.metaNames_ = {};
+
+/**
+* Metapoles (l0, f0, lm) of metagraticules created with ol.proj.rotateProjection, by SRS of the metagraticule.
+* @type {Object.<string, Array.<number>>}
+* @private
+*/
+ol.cut.metaPoles_ = {};
+
+/**
+* Registers the metagraticule SRS of a rotated projection.
+* @param {string} projCode Code of the rotated projection.
+* @param {string} metaName SRS of the metagraticule.
+*/
+ol.cut.setMetaName = function (projCode, metaName) {
+	ol.cut.metaNames_[projCode] = metaName;
 };
 
 /**
-* Oblique aspect transformation.
-* @param {ol.Coordinate} point
-* @param {number} l0 Longitude of the metapole.
-* @param {number} f0 Latitude of the metapole.
-* @param {number} lm Metalongitude of the midmeridian.
-* @return {ol.Coordinate}
+* Sets the metapole of a metagraticule.
+* @param {string} metaName SRS of the metagraticule.
+* @param {Array.<number>} pole Longitude and latitude of the metapole, metalongitude of the midmeridian.
 */
-ol.cut.rotate = function (point, l0, f0, lm) {
-	point = [point[0] * Math.PI / 180, point[1] * Math.PI / 180];
-	l0 *= Math.PI / 180;
-	f0 *= Math.PI / 180;
-	lm *= Math.PI / 180;
-	if (l0 != 0) {
-		point[0] -= l0;
-	}
-	if (Math.sin(f0) == -1) {
-		point[1] *= -1;
-		point[0] *= -1;
-		point[0] += point[0] > 0 ? -Math.PI : Math.PI;
-	} else if (Math.sin(f0) < 1) {
-		point = [
-			Math.atan2(Math.cos(point[1]) * Math.sin(point[0]), -Math.cos(f0) * Math.sin(point[1]) + Math.sin(f0) * Math.cos(point[1]) * Math.cos(point[0])),
-			Math.asin(Math.sin(f0) * Math.sin(point[1]) + Math.cos(f0) * Math.cos(point[1]) * Math.cos(point[0]))
-		];
-	}
-	if (lm != 0) {
-		point[0] -= lm;
-	}
-	while (Math.abs(point[0]) > Math.PI && (l0 != 0 || lm != 0)) {
-		point[0] -= (point[0] > 0 ? 1 : -1) * 2 * Math.PI;
+ol.cut.setMetaPole = function (metaName, pole) {
+	ol.cut.metaPoles_[metaName] = pole;
+};
+
+/**
+* Returns the metapole of a metagraticule.
+* @param {string} metaName SRS of the metagraticule.
+* @return {Array.<number>|null} Longitude and latitude of the metapole, metalongitude of the midmeridian.
+* Null if it was not set.
+*/
+ol.cut.getMetaPole = function (metaName) {
+	return ol.cut.metaPoles_[metaName] ? ol.cut.metaPoles_[metaName].slice(0) : null;
+};
+
+/**
+* Returns the metagraticule SRS of a projection created with ol.proj.rotateProjection.
+* @param {ol.proj.ProjectionLike} projection Without OpenLayers 3, a code or an object with getCode().
+* @return {string|undefined}
+*/
+ol.cut.getMetaName = function (projection) {
+	projection = ol.proj ? ol.proj.get(projection) : projection;
+	if (!projection) {
+		return undefined;
 	}
-	return [point[0] * 180 / Math.PI, point[1] * 180 / Math.PI];
+	return ol.cut.metaNames_[typeof projection === 'string' ? projection : projection.getCode()];
 };
 
 /**
-* Which side of cutLine?
-* @param {ol.Coordinate} point
-* @param {ol.cut.CutLine} cutLine
-* @return {number} -1 or 1
+* Interruptions of a projection.
+* Azimuthal is true for azimuthal projections, cut lines are the additional boundary cuts in the metagraticule.
+* @typedef {{azimuthal: boolean, cutLines: Array.<ol.cut.CutLine>}} ol.cut.Interruption
+* @api
 */
-ol.cut.side = function(point, cutLine) {
-	if (cutLine.deg == 180) {
-		return point[0] > 0 ? 1 : -1;
+ol.cut.Interruption;
+
+/**
+* Registered interruptions by projection code.
+* @type {Object.<string, ol.cut.Interruption>}
+* @private
+*/
+ol.cut.interruptions_ = {};
+
+/**
+* Registers interruptions of a projection. Used by readCutFeatures when azimuthal and cut lines are not specified.
+* Projections created with ol.proj.rotateProjection inherit interruptions of the original projection.
+* @param {string} projCode Code of the projection.
+* @param {ol.cut.Interruption} interruption
+* @api
+*/
+ol.cut.registerInterruption = function (projCode, interruption) {
+	ol.cut.interruptions_[projCode] = {
+		azimuthal: !!interruption.azimuthal,
+		cutLines: (interruption.cutLines || []).slice(0)
+	};
+};
+
+/**
+* Returns interruptions registered for a projection.
+* @param {ol.proj.ProjectionLike} projection
+* @return {ol.cut.Interruption|undefined}
+* @api
+*/
+ol.cut.getInterruption = function (projection) {
+	var code = typeof projection === 'string' ? projection : projection.getCode();
+	return ol.cut.interruptions_[code];
+};
+
+/**
+* Goode homolosine, Boggs eumorphic: interrupted at 40W in the north, at 100W, 20W and 80E in the south.
+*/
+ol.cut.registerInterruption('goode', {azimuthal: false, cutLines: [
+	{type: 'meridian', deg: -40, from: 0, to: 90},
+	{type: 'meridian', deg: -100, from: -90, to: 0},
+	{type: 'meridian', deg: -20, from: -90, to: 0},
+	{type: 'meridian', deg: 80, from: -90, to: 0}
+]});
+ol.cut.registerInterruption('boggs', ol.cut.getInterruption('goode'));
+
+/**
+* Berghaus star: five lobes in the south centered at the midmeridian.
+*/
+ol.cut.registerInterruption('berghaus', {azimuthal: true, cutLines: [
+	{type: 'meridian', deg: 180, from: -90, to: 0},
+	{type: 'meridian', deg: -108, from: -90, to: 0},
+	{type: 'meridian', deg: -36, from: -90, to: 0},
+	{type: 'meridian', deg: 36, from: -90, to: 0},
+	{type: 'meridian', deg: 108, from: -90, to: 0}
+]});
+
+/**
+* William-Olsson star: four lobes in the south.
+*/
+ol.cut.registerInterruption('williamolsson', {azimuthal: true, cutLines: [
+	{type: 'meridian', deg: 180, from: -90, to: 20},
+	{type: 'meridian', deg: -90, from: -90, to: 20},
+	{type: 'meridian', deg: 0, from: -90, to: 20},
+	{type: 'meridian', deg: 90, from: -90, to: 20}
+]});
+
+/**
+* Returns cut lines completed with the automatic antimeridian and pole line cuts. Does not modify cutLines.
+* @param {boolean|undefined} azimuthal If true, only the pole line of the antipode is added.
+* @param {Array.<ol.cut.CutLine>|undefined} cutLines
+* @param {ol.proj.ProjectionLike=} opt_projection Azimuthal and cut lines not specified are taken from
+* the interruptions registered for this projection.
+* @return {Array.<ol.cut.CutLine>}
+*/
+ol.cut.getCutLines = function (azimuthal, cutLines, opt_projection) {
+	var interruption = opt_projection && ol.cut.getInterruption(opt_projection);
+	if (interruption) {
+		azimuthal = typeof azimuthal === 'undefined' ? interruption.azimuthal : azimuthal;
+		cutLines = typeof cutLines === 'undefined' ? interruption.cutLines : cutLines;
+	}
+	var out = ol.cut.expandCutLines(cutLines || []);
+	if (!azimuthal) {
+		out.unshift({type: 'parallel', deg: -90, from: -180, to: 180});
+		out.unshift({type: 'parallel', deg: 90, from: -180, to: 180});
+		out.unshift({type: 'meridian', deg: 180, from: -90, to: 90});
 	} else {
-		var side = point[cutLine.type == 'parallel' ? 1 : 0] < cutLine.deg || (cutLine.type == 'parallel' && cutLine.deg == 90) ? -1 : 1;
-		return side * (cutLine.type == 'meridian' ? -1 : 1);
+		out.push({type: 'parallel', deg: -90, from: -180, to: 180});
 	}
-}
+	return out;
+};
 
 /**
-* Orders line strings by endpoints.
-* @param {Array.<Array.<ol.Coordinate>>} lineStrings Line strings to order.
-* @param {ol.cut.CutLine} cutLine
-* @return {{start: Array.<Array.<ol.Coordinate>>, end: Array.<Array.<ol.Coordinate>>}} Ordered by start and endpoints.
+* Lobe of an interrupted projection (see ol.proj.createInterruptedProjection).
+* Extent is the range of longitudes and latitudes: [west, south, east, north]. Central is the central meridian of the lobe,
+* offset is added to the coordinates projected with the base projection.
+* @typedef {{extent: ol.Extent, central: number, offset: (ol.Coordinate|undefined)}} ol.cut.Lobe
+* @api
 */
-ol.cut.orderLineStrings = function(lineStrings, cutLine) {
-	var out = {
-		start: lineStrings.slice(0),
-		end: lineStrings.slice(0)
-	};
-	var sort = function (a, b) {
-		var acoord = a[start ? 0 : a.length - 1];
-		var bcoord = b[start ? 0 : b.length - 1];
-		return sort2(acoord, bcoord);
-	};
-	var sort2 = function(acoord, bcoord) {
-		var aval = acoord[cutLine.type == 'meridian' ? 1 : 0];
-		var bval = bcoord[cutLine.type == 'meridian' ? 1 : 0];
-		aval = ol.cut.side(acoord, cutLine) == 1 ? 400 - aval : aval;
-		bval = ol.cut.side(bcoord, cutLine) == 1 ? 400 - bval : bval;
-		return aval - bval;
+ol.cut.Lobe;
+
+/**
+* Index of the first lobe containing a point.
+* @param {Array.<ol.cut.Lobe>} lobes
+* @param {ol.Coordinate} lonLat
+* @return {number} -1 if no lobe contains it.
+*/
+ol.cut.findLobe = function (lobes, lonLat) {
+	for (var i = 0; i < lobes.length; i++) {
+		var extent = lobes[i].extent;
+		if (lonLat[0] >= extent[0] && lonLat[0] <= extent[2] && lonLat[1] >= extent[1] && lonLat[1] <= extent[3]) {
+			return i;
+		}
 	}
-	var start = true;
-	out.start.sort(sort);
-	start = false;
-	out.end.sort(sort);
-	if (sort2(out.start[0][0], out.end[0][out.end[0].length - 1]) < 0) {
-		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) < 90 && out.start.length > 1) {
-			var i = 0;
-			var last = out.start.shift();
-			var lside = ol.cut.side(last[0], cutLine);
-			while (i != out.start.length && lside == ol.cut.side(out.start[i][0], cutLine)) {
-				i++;
+	return -1;
+};
+
+/**
+* Cut lines of an interrupted projection: the east and north edges of lobes, where the neighbouring lobe
+* does not continue the map (checked every degree). The antimeridian and the poles are left to the automatic cuts.
+* @param {Array.<ol.cut.Lobe>} lobes Lobes covering the sphere without overlaps.
+* @param {function(number, ol.Coordinate): ol.Coordinate} project Projects longitude and latitude with the lobe of an index.
+* @param {number} tolerance Maximum distance of points projected with both lobes on a continuous edge (projected units).
+* @return {Array.<ol.cut.CutLine>}
+*/
+ol.cut.lobeCutLines = function (lobes, project, tolerance) {
+	var out = [];
+	var neighbor = function (axis, deg, along) {
+		for (var j = 0; j < lobes.length; j++) {
+			var extent = lobes[j].extent;
+			if (extent[axis] == deg && along >= extent[1 - axis] && along <= extent[3 - axis]) {
+				return j;
 			}
-			if (i != out.start.length) {
-				out.start.splice(i, 0, last);
-				out.start.push(out.start.splice(i + 1, 1)[0]);
+		}
+		return -1;
+	};
+	for (var i = 0; i < lobes.length; i++) {
+		// Axis 0: east edge along a meridian, axis 1: north edge along a parallel
+		for (var axis = 0; axis < 2; axis++) {
+			var extent = lobes[i].extent;
+			var deg = extent[axis + 2];
+			if (deg >= (axis ? 90 : 180)) {
+				continue;
+			}
+			var from = extent[1 - axis];
+			var to = extent[3 - axis];
+			var n = Math.max(1, Math.ceil(to - from));
+			var start = null;
+			for (var k = 0; k < n; k++) {
+				var along = from + (k + 0.5) * (to - from) / n;
+				var point = axis ? [along, deg] : [deg, along];
+				var j = neighbor(axis, deg, along);
+				var a = project(i, point);
+				var b = j == -1 ? null : project(j, point);
+				var continuous = b && Math.abs(a[0] - b[0]) <= tolerance && Math.abs(a[1] - b[1]) <= tolerance;
+				if (!continuous && start === null) {
+					start = from + k * (to - from) / n;
+				}
+				if ((continuous || k == n - 1) && start !== null) {
+					out.push({type: axis ? 'parallel' : 'meridian', deg: deg, from: start,
+						to: continuous ? from + k * (to - from) / n : to});
+					start = null;
+				}
 			}
-		} else {
-			out.start.push(out.start.shift());
 		}
 	}
 	return out;
 };
 
 /**
-* Connects two line segments. Modifies original arrays! If a == b, closes ring.
-* @param {Array.<Array.<ol.Coordinate>>} a
-* @param {Array.<Array.<ol.Coordinate>>} b
-* @param {ol.cut.CutLine} cutLine
-* @return {Array.<Array.<ol.Coordinate>>}
+* Cuts a geometry given in EPSG:4326 and transforms it to dest. Modifies geometry in place.
+* clone() it before, if original needs to be preserved.
+* @param {ol.geom.Geometry} geom
+* @param {ol.proj.ProjectionLike|undefined} metaName SRS of the metagraticule. Default EPSG:4326.
+* @param {ol.proj.ProjectionLike|undefined} dest Destination projection. Default EPSG:4326.
+* @param {boolean|undefined} azimuthal See readCutFeatures.
+* @param {Array.<ol.cut.CutLine>|undefined} cutLines See readCutFeatures.
+* @param {number=} opt_tolerance If set, edges are densified to follow great circles within this distance in dest.
+* @param {ol.cut.CutRecord=} opt_record If set, it is filled with the details of the cut.
+* @return {ol.geom.Geometry} Cut geometry (may be a new object).
 */
-ol.cut.connectSegments = function(a, b, cutLine) {
-	var start = a[a.length - 1];
-	var end = b[0];
-	var addPoints = function(a, b, interval, xy, deg, arr) {
-		for (var i = 1; i < Math.round(Math.abs(b - a) / interval); i++) {
-			var point = [];
-			point[xy] = a + i * (b - a) / Math.round(Math.abs(b - a) / interval);
-			if (point[xy] > 180) {
-				point[xy] -= 360;
-			}
-			point[-(xy - 1)] = deg;
-			arr.push(point);
-		}
-	};
-	var INT = .5;
-	var xy = cutLine.type == 'parallel' ? 0 : 1;
-	var aside = ol.cut.side(start, cutLine);
-	var bside = ol.cut.side(end, cutLine);
-	if (cutLine.from == -180 && cutLine.to == 180 && aside != bside)
-	{
-		alert();
-		console.log(a, b);
+ol.cut.cutGeometry = function (geom, metaName, dest, azimuthal, cutLines, opt_tolerance, opt_record) {
+	if (!geom) {
+		return geom;
 	}
-	if (cutLine.from == -180 && cutLine.to == 180 && aside * start[xy] < aside * end[xy] - 1e-4) {
-		addPoints(start[xy] + (aside == -1 ? 0 : 360), end[xy] + (aside == 1 ? 0 : 360), INT, xy, start[-(xy - 1)], a);
-	} else if (aside == bside) {
-		addPoints(start[xy], end[xy], INT, xy, start[-(xy - 1)], a);
-	} else if (aside == -1) {
-		addPoints(start[xy], cutLine.to, INT, xy, start[-(xy - 1)], a);
-		var point = [];
-		point[xy] = cutLine.to;
-		point[-(xy - 1)] = start[-(xy - 1)];
-		a.push(point);
-		point = [];
-		point[xy] = cutLine.to;
-		point[-(xy - 1)] = end[-(xy - 1)];
-		a.push(point);
-		addPoints(cutLine.to, end[xy], INT, xy, end[-(xy - 1)], a);
-	} else {
-		addPoints(start[xy], cutLine.from, INT, xy, start[-(xy - 1)], a);
-		var point = [];
-		point[xy] = cutLine.from;
-		point[-(xy - 1)] = start[-(xy - 1)];
-		a.push(point);
-		point = [];
-		point[xy] = cutLine.from;
-		point[-(xy - 1)] = end[-(xy - 1)];
-		a.push(point);
-		addPoints(cutLine.from, end[xy], INT, xy, end[-(xy - 1)], a);
+	geom.clockwiseGeometry();
+	geom.transform('EPSG:4326', metaName || 'EPSG:4326');
+	return ol.cut.cutMetaGeometry(geom, metaName, dest, azimuthal, cutLines, opt_tolerance, opt_record);
+};
+
+/**
+* Details of a cut. parts: index of the original part of every part of the cut geometry (see ol.cut.parts),
+* boundary: the real edges of cut polygons in the destination projection (see ol.cut.realEdges),
+* null if no edge was added along cut lines. metaName and dest: projections of the cut.
+* anchor: label anchor, computed by ol.cut.getLabelAnchor when first needed.
+* @typedef {{parts: Array.<number>, boundary: (ol.geom.MultiLineString|null), metaName: ol.proj.ProjectionLike,
+* dest: ol.proj.ProjectionLike, anchor: (ol.geom.Point|null|undefined)}}
+*/
+ol.cut.CutRecord;
+
+/**
+* Cuts a geometry given in the metagraticule and transforms it to dest. Modifies geometry in place.
+* @param {ol.geom.Geometry} geom
+* @param {ol.proj.ProjectionLike|undefined} metaName SRS of the metagraticule. Default EPSG:4326.
+* @param {ol.proj.ProjectionLike|undefined} dest Destination projection. Default EPSG:4326.
+* @param {boolean|undefined} azimuthal See readCutFeatures.
+* @param {Array.<ol.cut.CutLine>|undefined} cutLines See readCutFeatures.
+* @param {number=} opt_tolerance If set, edges are densified to follow great circles within this distance in dest.
+* @param {ol.cut.CutRecord=} opt_record See ol.cut.cutGeometry.
+* @return {ol.geom.Geometry} Cut geometry (may be a new object).
+*/
+ol.cut.cutMetaGeometry = function (geom, metaName, dest, azimuthal, cutLines, opt_tolerance, opt_record) {
+	cutLines = ol.cut.getCutLines(azimuthal, cutLines, dest);
+	var e = 1e-6//((azimuthal && cutLines.length == 1) || (!azimuthal && cutLines.length == 3)) ? 0 : 1e-4;
+	var parts;
+	if (opt_record) {
+		parts = geom.getType() in ol.cut.depths_ ? ol.cut.parts(geom.getType(), geom.getCoordinates()) : [];
+		opt_record.parts = parts;
+		opt_record.metaName = metaName || 'EPSG:4326';
+		opt_record.dest = dest || 'EPSG:4326';
 	}
-	if (a == b) {
-		a.push(a[0]);
-		return a;
-	} else {
-		a.push.apply(a, b);
-		b = a;
-		return a;
+	for (var j = 0; j < cutLines.length; j++) {
+		if (!ol.cut.skipByExtent || ol.cut.reaches(geom.getExtent(), cutLines[j], e)) {
+			geom = geom.cut(cutLines[j], e, parts);
+		}
 	}
+	return ol.cut.transformMetaGeometry(geom, metaName, dest, cutLines, e, opt_tolerance, opt_record);
 };
 
 /**
-* Check if a hole is in a linear ring. (Bbox test.)
-* @param {Array.<ol.Coordinate>} hole
-* @param {Array.<ol.Coordinate>} ring
-* @return {boolean}
+* Transforms a cut geometry from the metagraticule to dest, densifying it before if tolerance is set.
+* Modifies geometry in place.
+* @param {ol.geom.Geometry} geom
+* @param {ol.proj.ProjectionLike|undefined} metaName SRS of the metagraticule. Default EPSG:4326.
+* @param {ol.proj.ProjectionLike|undefined} dest Destination projection. Default EPSG:4326.
+* @param {Array.<ol.cut.CutLine>} cutLines All cut lines, see ol.cut.getCutLines.
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @param {number=} opt_tolerance See ol.cut.densify.
+* @param {ol.cut.CutRecord=} opt_record If set, its boundary is set to the real edges of polygons, transformed the same way.
+* @return {ol.geom.Geometry}
 */
-ol.cut.holeInRing = function(hole, ring) {
-	var min = function(arr, ind) {
-		var ret = Infinity;
-		for (var i = 0; i < arr.length; i++) {
-			if (arr[i][ind] < ret) {
-				ret = arr[i][ind];
-			}
+ol.cut.transformMetaGeometry = function (geom, metaName, dest, cutLines, e, opt_tolerance, opt_record) {
+	var geoms = [geom];
+	if (opt_record) {
+		var type = geom.getType();
+		var lines = type == 'Polygon' || type == 'MultiPolygon' ?
+			ol.cut.realEdges(type == 'Polygon' ? [geom.getCoordinates()] : geom.getCoordinates(), cutLines, e) : null;
+		opt_record.boundary = lines ? new ol.geom.MultiLineString(lines) : null;
+		if (lines) {
+			geoms.push(opt_record.boundary);
 		}
-		return ret;
-	};
-	var max = function(arr, ind) {
-		var ret = -Infinity;
-		for (var i = 0; i < arr.length; i++) {
-			if (arr[i][ind] > ret) {
-				ret = arr[i][ind];
-			}
+	}
+	for (var i = 0; i < geoms.length; i++) {
+		if (opt_tolerance) {
+			geoms[i].densify(ol.proj.getTransform(metaName || 'EPSG:4326', dest || 'EPSG:4326'), opt_tolerance, cutLines, e);
 		}
-		return ret;
-	};
-	if (min(hole, 0) >= min(ring, 0) && min(hole, 1) >= min(ring, 1) && max(hole, 0) <= max(ring, 0) && max(hole, 1) <= max(ring, 1)) {
-		return true;
+		geoms[i].transform(metaName || 'EPSG:4326', dest || 'EPSG:4326');
 	}
-	return false;
-}
+	return geom;
+};
 
 /**
-* Adds a point to a linestring. Modifies original array.
-* @param {Array.<ol.Coordinate>} lineString
-* @param {ol.Coordinate} point
-* @param {ol.cut.CutLine} cutLine
+* Nesting depth of coordinates by type, for the geometry types which can be cut in a worker.
+* @type {Object.<string, number>}
+* @private
 */
-ol.cut.addPoint = function(lineString, point, cutLine) {
-	if (lineString.length == 0 ||
-	((cutLine.type != 'parallel' || Math.abs(cutLine.deg) < 90 || lineString[lineString.length - 1][1] + point[1] != 2 * cutLine.deg) &&
-	(lineString[lineString.length - 1][0] != point[0] ||
-	lineString[lineString.length - 1][1] != point[1]))) {
-		lineString.push(point);
+ol.cut.depths_ = {Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3};
+
+/**
+* Part indices of an uncut geometry: each part is its own original part. Parts are the points, line strings
+* or polygons of multipart geometries, single geometries have one part.
+* @param {string} type Geometry type.
+* @param {Array} coordinates
+* @return {Array.<number>}
+*/
+ol.cut.parts = function (type, coordinates) {
+	if (type.indexOf('Multi') != 0) {
+		return [0];
 	}
-}
+	return coordinates.map(function (part, i) {
+		return i;
+	});
+};
 
+/**
+* Uncut geometry of a feature cut by readCutFeatures, readCutFeaturesAsync or ol.source.CutVector, in EPSG:4326.
+* Not a copy: features of an ol.source.CutVector are cut again from it by recut() or recutFeature().
+* @param {ol.Feature} feature
+* @return {ol.geom.Geometry|null} Null if the feature was not cut.
+* @api
+*/
+ol.cut.getOriginalGeometry = function (feature) {
+	return feature.cutOriginal_ || null;
+};
 
 /**
-* Cuts a line string into pieces.
-* @param {Array.<ol.Coordinate>} lineString
-* @param {ol.cut.CutLine} cutLine
-* @param {number} e Minimum distance from cut line (degrees)
-* @return {Array.<Array.<ol.Coordinate>>}
+* Index of the part of the original geometry a part of the cut geometry comes from.
+* @param {ol.Feature} feature
+* @param {number} index Index of the part (point, line string or polygon) in the cut geometry, 0 for single geometries.
+* @return {number} Index of the part in the original geometry, 0 for single geometries, -1 if unknown
+* (eg. the feature was not cut, or kept uncut by errorPolicy 'keep', or it is a GeometryCollection).
+* @api
 */
-ol.cut.cutLineString = function (lineString, cutLine, e) {
-	var out = [];
-	var stack = [];
-	for (var i = 1; i < lineString.length; i++) {
-		ol.cut.addPoint(stack, ol.cut.move(lineString[i - 1], cutLine, e), cutLine);
-		if (ol.cut.hasIntersect(lineString[i - 1], lineString[i], cutLine)) {
-			var intPoint = ol.cut.intersect(lineString[i - 1], lineString[i], cutLine);
-			if (ol.cut.intersectBetween(intPoint, cutLine)) {
-				ol.cut.addPoint(stack, ol.cut.moveIntersection(intPoint, lineString[i - 1], cutLine, e), cutLine);
-				if (stack.length > 1 || out.length == 0) {
-					out.push(stack);
-				}
-				stack = [ol.cut.moveIntersection(intPoint, lineString[i], cutLine, e)];
-			}
-		}
+ol.cut.getOriginalPart = function (feature, index) {
+	var parts = feature.cutRecord_ ? feature.cutRecord_.parts : null;
+	return parts && index < parts.length ? parts[index] : -1;
+};
+
+/**
+* Real boundary of a feature cut by readCutFeatures, readCutFeaturesAsync or ol.source.CutVector: its polygons
+* without the edges added along cut lines (see ol.cut.realEdges). Usable as the geometry of a stroke style.
+* @param {ol.Feature} feature
+* @return {ol.geom.Geometry|undefined} MultiLineString of the real edges, or the geometry of the feature,
+* if no edge was added.
+* @api
+*/
+ol.cut.getBoundary = function (feature) {
+	return (feature.cutRecord_ && feature.cutRecord_.boundary) || feature.getGeometry();
+};
+
+/**
+* Label anchor of a feature cut by readCutFeatures, readCutFeaturesAsync or ol.source.CutVector: the pole of inaccessibility
+* of its largest polygon (see ol.cut.labelPoint). Computed when first needed, and again after the feature is cut again.
+* Usable as the geometry of a text style.
+* @param {ol.Feature} feature
+* @return {ol.geom.Geometry|undefined} Point in the destination projection, or the geometry of the feature,
+* if it is not a polygon.
+* @api
+*/
+ol.cut.getLabelAnchor = function (feature) {
+	var record = feature.cutRecord_;
+	var geom = feature.getGeometry();
+	var type = geom ? geom.getType() : null;
+	if (!record || (type != 'Polygon' && type != 'MultiPolygon')) {
+		return geom;
 	}
-	ol.cut.addPoint(stack, ol.cut.move(lineString[i - 1], cutLine, e), cutLine);
-	out.push(stack);
-	if (out.length > 0) {
-		return out;
-	} else {
-		return [lineString];
+	if (record.anchor === undefined) {
+		var meta = geom.clone().transform(record.dest, record.metaName).getCoordinates();
+		var point = ol.cut.labelPoint(type == 'Polygon' ? [meta] : meta);
+		record.anchor = point ? new ol.geom.Point(ol.proj.transform(point, record.metaName, record.dest)) : null;
 	}
+	return record.anchor || geom;
 };
 
 /**
-* Cuts a polygon into pieces.
-* @param {Array.<Array.<ol.Coordinate>>} polygon
-* @param {ol.cut.CutLine} cutLine
-* @param {number} e Minimum distance from cut line (degrees)
-* @return {Array.<Array.<Array.<ol.Coordinate>>>}
+* Splits a style into one filling the geometry and one stroking its real boundary (see ol.cut.getBoundary),
+* so edges added along cut lines are not drawn as borders.
+* @param {ol.style.Style} style
+* @return {Array.<ol.style.Style>}
+* @api
 */
-ol.cut.cutPolygon = function (polygon, cutLine, e) {
-	var segments = ol.cut.cutLineString(polygon[0], cutLine, e);
-	if (segments.length == 1) {
-		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) == 90) {
-			polygon = ol.cut.cutPole(polygon, cutLine, e);
-			// if (getArea(polygon[0]) < 1e-8)
-			//	console.log(getArea(polygon[0]));
+ol.cut.realEdgeStyle = function (style) {
+	return [
+		new ol.style.Style({
+			geometry: style.getGeometry() || undefined,
+			fill: style.getFill() || undefined,
+			image: style.getImage() || undefined,
+			text: style.getText() || undefined,
+			zIndex: style.getZIndex()
+		}),
+		new ol.style.Style({
+			geometry: ol.cut.getBoundary,
+			stroke: style.getStroke() || undefined,
+			zIndex: style.getZIndex()
+		})
+	];
+};
+
+/**
+* Whether a part of a cut geometry was created by the cut: its original part was cut into several pieces.
+* Parts which were separate parts of the original multipart geometry are not synthetic.
+* @param {ol.Feature} feature
+* @param {number} index Index of the part in the cut geometry, see ol.cut.getOriginalPart.
+* @return {boolean}
+* @api
+*/
+ol.cut.isSyntheticPart = function (feature, index) {
+	var part = ol.cut.getOriginalPart(feature, index);
+	var parts = feature.cutRecord_ ? feature.cutRecord_.parts : null;
+	return part != -1 && parts.indexOf(part) != parts.lastIndexOf(part);
+};
+
+/**
+* Flattens coordinates of a geometry. Only x and y are kept.
+* @param {string} type Geometry type.
+* @param {Array} coordinates
+* @return {{type: string, flat: Float64Array, ends: (Array|null)}} Ends are the end offsets of rings in flat
+* (array of arrays for MultiPolygons), null for types not having rings.
+*/
+ol.cut.toFlat = function (type, coordinates) {
+	var depth = ol.cut.depths_[type];
+	var flat = [];
+	var walk = function (coords, d) {
+		if (d == 0) {
+			flat.push(coords[0], coords[1]);
+			return flat.length;
 		}
-		return [polygon];
-	}
-	segments[0].shift();
-	segments[0] = segments[segments.length - 1].concat(segments[0]);
-	segments.pop();
-	var holes = [];
-	var rings = [];
-	for (var i = 1; i < polygon.length; i++) {
-		var temp = ol.cut.cutLineString(polygon[i], cutLine, e);
-		if (temp.length == 1) {
-			holes.push(temp[0]);
-		} else {
-			temp[0].shift();
-			temp[0] = temp[temp.length - 1].concat(temp[0]);
-			temp.pop();
-			segments = segments.concat(temp);
+		var ends = [];
+		for (var i = 0; i < coords.length; i++) {
+			ends.push(walk(coords[i], d - 1));
 		}
-	}
-	for (var i = 0; i < segments.length; i++) {
-		if (segments[i].length <= 4) {
-			segments.splice(i, 1);
-			i--;
+		return d == 1 ? flat.length : ends;
+	};
+	var ends = walk(coordinates, depth);
+	return {type: type, flat: new Float64Array(flat), ends: depth < 2 ? null : ends};
+};
+
+/**
+* Builds coordinates of a geometry from flat coordinates. Inverse of ol.cut.toFlat.
+* @param {string} type Geometry type.
+* @param {Float64Array} flat
+* @param {Array|null} ends
+* @return {Array}
+*/
+ol.cut.fromFlat = function (type, flat, ends) {
+	var depth = ol.cut.depths_[type];
+	var offset = 0;
+	var read = function (end) {
+		var out = [];
+		for (; offset < end; offset += 2) {
+			out.push([flat[offset], flat[offset + 1]]);
+		}
+		return out;
+	};
+	var rings = function (ends) {
+		var out = [];
+		for (var i = 0; i < ends.length; i++) {
+			out.push(read(ends[i]));
 		}
+		return out;
+	};
+	if (depth == 0) {
+		return [flat[0], flat[1]];
+	} else if (depth == 1) {
+		return read(flat.length);
+	} else if (depth == 2) {
+		return rings(ends);
 	}
-	if (segments.length == 0)
-	{
-		return [[[[0, 0], [0, 0]]]];
+	var out = [];
+	for (var i = 0; i < ends.length; i++) {
+		out.push(rings(ends[i]));
 	}
-	var sorted = ol.cut.orderLineStrings(segments, cutLine);
-	for (var i = 0; i < segments.length; i++) {
-		var con = ol.cut.connectSegments(sorted.end[i], sorted.start[i], cutLine);
-		if (con[0] == con[con.length - 1]) {
-			rings.push([con]);
-		} else {
-			sorted.end[sorted.end.indexOf(sorted.start[i])] = sorted.end[i];
+	return out;
+};
+
+/**
+* Cuts coordinates of a geometry with all cut lines. Does not depend on OpenLayers. Coordinates may be modified.
+* @param {string} type Geometry type, one of Point, MultiPoint, LineString, MultiLineString, Polygon and MultiPolygon.
+* @param {Array} coordinates
+* @param {boolean} prepare If true, coordinates are in EPSG:4326: they are set clockwise and rotated to the metagraticule
+* before cutting. Otherwise they are prepared in the metagraticule already.
+* @param {Array.<number>|null} pole Metapole (l0, f0, lm) of the metagraticule, null if it is EPSG:4326.
+* @param {Array.<ol.cut.CutLine>} cutLines All cut lines, see ol.cut.getCutLines.
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {{type: string, coordinates: Array, parts: Array.<number>}} Cut geometry in the metagraticule,
+* with the original part index of its parts (see ol.cut.parts).
+*/
+ol.cut.cutAll = function (type, coordinates, prepare, pole, cutLines, e) {
+	var cut = {type: type, coordinates: coordinates};
+	cut.parts = ol.cut.parts(cut.type, cut.coordinates);
+	if (prepare) {
+		if (cut.type == 'Polygon') {
+			cut.coordinates = ol.cut.orient(cut.coordinates);
+		} else if (cut.type == 'MultiPolygon') {
+			for (var i = 0; i < cut.coordinates.length; i++) {
+				cut.coordinates[i] = ol.cut.orient(cut.coordinates[i]);
+			}
 		}
-	}
-	for (var i = 0; i < holes.length; i++) {
-		var j = 0;
-		while(j < rings.length && !ol.cut.holeInRing(holes[i], rings[j][0])) {
-			j++;
+		if (pole) {
+			cut.coordinates = ol.cut.toFrame(cut.coordinates, {l0: pole[0], f0: pole[1], lm: pole[2]});
 		}
-		if (j == rings.length) {
-			j = 0;
-			//alert();
+	}
+	var extent = ol.cut.coordinatesExtent(cut.coordinates);
+	for (var j = 0; j < cutLines.length; j++) {
+		if (!ol.cut.skipByExtent || ol.cut.reaches(extent, cutLines[j], e)) {
+			cut = ol.cut.cutCoordinates(cut.type, cut.coordinates, cutLines[j], e, cut.parts);
+			extent = ol.cut.coordinatesExtent(cut.coordinates);
 		}
-		rings[j].push(holes[i]);
 	}
-	return rings;
+	return cut;
 };
 
 /**
-* Cuts a polygon with pole line.
-* @param {Array.<Array.<ol.Coordinate>>} polygon
-* @param {ol.cut.CutLine} cutLine
+* Cuts a geometry given in flat coordinates with all cut lines, as ol.cut.cutAll does with nested coordinates.
+* Coordinates stay flat while cutting (see ol.cut.cutCoordinatesFlat). Runs in the workers of readCutFeaturesAsync.
+* @param {{type: string, flat: (Float64Array|Array.<number>), ends: (Array|null), stride: (number|undefined)}} geom
+* See ol.cut.toFlat. Stride defaults to 2, only x and y are kept.
+* @param {boolean} prepare See ol.cut.cutAll.
+* @param {Array.<number>|null} pole See ol.cut.cutAll.
+* @param {Array.<ol.cut.CutLine>} cutLines All cut lines, see ol.cut.getCutLines.
 * @param {number} e Minimum distance from cut line (degrees)
-* @return {Array.<Array.<ol.Coordinate>>}
+* @return {{type: string, flat: Float64Array, ends: (Array|null), parts: Array.<number>}} Cut geometry in the metagraticule,
+* with the original part index of its parts (see ol.cut.parts).
 */
-ol.cut.cutPole = function (polygon, cutLine, e) {
-	var pole = 0;
-	for (var i = 0; i < polygon[0].length - 1; i++) {
-		if (polygon[0][i][0] - polygon[0][i + 1][0] > 180) {
-			pole -= 1;
+ol.cut.cutFlat = function (geom, prepare, pole, cutLines, e) {
+	var type = geom.type;
+	var stride = geom.stride || 2;
+	var flat = geom.flat;
+	var ends = geom.ends;
+	if (stride != 2) {
+		var rescale = function (end) {
+			return typeof end === 'number' ? end / stride * 2 : end.map(rescale);
+		};
+		flat = ol.cut.copyFlat_(flat, 0, flat.length, stride);
+		ends = ends && ends.map(rescale);
+	}
+	var count = type == 'MultiPoint' ? flat.length / 2 : (type == 'MultiLineString' || type == 'MultiPolygon' ? ends.length : 1);
+	var parts = [];
+	for (var i = 0; i < count; i++) {
+		parts.push(i);
+	}
+	if (prepare) {
+		if (type == 'Polygon' || type == 'MultiPolygon') {
+			var polygons = type == 'Polygon' ? [ends] : ends;
+			var oriented = [];
+			var orientedEnds = [];
+			var offset = 0;
+			for (var i = 0; i < polygons.length; i++) {
+				var rings = ol.cut.orientFlat(flat, offset, polygons[i], 2);
+				offset = polygons[i].length ? polygons[i][polygons[i].length - 1] : offset;
+				var polygonEnds = [];
+				for (var j = 0; j < rings.length; j++) {
+					for (var k = 0; k < rings[j].length; k++) {
+						oriented.push(rings[j][k]);
+					}
+					polygonEnds.push(oriented.length);
+				}
+				orientedEnds.push(polygonEnds);
+			}
+			flat = oriented;
+			ends = type == 'Polygon' ? orientedEnds[0] : orientedEnds;
 		}
-		if (polygon[0][i][0] - polygon[0][i + 1][0] < -180) {
-			pole += 1;
+		if (pole) {
+			flat = ol.cut.toFrameFlat(flat, 0, flat.length, 2, {l0: pole[0], f0: pole[1], lm: pole[2]});
 		}
 	}
-	if (pole == 0 || (pole < 0) != (cutLine.deg < 0) || polygon[0][0][1] == -cutLine.deg) {
-		return polygon;
+	var cut = {type: type, flat: flat, ends: ends, parts: parts};
+	var extent = ol.cut.flatExtent(cut.flat, 2);
+	for (var j = 0; j < cutLines.length; j++) {
+		if (!ol.cut.skipByExtent || ol.cut.reaches(extent, cutLines[j], e)) {
+			cut = ol.cut.cutCoordinatesFlat(cut.type, cut.flat, cut.ends, 2, cutLines[j], e, cut.parts);
+			extent = ol.cut.flatExtent(cut.flat, 2);
+		}
 	}
-	for (var j = 1; j < polygon.length; j++) {
-		for (var i = 0; i < polygon[j].length - 1; i++) {
-			if (polygon[j][i][0] - polygon[j][i + 1][0] > 180) {
-				pole -= 1;
+	return {type: cut.type, flat: new Float64Array(cut.flat), ends: cut.ends, parts: cut.parts};
+};
+
+/**
+* Cuts GeoJSON given in EPSG:4326, and returns it in the metagraticule. Does not depend on OpenLayers, and does not modify geojson.
+* @param {Object} geojson FeatureCollection, Feature or geometry.
+* @param {Object=} opt_options pole: metapole (l0, f0, lm) of the metagraticule, as in ol.proj.rotateProjection
+* (default none, EPSG:4326). azimuthal, cutLines: as in readCutFeatures. interruption: code of the interruption
+* registered with ol.cut.registerInterruption, used where azimuthal or cutLines are not set.
+* onWarning, errorPolicy, topology: as in readCutFeatures, onWarning is called with the GeoJSON feature.
+* Features kept uncut by errorPolicy 'keep' are only rotated to the metagraticule.
+* @return {Object|null} Cut GeoJSON. Null if it was a feature skipped by errorPolicy 'skip'.
+*/
+ol.cut.cutGeoJSON = function (geojson, opt_options) {
+	var options = opt_options || {};
+	var cutLines = ol.cut.getCutLines(options.azimuthal, options.cutLines, options.interruption);
+	var e = 1e-6;
+	var pole = options.pole || null;
+	var policy = options.errorPolicy || 'throw';
+	var walk = function (geom, fn) {
+		if (!geom) {
+			return geom;
+		} else if (geom.type == 'GeometryCollection') {
+			return {type: geom.type, geometries: geom.geometries.map(function (member) {
+				return walk(member, fn);
+			})};
+		} else if (!(geom.type in ol.cut.depths_)) {
+			return geom;
+		}
+		var out = fn(geom.type, JSON.parse(JSON.stringify(geom.coordinates)));
+		return {type: out.type, coordinates: out.coordinates};
+	};
+	var cut = function (type, coordinates) {
+		return ol.cut.cutAll(type, coordinates, true, pole, cutLines, e);
+	};
+	var rotate = function (type, coordinates) {
+		var frame = pole ? {l0: pole[0], f0: pole[1], lm: pole[2]} : null;
+		return {type: type, coordinates: frame ? ol.cut.toFrame(coordinates, frame) : coordinates};
+	};
+	var cutFeature = function (feature) {
+		var out = {};
+		for (var key in feature) {
+			out[key] = feature[key];
+		}
+		ol.cut.setWarningHandler(options.onWarning ? function (code, details) {
+			options.onWarning(feature, code, details);
+		} : null);
+		try {
+			out.geometry = walk(feature.geometry, cut);
+		} catch (err) {
+			if (!(err instanceof ol.cut.CutError)) {
+				err = new ol.cut.CutError(ol.cut.CutError.Code.CUT_FAILED, String(err.message || err), {error: err});
 			}
-			if (polygon[j][i][0] - polygon[j][i + 1][0] < -180) {
-				pole += 1;
+			ol.cut.warn(err.code, err.details);
+			ol.cut.setWarningHandler(null);
+			if (policy == 'keep') {
+				out.geometry = walk(feature.geometry, rotate);
+			} else if (policy == 'skip') {
+				return null;
+			} else {
+				ol.cut.setTopology(false);
+				throw err;
 			}
 		}
-		if (pole == 0) {
-			polygon.unshift(polygon.splice(j, 1)[0]);
-			polygon[0] = ol.cut.cutPolygon([polygon[0]], cutLine, e)[0][0];
-			return polygon;
+		ol.cut.setWarningHandler(null);
+		return out;
+	};
+	if (geojson.type == 'FeatureCollection') {
+		var out = {};
+		for (var key in geojson) {
+			out[key] = geojson[key];
 		}
+		ol.cut.setTopology(!!options.topology);
+		out.features = geojson.features.map(cutFeature).filter(function (feature) {
+			return feature !== null;
+		});
+		ol.cut.setTopology(false);
+		return out;
+	} else if (geojson.type == 'Feature') {
+		return cutFeature(geojson);
 	}
-	var line = ol.cut.connectSegments([[0, cutLine.deg]], [[pole * 180, cutLine.deg]], cutLine);
-	line.pop();
-	line = line.concat(ol.cut.connectSegments([[pole * -180, cutLine.deg]], [[0, cutLine.deg]], cutLine));
-	polygon.unshift(line);
-	return polygon;
-}
+	return walk(geojson, cut);
+};
+
 /**
-* Returns rings clockwise. Modifies original array.
-* @param {Array.<Array.<ol.Coordinate>>} polygon
+* Message handler of the workers of readCutFeaturesAsync. Cuts a batch of geometries, and posts them back
+* with warnings and errors.
+* @private
 */
-ol.cut.clockwise = function (polygon) {
-	//return polygon;
-	var max = -Infinity;
-	var biggest = 0;
-	var areas = [];
-	// Approximates area of ring in steradians supposing area is less than hemisphere
-	function getArea(ring) {
-		var ret = 0;
-		var dlsum = 0;
-		for (var i = 0; i < ring.length - 1; i++) {
-			var dl = ring[i + 1][0] - ring[i == 0 ? ring.length - 2 : i - 1][0];
-			if (Math.abs(dl) > 180) {
-				dl = (360 - Math.abs(dl)) * (dl > 0 ? -1 : 1);
+ol.cut.workerMain_ = function () {
+	self.onmessage = function (evt) {
+		var data = evt.data;
+		var results = [];
+		var transfer = [];
+		for (var i = 0; i < data.geoms.length; i++) {
+			var warnings = [];
+			ol.cut.setWarningHandler(function (code, details) {
+				warnings.push({code: code, details: details});
+			});
+			try {
+				var result = ol.cut.cutFlat(data.geoms[i], data.prepare, data.pole, data.cutLines, data.e);
+				transfer.push(result.flat.buffer);
+			} catch (err) {
+				result = {error: err instanceof ol.cut.CutError ?
+					{code: err.code, message: err.message, details: err.details} :
+					{code: ol.cut.CutError.Code.CUT_FAILED, message: String(err.message || err), details: {}}};
 			}
-			ret += dl * Math.PI / 180 * Math.sin(ring[i][1] * Math.PI / 180);
-			dlsum += dl;
+			result.index = data.geoms[i].index;
+			result.warnings = warnings;
+			results.push(result);
 		}
-		if (Math.abs(dlsum) > 180)
-		{
-			ret += 4 * Math.PI;
-		}
-		if (Math.abs(ret) > 4 * Math.PI)
-		{
-			ret += (ret > 0 ? -8 : 8) * Math.PI;
+		self.postMessage(results, transfer);
+	};
+};
+
+/**
+* Source of the workers of readCutFeaturesAsync: the functions, settings and constants of ol.cut, and ol.cut.workerMain_ started.
+* @return {string}
+* @private
+*/
+ol.cut.workerSource_ = function () {
+	var source = [
+		'var ol = {cut: {}};',
+		'ol.inherits = function (child, parent) {',
+		'	child.prototype = Object.create(parent.prototype);',
+		'	child.prototype.constructor = child;',
+		'};'
+	];
+	for (var key in ol.cut) {
+		if (typeof ol.cut[key] === 'function') {
+			source.push('ol.cut.' + key + ' = ' + ol.cut[key].toString() + ';');
+		} else if (typeof ol.cut[key] === 'number' || typeof ol.cut[key] === 'boolean') {
+			source.push('ol.cut.' + key + ' = ' + JSON.stringify(ol.cut[key]) + ';');
 		}
-		return ret / 2;
 	}
-	for (var i = 0; i < polygon.length; i++) {
-		areas[i] = getArea(polygon[i]);
-		if (Math.abs(areas[i]) < 1e-12) {
-			//Remove silver polygons!
-			areas.pop();
-			polygon.splice(i, 1);
-			i--;
-		} else if (Math.abs(areas[i]) > max) {
-			max = Math.abs(areas[i]);
-			biggest = i;
+	source.push('ol.inherits(ol.cut.CutError, Error);');
+	source.push('ol.cut.CutError.Code = ' + JSON.stringify(ol.cut.CutError.Code) + ';');
+	source.push('ol.cut.depths_ = ' + JSON.stringify(ol.cut.depths_) + ';');
+	source.push('ol.cut.setWarningHandler(null);');
+	source.push('ol.cut.workerMain_();');
+	return source.join('\n');
+};
+
+/**
+* Adds points along the edges of a line string (given in spherical coords), until every edge follows its great circle
+* within tolerance after transform. Edges along cut lines are left untouched.
+* @param {Array.<ol.Coordinate>} lineString
+* @param {ol.TransformFunction} transform Transform function to the destination projection.
+* @param {number} tolerance Maximum distance between the great circle and the projected edge (destination map units).
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<ol.Coordinate>} New line string.
+*/
+ol.cut.densify = function (lineString, transform, tolerance, cutLines, e) {
+	var MAXDEPTH = 10;
+	var out = [];
+	var project = function (point) {
+		return transform(point.slice(0, 2), undefined, 2);
+	};
+	var distance = function (p, a, b) {
+		var dx = b[0] - a[0];
+		var dy = b[1] - a[1];
+		var t = dx || dy ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy) : 0;
+		t = Math.max(0, Math.min(1, t));
+		return Math.sqrt(Math.pow(p[0] - a[0] - t * dx, 2) + Math.pow(p[1] - a[1] - t * dy, 2));
+	};
+	var addEdge = function (a, b, pa, pb, depth, out) {
+		var va = ol.cut.toVector(a);
+		var vb = ol.cut.toVector(b);
+		var vm = [va[0] + vb[0], va[1] + vb[1], va[2] + vb[2]];
+		var length = Math.sqrt(vm[0] * vm[0] + vm[1] * vm[1] + vm[2] * vm[2]);
+		if (depth == MAXDEPTH || length < 1e-9) {
+			return;
+		}
+		var m = [Math.atan2(vm[1], vm[0]) * 180 / Math.PI, Math.asin(vm[2] / length) * 180 / Math.PI];
+		var pm = project(m);
+		if (!isFinite(pm[0]) || !isFinite(pm[1]) || distance(pm, pa, pb) <= tolerance) {
+			return;
+		}
+		addEdge(a, m, pa, pm, depth + 1, out);
+		out.push(m);
+		addEdge(m, b, pm, pb, depth + 1, out);
+	};
+	var edgePoints = function (a, b) {
+		var points = [];
+		var pa = project(a);
+		var pb = project(b);
+		if (isFinite(pa[0]) && isFinite(pa[1]) && isFinite(pb[0]) && isFinite(pb[1])) {
+			addEdge(a, b, pa, pb, 0, points);
+		}
+		return points;
+	};
+	for (var i = 0; i < lineString.length; i++) {
+		if (i > 0) {
+			var a = lineString[i - 1];
+			var b = lineString[i];
+			var line = ol.cut.onCutLine(a, cutLines, e);
+			if (line == -1 || line != ol.cut.onCutLine(b, cutLines, e)) {
+				out.push.apply(out, ol.cut.sharedEdge('densify' + tolerance, a, b, edgePoints));
+			}
 		}
+		out.push(lineString[i]);
 	}
-	if (polygon.length == 0) {
-		return [[[0, 0], [0, 0]]];
+	return out;
+};
+
+/**
+* Adds points along straight edges (in planar coordinates, eg. tile pixels), so no edge is longer than step.
+* Any nesting depth of line strings is accepted. Points are computed from the lower end point of the edge,
+* so edges shared by neighbouring rings get exactly the same points.
+* @param {Array} coords
+* @param {number} step Maximum length of edges.
+* @return {Array} New coordinates.
+*/
+ol.cut.subdividePlanar = function (coords, step) {
+	if (typeof coords[0][0] !== 'number') {
+		return coords.map(function (lineString) {
+			return ol.cut.subdividePlanar(lineString, step);
+		});
 	}
-	if (biggest > 0) {
-		polygon.unshift(polygon.splice(biggest, 1));
-		areas.unshift(areas.splice(biggest, 1));
+	var out = [];
+	for (var i = 0; i < coords.length; i++) {
+		if (i > 0) {
+			var a = coords[i - 1];
+			var b = coords[i];
+			var forward = a[0] < b[0] || (a[0] == b[0] && a[1] <= b[1]);
+			var from = forward ? a : b;
+			var to = forward ? b : a;
+			var n = Math.ceil(Math.sqrt((to[0] - from[0]) * (to[0] - from[0]) + (to[1] - from[1]) * (to[1] - from[1])) / step);
+			for (var j = 1; j < n; j++) {
+				var k = forward ? j / n : 1 - j / n;
+				out.push([from[0] + k * (to[0] - from[0]), from[1] + k * (to[1] - from[1])]);
+			}
+		}
+		out.push(coords[i]);
 	}
-	for (var i = 0; i < polygon.length; i++) {
-		if ((areas[i] > 0) == (i > 0)) {
-			console.log(polygon[i]); alert(areas[i]);
-			polygon[i].reverse();
+	return out;
+};
+
+/**
+* Intersection point of the segment between a and b with the line where coordinate axis is value.
+* Computed from the lower end point, so it does not depend on the direction of the segment.
+* @param {ol.Coordinate} a
+* @param {ol.Coordinate} b
+* @param {number} axis 0 for a vertical line, 1 for a horizontal one.
+* @param {number} value
+* @return {ol.Coordinate}
+*/
+ol.cut.axisIntersect = function (a, b, axis, value) {
+	if (a[0] > b[0] || (a[0] == b[0] && a[1] > b[1])) {
+		var c = a;
+		a = b;
+		b = c;
+	}
+	var point = [0, 0];
+	point[axis] = value;
+	point[1 - axis] = a[1 - axis] + (value - a[axis]) * (b[1 - axis] - a[1 - axis]) / (b[axis] - a[axis]);
+	return point;
+};
+
+/**
+* Clips the segment between a and b to box (Liang-Barsky).
+* @param {ol.Coordinate} a
+* @param {ol.Coordinate} b
+* @param {ol.Extent} box
+* @return {Array.<ol.Coordinate>|null} End points of the part inside box (a or b themselves if they are inside),
+* null if the segment is outside.
+*/
+ol.cut.clipSegment = function (a, b, box) {
+	var t0 = 0;
+	var t1 = 1;
+	var k0 = -1;
+	var k1 = -1;
+	for (var k = 0; k < 4; k++) {
+		var axis = k % 2;
+		var p = k < 2 ? a[axis] - b[axis] : b[axis] - a[axis];
+		var q = k < 2 ? a[axis] - box[k] : box[k] - a[axis];
+		if (p == 0) {
+			if (q < 0) {
+				return null;
+			}
+			continue;
+		}
+		var t = q / p;
+		if (p < 0) {
+			if (t > t1) {
+				return null;
+			} else if (t > t0) {
+				t0 = t;
+				k0 = k;
+			}
+		} else {
+			if (t < t0) {
+				return null;
+			} else if (t < t1) {
+				t1 = t;
+				k1 = k;
+			}
 		}
 	}
-	return polygon;
+	return [k0 < 0 ? a : ol.cut.axisIntersect(a, b, k0 % 2, box[k0]), k1 < 0 ? b : ol.cut.axisIntersect(a, b, k1 % 2, box[k1])];
 };
 
-ol.geom.Geometry.prototype.cut = function () {return this;};
+/**
+* Clips a line string to box.
+* @param {Array.<ol.Coordinate>} lineString
+* @param {ol.Extent} box
+* @return {Array.<Array.<ol.Coordinate>>} Parts inside box.
+*/
+ol.cut.clipLineString = function (lineString, box) {
+	var out = [];
+	var current = null;
+	for (var i = 1; i < lineString.length; i++) {
+		var segment = ol.cut.clipSegment(lineString[i - 1], lineString[i], box);
+		if (!segment) {
+			current = null;
+			continue;
+		}
+		if (!current || segment[0] !== lineString[i - 1]) {
+			current = [segment[0]];
+			out.push(current);
+		}
+		current.push(segment[1]);
+		if (segment[1] !== lineString[i]) {
+			current = null;
+		}
+	}
+	return out;
+};
 
 /**
-* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
-* @param {ol.cut.CutLine} cutLine
-* @param {number} e Minimum distance from cut line (degrees)
+* Clips a closed ring to box (Sutherland-Hodgman).
+* @param {Array.<ol.Coordinate>} ring
+* @param {ol.Extent} box
+* @return {Array.<ol.Coordinate>|null} Closed ring, null if nothing is left.
 */
-ol.geom.Point.prototype.cut = function (cutLine, e) {
-	this.setCoordinates(ol.cut.move(this.getCoordinates(), cutLine, e));
-	return this;
+ol.cut.clipRing = function (ring, box) {
+	var out = ring.slice(0, ring.length - 1);
+	for (var k = 0; k < 4 && out.length; k++) {
+		var axis = k % 2;
+		var inside = function (point) {
+			return k < 2 ? point[axis] >= box[k] : point[axis] <= box[k];
+		};
+		var points = out;
+		out = [];
+		for (var i = 0; i < points.length; i++) {
+			var prev = points[(i + points.length - 1) % points.length];
+			if (inside(points[i]) != inside(prev)) {
+				out.push(ol.cut.axisIntersect(prev, points[i], axis, box[k]));
+			}
+			if (inside(points[i])) {
+				out.push(points[i]);
+			}
+		}
+	}
+	if (out.length < 3) {
+		return null;
+	}
+	out.push(out[0].slice(0));
+	return out;
 };
 
 /**
-* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
-* @param {ol.cut.CutLine} cutLine
-* @param {number} e Minimum distance from cut line (degrees)
+* If false, geometries are cut with every cut line, even if their extent cannot reach it. For benchmarks.
+* Workers of readCutFeaturesAsync take the value it has when they are started.
+* @type {boolean}
+*/
+ol.cut.skipByExtent = true;
+
+/**
+* Points of the edges cut in topology mode, by kind and end points. Null if topology mode is off.
+* @type {Object.<string, Array.<ol.Coordinate>>|null}
+* @private
+*/
+ol.cut.edges_ = null;
+
+/**
+* Turns topology mode on or off. While it is on, edges shared by rings and features are cut only once
+* (see ol.cut.sharedEdge). Turning it on starts with no edges, unless the edges of earlier calls are given.
+* @param {boolean|Object.<string, Array.<ol.Coordinate>>} topology Whether topology mode is on,
+* or the edges to continue with (an object kept between calls, eg. by ol.source.CutVectorTile).
 */
-ol.geom.Circle.prototype.cut = function (cutLine, e) {
-	this.setCenter(ol.cut.move(this.getCenter(), cutLine, e));
-	return this;
+ol.cut.setTopology = function (topology) {
+	ol.cut.edges_ = typeof topology === 'object' ? topology : (topology ? {} : null);
 };
 
 /**
-* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
-* @param {ol.cut.CutLine} cutLine
-* @param {number} e Minimum distance from cut line (degrees)
+* Returns points computed for the edge from a to b. In topology mode (see the topology read option of readCutFeatures)
+* they are computed only once for every edge, and reused for the edges of other rings or features running between
+* the same points, in either direction. Otherwise the points depend on the direction of the edge in their last digits,
+* so neighbouring polygons sharing a border may get slightly different ones.
+* @param {string} kind Kind of the points, eg. the cut line they are computed for.
+* @param {ol.Coordinate} a
+* @param {ol.Coordinate} b
+* @param {function(ol.Coordinate, ol.Coordinate): Array.<ol.Coordinate>} compute Computes the points from a to b.
+* @return {Array.<ol.Coordinate>} Points in the order from a to b.
 */
-ol.geom.MultiPoint.prototype.cut = function (cutLine, e) {
-	var inp = this.getCoordinates();
-	var out = [];
-	for (var i = 0; i < inp.length; i++) {
-		out.push(ol.cut.move(inp[i], cutLine, e));
+ol.cut.sharedEdge = function (kind, a, b, compute) {
+	if (!ol.cut.edges_) {
+		return compute(a, b);
+	}
+	var ka = a[0] + ' ' + a[1];
+	var kb = b[0] + ' ' + b[1];
+	var forward = ka <= kb;
+	var key = kind + ':' + (forward ? ka + ',' + kb : kb + ',' + ka);
+	if (!(key in ol.cut.edges_)) {
+		ol.cut.edges_[key] = forward ? compute(a, b) : compute(b, a);
 	}
-	this.setCoordinates(out);
-	return this;
+	return forward ? ol.cut.edges_[key] : ol.cut.edges_[key].slice(0).reverse();
 };
 
 /**
-* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+* Decides if a geometry of extent (in spherical coords) may be changed by cutting with cutLine.
+* Edges are great circle arcs, so they may reach higher latitudes than the extent: this bulge is bounded by the width of the extent.
+* Always true for cut lines in clip mode and for cut lines not following the metagraticule.
+* @param {ol.Extent} extent
 * @param {ol.cut.CutLine} cutLine
 * @param {number} e Minimum distance from cut line (degrees)
+* @return {boolean}
 */
-ol.geom.LineString.prototype.cut = function (cutLine, e) {
-	var out = ol.cut.cutLineString(this.getCoordinates(), cutLine, e);
-	if (out.length == 1) {
-		this.setCoordinates(out[0]);
-		return this;
-	} else {
-		return new ol.geom.MultiLineString(out);
+ol.cut.reaches = function (extent, cutLine, e) {
+	if (cutLine.mode == 'clip' || (cutLine.type != 'meridian' && cutLine.type != 'parallel')) {
+		return true;
+	}
+	var m = 10 * e;
+	var width = extent[2] - extent[0];
+	var bulge = function (f) {
+		if (f <= 0) {
+			return f;
+		} else if (width >= 180 - m) {
+			return 90;
+		}
+		return Math.atan(Math.tan(f * Math.PI / 180) / Math.cos(width * Math.PI / 360)) * 180 / Math.PI;
+	};
+	if (cutLine.type == 'parallel' && Math.abs(cutLine.deg) == 90) {
+		// Rings around the pole, and edges close to it (see ol.cut.hasIntersect)
+		return width >= 180 - m || (cutLine.deg > 0 ? extent[3] : -extent[1]) >= 89 - m;
+	}
+	var north = bulge(extent[3]);
+	var south = -bulge(-extent[1]);
+	var reachesLon = function (from, to) {
+		return width >= 180 - m || (extent[2] >= from - m && extent[0] <= to + m);
+	};
+	if (cutLine.type == 'meridian') {
+		var lon = Math.abs(cutLine.deg) == 180 ? reachesLon(-180, -180) || reachesLon(180, 180) : reachesLon(cutLine.deg, cutLine.deg);
+		return lon && north >= cutLine.from - m && south <= cutLine.to + m;
 	}
+	return reachesLon(cutLine.from, cutLine.to) && north >= cutLine.deg - m && south <= cutLine.deg + m;
 };
 
 /**
-* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
-* @param {ol.cut.CutLine} cutLine
-* @param {number} e Minimum distance from cut line (degrees)
+* Extent of coordinates (of any nesting depth).
+* @param {ol.Coordinate|Array} coords
+* @param {ol.Extent=} opt_extent Extent to extend.
+* @return {ol.Extent}
 */
-ol.geom.MultiLineString.prototype.cut = function (cutLine, e) {
-	var inp = this.getCoordinates();
-	var out = [];
-	for (var i = 0; i < inp.length; i++) {
-		var stack = ol.cut.cutLineString(inp[i], cutLine, e);
-		for (var j = 0; j < stack.length; j++) {
-			out.push(stack[j]);
+ol.cut.coordinatesExtent = function (coords, opt_extent) {
+	var extent = opt_extent || [Infinity, Infinity, -Infinity, -Infinity];
+	if (typeof coords[0] === 'number') {
+		extent[0] = Math.min(extent[0], coords[0]);
+		extent[1] = Math.min(extent[1], coords[1]);
+		extent[2] = Math.max(extent[2], coords[0]);
+		extent[3] = Math.max(extent[3], coords[1]);
+	} else {
+		for (var i = 0; i < coords.length; i++) {
+			ol.cut.coordinatesExtent(coords[i], extent);
 		}
 	}
-	this.setCoordinates(out);
-	return this;
+	return extent;
 };
 
 /**
-* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+* Intersection point of geodetic between pointA, pointB (given in spherical coords) and graticule line of cutLine.
+* @param {ol.Coordinate} pointA
+* @param {ol.Coordinate} pointB
 * @param {ol.cut.CutLine} cutLine
-* @param {number} e Minimum distance from cut line (degrees)
+* @return {ol.Coordinate}
 */
-ol.geom.Polygon.prototype.cut = function (cutLine, e) {
-	var out = ol.cut.cutPolygon(this.getCoordinates(), cutLine, e);
-	if (out.length == 1) {
-		this.setCoordinates(out[0]);
-		return this;
+ol.cut.intersect = function (pointA, pointB, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.intersect(ol.cut.toFrame(pointA, frame), ol.cut.toFrame(pointB, frame), frame.cutLine), frame, true);
+	}
+	// Convert to radians
+	var a = [pointA[0] / 180 * Math.PI, pointA[1] / 180 * Math.PI];
+	var b = [pointB[0] / 180 * Math.PI, pointB[1] / 180 * Math.PI];
+	var s = Math.acos(Math.sin(a[1]) * Math.sin(b[1]) + Math.cos(a[1]) * Math.cos(b[1]) * Math.cos(b[0] - a[0]));
+	var x = Math.acos((Math.sin(a[1]) - Math.sin(b[1]) * Math.cos(s)) / (Math.cos(b[1]) * Math.sin(s)));
+	if (cutLine.type == 'meridian') {
+		var l = cutLine.deg / 180 * Math.PI;
+		if (Math.abs(a[0] - l) <= 1e-4) {
+			var f = a[1];
+		} else if (Math.abs(b[0] - l) <= 1e-4) {
+			var f = b[1];
+		} else if (Math.PI / 2 - Math.abs(a[1]) <= 1e-6) {
+			var f = a[1];
+		} else if (Math.PI / 2 - Math.abs(b[1]) <= 1e-6) {
+			var f = b[1];
+		} else {
+			var f = Math.atan((Math.sin(b[1]) * Math.cos(b[0] - l) + Math.abs(Math.sin(b[0] - l)) / Math.tan(x)) / Math.cos(b[1]));
+		}
+		return [cutLine.deg, f / Math.PI * 180];
+	} else if (cutLine.type == 'parallel') {
+		var f = cutLine.deg / 180 * Math.PI;
+		if (Math.abs(f) == Math.PI / 2) {
+			if (Math.abs(Math.abs(a[1]) - Math.PI / 2) <= 1e-6) {
+				var l = b[0] + Math.PI / 2
+			} else if (Math.abs(Math.abs(b[1]) - Math.PI / 2) <= 1e-6) {
+				var l = a[0] + Math.PI / 2
+			} else {
+				var l = (a[0] + b[0]) / 2;
+			}
+			if (l > Math.PI / 2) {
+				l-= Math.PI;
+			}
+		} else if (Math.abs(a[0] - b[0]) <= 1e-6) {
+			if (Math.abs(a[1]) < Math.abs(b[1])) {
+				var l = a[0];
+			} else {
+				var l = a[0];
+			}
+		} else {
+			if (Math.abs(f + b[1]) <= 1e-6) {
+				var l = -2 * Math.atan(Math.tan(x) * Math.sin(b[1]));
+			} else {
+				var l = 2 * Math.atan((1 / Math.tan(x) -
+					(a[1] > b[1] ? 1 : -1) * Math.sqrt(Math.pow(Math.tan(x), -2) - Math.pow(Math.cos(b[1]) * Math.tan(f), 2) +
+					Math.pow(Math.sin(b[1]), 2))) / (Math.cos(b[1]) * Math.tan(f) + Math.sin(b[1])));
+			}
+			l = b[0] - (Math.sin(b[0] - a[0]) > 0 ? 1 : -1) * l;
+			while (Math.abs(l) > Math.PI) {
+				l -= (l > 0 ? 1 : -1) * 2 * Math.PI;
+			}
+		}
+		return [l / Math.PI * 180, cutLine.deg];		
 	} else {
-		return new ol.geom.MultiPolygon(out);
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
 	}
 };
 
 /**
-* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+* Decide if geodetic between pointA and pointB intersects with cutLine.
+* @param {ol.Coordinate} pointA
+* @param {ol.Coordinate} pointB
 * @param {ol.cut.CutLine} cutLine
-* @param {number} e Minimum distance from cut line (degrees)
+* @return {boolean}
 */
-ol.geom.MultiPolygon.prototype.cut = function (cutLine, e) {
-	var inp = this.getCoordinates();
-	var out = [];
-	for (var i = 0; i < inp.length; i++) {
-		var stack = ol.cut.cutPolygon(inp[i], cutLine, e);
-		for (var j = 0; j < stack.length; j++) {
-			out.push(stack[j]);
+ol.cut.hasIntersect = function (pointA, pointB, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.hasIntersect(ol.cut.toFrame(pointA, frame), ol.cut.toFrame(pointB, frame), frame.cutLine);
+	}
+	if (cutLine.type == 'meridian') {
+		if (Math.abs(cutLine.deg) == 180) {
+			return Math.abs(pointA[0] - pointB[0]) > 180;
+		} else {
+			return ((pointA[0] < cutLine.deg) != (pointB[0] < cutLine.deg)) && (Math.abs(pointA[0] - pointB[0]) < 180);
+		}
+	} else if (cutLine.type == 'parallel') {
+		if (Math.abs(cutLine.deg) == 90) {
+			return (Math.abs(Math.abs(pointA[0] - pointB[0]) - 180) < (180 - 180 * Math.sqrt((90 - Math.abs(pointA[1])) * (90 - Math.abs(pointB[1]))))) && ((pointA[1] + pointB[1] > 0) ^ (cutLine.deg < 0));
+		} else {
+			return (pointA[1] < cutLine.deg) != (pointB[1] < cutLine.deg);
 		}
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
 	}
-	this.setCoordinates(out);
-	return this;
 };
 
-ol.geom.Geometry.prototype.clockwiseGeometry = function () {};
-
 /**
-* Sets exterior ring clockwise, interiors counterclockwise.
+* Decide if intersection point is between the from and to of cutLine
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+* @return {boolean}
 */
-ol.geom.Polygon.prototype.clockwiseGeometry = function() {
-	this.setCoordinates(ol.cut.clockwise(this.getCoordinates()));
+ol.cut.intersectBetween = function (point, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.intersectBetween(ol.cut.toFrame(point, frame), frame.cutLine);
+	}
+	if (cutLine.type == 'meridian') {
+		return point[1] >= cutLine.from && point[1] <= cutLine.to;
+	} else if (cutLine.type == 'parallel') {
+		return point[0] >= cutLine.from && point[0] <= cutLine.to;
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
+	}	
 };
 
 /**
-* Sets exterior ring clockwise, interiors counterclockwise.
+* Moves a point if too close to cut line. Otherwise it keeps in place.
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {ol.Coordinate}
 */
-ol.geom.MultiPolygon.prototype.clockwiseGeometry = function() {
-	var inp = this.getCoordinates();
-	var out = [];
-	for (var i = 0; i < inp.length; i++) {
-		out[i] = ol.cut.clockwise(inp[i]);
+ol.cut.move = function (point, cutLine, e) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		var framed = ol.cut.toFrame(point, frame);
+		var moved = ol.cut.move(framed, frame.cutLine, e);
+		return moved == framed ? point : ol.cut.toFrame(moved, frame, true);
 	}
-	this.setCoordinates(out);
-};
\ No newline at end of file
+	if (!ol.cut.intersectBetween(point, cutLine)) return point;
+	if (cutLine.type == 'meridian') {
+		if (Math.abs(cutLine.deg) == 180) {
+			return Math.abs(point[0]) > 180 - e ? [(point[0] > 0 ? 1 : -1) * (180 - e), point[1]] : point;
+		} else {
+			return Math.abs(point[0] - cutLine.deg) < e ? [cutLine.deg + (point[0] >= cutLine.deg ? 1 : -1) * e, point[1]] : point;
+		}
+	} else if (cutLine.type == 'parallel') {
+		return Math.abs(point[1] - cutLine.deg) < e ? [point[0], cutLine.deg + (point[1] >= cutLine.deg && cutLine.deg < 90 ? 1 : -1) * e] : point;
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
+	}
+};
+
+/**
+* Moves intersection point away from cutLine. Moving direction towards neighborPoint.
+* @param {ol.Coordinate} point
+* @param {ol.Coordinate} neighborPoint
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Distance from cut line (degrees)
+* @return {ol.Coordinate}
+*/
+ol.cut.moveIntersection = function (point, neighborPoint, cutLine, e) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.moveIntersection(ol.cut.toFrame(point, frame), ol.cut.toFrame(neighborPoint, frame),
+			frame.cutLine, e), frame, true);
+	}
+	if (cutLine.type == 'meridian') {
+		if (Math.abs(cutLine.deg) == 180) {
+			return [(neighborPoint[0] > 0 ? 1 : -1) * (180 - e), point[1]];
+		} else {
+			return [cutLine.deg + (neighborPoint[0] >= cutLine.deg ? 1 : -1) * e, point[1]];
+		}
+	} else if (cutLine.type == 'parallel') {
+		if (Math.abs(cutLine.deg) == 90) {
+			return [/*point[0] + (point[0] <*/ neighborPoint[0]/* ? 90 : -90)*/, cutLine.deg + (cutLine.deg < 0 ? 1 : -1) * e];
+		} else {
+			return [point[0], cutLine.deg + (neighborPoint[1] >= cutLine.deg ? 1 : -1) * e];
+		}
+	} else {
+		throw new ol.cut.CutError(ol.cut.CutError.Code.INVALID_CUT_LINE, 'Invalid cutLine type', {cutLine: cutLine});
+	}
+};
+
+/**
+* Oblique aspect transformation.
+* @param {ol.Coordinate} point
+* @param {number} l0 Longitude of the metapole.
+* @param {number} f0 Latitude of the metapole.
+* @param {number} lm Metalongitude of the midmeridian.
+* @return {ol.Coordinate}
+*/
+ol.cut.rotate = function (point, l0, f0, lm) {
+	point = [point[0] * Math.PI / 180, point[1] * Math.PI / 180];
+	l0 *= Math.PI / 180;
+	f0 *= Math.PI / 180;
+	lm *= Math.PI / 180;
+	if (l0 != 0) {
+		point[0] -= l0;
+	}
+	if (Math.sin(f0) == -1) {
+		point[1] *= -1;
+		point[0] *= -1;
+		point[0] += point[0] > 0 ? -Math.PI : Math.PI;
+	} else if (Math.sin(f0) < 1) {
+		point = [
+			Math.atan2(Math.cos(point[1]) * Math.sin(point[0]), -Math.cos(f0) * Math.sin(point[1]) + Math.sin(f0) * Math.cos(point[1]) * Math.cos(point[0])),
+			Math.asin(Math.sin(f0) * Math.sin(point[1]) + Math.cos(f0) * Math.cos(point[1]) * Math.cos(point[0]))
+		];
+	}
+	if (lm != 0) {
+		point[0] -= lm;
+	}
+	while (Math.abs(point[0]) > Math.PI && (l0 != 0 || lm != 0)) {
+		point[0] -= (point[0] > 0 ? 1 : -1) * 2 * Math.PI;
+	}
+	return [point[0] * 180 / Math.PI, point[1] * 180 / Math.PI];
+};
+
+/**
+* Small circle (a geodesic circle) around center, as a closed ring. Vertices are equally spaced on the circle.
+* @param {ol.Coordinate} center Longitude and latitude.
+* @param {number} radius Angular radius (degrees of arc).
+* @param {number=} opt_n Number of vertices (default 64).
+* @return {Array.<ol.Coordinate>}
+*/
+ol.cut.smallCircle = function (center, radius, opt_n) {
+	var n = opt_n || 64;
+	var ring = [];
+	for (var i = 0; i <= n; i++) {
+		// Parallel around the pole of a metagraticule centered on center
+		ring.push(ol.cut.rotate([180 - 360 * (i % n) / n, 90 - radius], 180, center[1], 180 - center[0]));
+	}
+	return ring;
+};
+
+/**
+* Distortion of a projection at a point, from the derivatives of its forward transform (Tissot indicatrix).
+* @param {function(ol.Coordinate): ol.Coordinate} transform Forward transform from longitude and latitude.
+* @param {ol.Coordinate} point Longitude and latitude.
+* @param {number} radius Radius of the sphere in projected units.
+* @return {{a: number, b: number, areal: number, angular: number}|null} Maximum and minimum scale, areal scale,
+* and maximum angular deformation (degrees). Null at the poles, or where the transform fails.
+*/
+ol.cut.distortion = function (transform, point, radius) {
+	var d = 1e-5;
+	var cos = Math.cos(point[1] * Math.PI / 180);
+	if (Math.abs(point[1]) > 90 - 2 * d) {
+		return null;
+	}
+	var west = transform([point[0] - d, point[1]]);
+	var east = transform([point[0] + d, point[1]]);
+	var south = transform([point[0], point[1] - d]);
+	var north = transform([point[0], point[1] + d]);
+	var length = 2 * d * Math.PI / 180 * radius;
+	var xl = (east[0] - west[0]) / (length * cos);
+	var yl = (east[1] - west[1]) / (length * cos);
+	var xf = (north[0] - south[0]) / length;
+	var yf = (north[1] - south[1]) / length;
+	var hk = xl * xl + yl * yl + xf * xf + yf * yf;
+	var areal = Math.abs(xl * yf - xf * yl);
+	if (!isFinite(hk) || !isFinite(areal)) {
+		return null;
+	}
+	var sum = Math.sqrt(hk + 2 * areal);
+	var diff = Math.sqrt(Math.max(0, hk - 2 * areal));
+	return {
+		a: (sum + diff) / 2,
+		b: (sum - diff) / 2,
+		areal: areal,
+		angular: sum ? 2 * Math.asin(Math.min(1, diff / sum)) * 180 / Math.PI : 0
+	};
+};
+
+/**
+* Which side of cutLine?
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+* @return {number} -1 or 1
+*/
+ol.cut.side = function(point, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.side(ol.cut.toFrame(point, frame), frame.cutLine);
+	}
+	if (cutLine.deg == 180) {
+		return point[0] > 0 ? 1 : -1;
+	} else {
+		var side = point[cutLine.type == 'parallel' ? 1 : 0] < cutLine.deg || (cutLine.type == 'parallel' && cutLine.deg == 90) ? -1 : 1;
+		return side * (cutLine.type == 'meridian' ? -1 : 1);
+	}
+}
+
+/**
+* Decide if point is kept by cutLine. Always true, except for the removed side of cut lines in clip mode.
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+* @return {boolean}
+*/
+ol.cut.keeps = function(point, cutLine) {
+	return cutLine.mode != 'clip' || ol.cut.side(point, cutLine) == (cutLine.keep || 1);
+};
+
+/**
+* Decides if the result of an inverse transform belongs to a lobe of the map. Points of the projection plane outside
+* the outline or in the gaps of interruptions are not transformed back to themselves, or they fall on the removed side
+* of a cut line in clip mode.
+* @param {ol.Coordinate} point Point of the projection plane.
+* @param {ol.Coordinate} lonLat Longitude and latitude given for point by the inverse transform.
+* @param {function(ol.Coordinate): ol.Coordinate} forward Forward transform from longitude and latitude.
+* @param {Array.<number>|null} pole Metapole (l0, f0, lm) of the metagraticule, null if it is EPSG:4326.
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} tolerance Maximum distance of point transformed back (projected units).
+* @return {boolean}
+*/
+ol.cut.inLobe = function (point, lonLat, forward, pole, cutLines, tolerance) {
+	if (!lonLat || !isFinite(lonLat[0]) || !isFinite(lonLat[1]) || Math.abs(lonLat[1]) > 90) {
+		return false;
+	}
+	var back = forward(lonLat);
+	if (!(Math.abs(back[0] - point[0]) <= tolerance && Math.abs(back[1] - point[1]) <= tolerance)) {
+		return false;
+	}
+	var meta = pole ? ol.cut.rotate(lonLat, pole[0], pole[1], pole[2]) : lonLat;
+	cutLines = ol.cut.expandCutLines(cutLines);
+	for (var i = 0; i < cutLines.length; i++) {
+		if (!ol.cut.keeps(meta, cutLines[i])) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+* Removes line strings on the removed side of cutLine in clip mode. Modifies original array.
+* @param {Array.<Array.<ol.Coordinate>>} lineStrings Pieces of line strings cut by cutLine.
+* @param {ol.cut.CutLine} cutLine
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.clip = function(lineStrings, cutLine) {
+	for (var i = 0; i < lineStrings.length; i++) {
+		if (!ol.cut.keeps(lineStrings[i][0], cutLine)) {
+			lineStrings.splice(i, 1);
+			i--;
+		}
+	}
+	return lineStrings;
+};
+
+/**
+* Orders line strings by endpoints.
+* @param {Array.<Array.<ol.Coordinate>>} lineStrings Line strings to order.
+* @param {ol.cut.CutLine} cutLine
+* @return {{start: Array.<Array.<ol.Coordinate>>, end: Array.<Array.<ol.Coordinate>>}} Ordered by start and endpoints.
+*/
+ol.cut.orderLineStrings = function(lineStrings, cutLine) {
+	var out = {
+		start: lineStrings.slice(0),
+		end: lineStrings.slice(0)
+	};
+	var sort = function (a, b) {
+		var acoord = a[start ? 0 : a.length - 1];
+		var bcoord = b[start ? 0 : b.length - 1];
+		return sort2(acoord, bcoord);
+	};
+	var sort2 = function(acoord, bcoord) {
+		var aval = acoord[cutLine.type == 'meridian' ? 1 : 0];
+		var bval = bcoord[cutLine.type == 'meridian' ? 1 : 0];
+		aval = ol.cut.side(acoord, cutLine) == 1 ? 400 - aval : aval;
+		bval = ol.cut.side(bcoord, cutLine) == 1 ? 400 - bval : bval;
+		return aval - bval;
+	}
+	var start = true;
+	out.start.sort(sort);
+	start = false;
+	out.end.sort(sort);
+	if (sort2(out.start[0][0], out.end[0][out.end[0].length - 1]) < 0) {
+		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) < 90 && out.start.length > 1) {
+			var i = 0;
+			var last = out.start.shift();
+			var lside = ol.cut.side(last[0], cutLine);
+			while (i != out.start.length && lside == ol.cut.side(out.start[i][0], cutLine)) {
+				i++;
+			}
+			if (i != out.start.length) {
+				out.start.splice(i, 0, last);
+				out.start.push(out.start.splice(i + 1, 1)[0]);
+			}
+		} else {
+			out.start.push(out.start.shift());
+		}
+	}
+	return out;
+};
+
+/**
+* Connects two line segments. Modifies original arrays! If a == b, closes ring.
+* @param {Array.<Array.<ol.Coordinate>>} a
+* @param {Array.<Array.<ol.Coordinate>>} b
+* @param {ol.cut.CutLine} cutLine
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.connectSegments = function(a, b, cutLine) {
+	var start = a[a.length - 1];
+	var end = b[0];
+	var addPoints = function(a, b, interval, xy, deg, arr) {
+		for (var i = 1; i < Math.round(Math.abs(b - a) / interval); i++) {
+			var point = [];
+			point[xy] = a + i * (b - a) / Math.round(Math.abs(b - a) / interval);
+			if (point[xy] > 180) {
+				point[xy] -= 360;
+			}
+			point[-(xy - 1)] = deg;
+			arr.push(point);
+		}
+	};
+	var INT = .5;
+	var xy = cutLine.type == 'parallel' ? 0 : 1;
+	var aside = ol.cut.side(start, cutLine);
+	var bside = ol.cut.side(end, cutLine);
+	if (cutLine.from == -180 && cutLine.to == 180 && aside != bside)
+	{
+		ol.cut.warn(ol.cut.CutError.Code.SIDE_MISMATCH, {a: a, b: b, cutLine: cutLine});
+	}
+	if (cutLine.from == -180 && cutLine.to == 180 && aside * start[xy] < aside * end[xy] - 1e-4) {
+		addPoints(start[xy] + (aside == -1 ? 0 : 360), end[xy] + (aside == 1 ? 0 : 360), INT, xy, start[-(xy - 1)], a);
+	} else if (aside == bside) {
+		addPoints(start[xy], end[xy], INT, xy, start[-(xy - 1)], a);
+	} else if (aside == -1) {
+		addPoints(start[xy], cutLine.to, INT, xy, start[-(xy - 1)], a);
+		var point = [];
+		point[xy] = cutLine.to;
+		point[-(xy - 1)] = start[-(xy - 1)];
+		a.push(point);
+		point = [];
+		point[xy] = cutLine.to;
+		point[-(xy - 1)] = end[-(xy - 1)];
+		a.push(point);
+		addPoints(cutLine.to, end[xy], INT, xy, end[-(xy - 1)], a);
+	} else {
+		addPoints(start[xy], cutLine.from, INT, xy, start[-(xy - 1)], a);
+		var point = [];
+		point[xy] = cutLine.from;
+		point[-(xy - 1)] = start[-(xy - 1)];
+		a.push(point);
+		point = [];
+		point[xy] = cutLine.from;
+		point[-(xy - 1)] = end[-(xy - 1)];
+		a.push(point);
+		addPoints(cutLine.from, end[xy], INT, xy, end[-(xy - 1)], a);
+	}
+	if (a == b) {
+		a.push(a[0]);
+		return a;
+	} else {
+		a.push.apply(a, b);
+		b = a;
+		return a;
+	}
+};
+
+/**
+* Check if a hole is in a linear ring, testing its first point.
+* @param {Array.<ol.Coordinate>} hole
+* @param {Array.<ol.Coordinate>} ring Clockwise ring.
+* @return {boolean}
+*/
+ol.cut.holeInRing = function(hole, ring) {
+	return ol.cut.pointInRing(hole[0], ring);
+};
+
+/**
+* Check if a point is in a linear ring on the sphere. Edges are great circle arcs, except the ones along pole lines.
+* Counts crossings of the meridian running from point to the north pole. Rings winding around a pole are
+* supposed to be clockwise: westward ones contain the north pole, eastward ones the south pole.
+* @param {ol.Coordinate} point
+* @param {Array.<ol.Coordinate>} ring
+* @return {boolean}
+*/
+ol.cut.pointInRing = function(point, ring) {
+	var inside = false;
+	var winding = 0;
+	var rad = Math.PI / 180;
+	for (var i = 1; i < ring.length; i++) {
+		var a = ring[i - 1];
+		var b = [ring[i][0], ring[i][1]];
+		if (b[0] - a[0] > 180) {
+			b[0] -= 360;
+		} else if (b[0] - a[0] < -180) {
+			b[0] += 360;
+		}
+		winding += b[0] - a[0];
+		for (var shift = -360; shift <= 360; shift += 360) {
+			var x = point[0] + shift;
+			if ((a[0] > x) != (b[0] > x)) {
+				var t = (x - a[0]) / (b[0] - a[0]);
+				var sin = Math.sin((b[0] - a[0]) * rad);
+				if (Math.abs(a[1]) >= 90 || Math.abs(b[1]) >= 90 || Math.abs(sin) < 1e-12) {
+					var f = a[1] + t * (b[1] - a[1]);
+				} else {
+					var f = Math.atan((Math.tan(a[1] * rad) * Math.sin((b[0] - x) * rad) +
+						Math.tan(b[1] * rad) * Math.sin((x - a[0]) * rad)) / sin) / rad;
+				}
+				if (f > point[1]) {
+					inside = !inside;
+				}
+			}
+		}
+	}
+	return winding < -180 ? !inside : inside;
+};
+
+/**
+* Adds a point to a linestring. Modifies original array.
+* @param {Array.<ol.Coordinate>} lineString
+* @param {ol.Coordinate} point
+* @param {ol.cut.CutLine} cutLine
+*/
+ol.cut.addPoint = function(lineString, point, cutLine) {
+	if (lineString.length == 0 ||
+	((cutLine.type != 'parallel' || Math.abs(cutLine.deg) < 90 || lineString[lineString.length - 1][1] + point[1] != 2 * cutLine.deg) &&
+	(lineString[lineString.length - 1][0] != point[0] ||
+	lineString[lineString.length - 1][1] != point[1]))) {
+		lineString.push(point);
+	}
+}
+
+
+/**
+* Cuts a line string into pieces. Pieces on the removed side of cut lines in clip mode are dropped.
+* @param {Array.<ol.Coordinate>} lineString
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {boolean=} opt_noClip Keep pieces on both sides even in clip mode.
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.cutLineString = function (lineString, cutLine, e, opt_noClip) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.cutLineString(ol.cut.toFrame(lineString, frame), frame.cutLine, e, opt_noClip), frame, true);
+	}
+	var out = [];
+	var stack = [];
+	for (var i = 1; i < lineString.length; i++) {
+		ol.cut.addPoint(stack, ol.cut.move(lineString[i - 1], cutLine, e), cutLine);
+		if (ol.cut.hasIntersect(lineString[i - 1], lineString[i], cutLine)) {
+			var intPoint = ol.cut.sharedEdge(cutLine.type + cutLine.deg, lineString[i - 1], lineString[i], function (a, b) {
+				return [ol.cut.intersect(a, b, cutLine)];
+			})[0];
+			if (ol.cut.intersectBetween(intPoint, cutLine)) {
+				ol.cut.addPoint(stack, ol.cut.moveIntersection(intPoint, lineString[i - 1], cutLine, e), cutLine);
+				if (stack.length > 1 || out.length == 0) {
+					out.push(stack);
+				}
+				stack = [ol.cut.moveIntersection(intPoint, lineString[i], cutLine, e)];
+			}
+		}
+	}
+	ol.cut.addPoint(stack, ol.cut.move(lineString[i - 1], cutLine, e), cutLine);
+	out.push(stack);
+	if (!opt_noClip) {
+		return ol.cut.clip(out, cutLine);
+	} else if (out.length > 0) {
+		return out;
+	} else {
+		return [lineString];
+	}
+};
+
+/**
+* Cuts a polygon into pieces.
+* @param {Array.<Array.<ol.Coordinate>>} polygon
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {Array.<Array.<Array.<ol.Coordinate>>>}
+*/
+ol.cut.cutPolygon = function (polygon, cutLine, e) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.cutPolygon(ol.cut.toFrame(polygon, frame), frame.cutLine, e), frame, true);
+	}
+	var segments = ol.cut.cutLineString(polygon[0], cutLine, e, true);
+	if (segments.length == 1) {
+		if (!ol.cut.keeps(segments[0][0], cutLine)) {
+			return [];
+		}
+		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) == 90) {
+			polygon = ol.cut.cutPole(polygon, cutLine, e);
+			// if (getArea(polygon[0]) < 1e-8)
+			//	console.log(getArea(polygon[0]));
+		}
+		return [polygon];
+	}
+	segments[0].shift();
+	segments[0] = segments[segments.length - 1].concat(segments[0]);
+	segments.pop();
+	var holes = [];
+	var rings = [];
+	for (var i = 1; i < polygon.length; i++) {
+		var temp = ol.cut.cutLineString(polygon[i], cutLine, e, true);
+		if (temp.length == 1) {
+			if (ol.cut.keeps(temp[0][0], cutLine)) {
+				holes.push(temp[0]);
+			}
+		} else {
+			temp[0].shift();
+			temp[0] = temp[temp.length - 1].concat(temp[0]);
+			temp.pop();
+			segments = segments.concat(temp);
+		}
+	}
+	// Drop pieces lying along the cut line, having no vertex off it
+	for (var i = 0; i < segments.length; i++) {
+		var j = 0;
+		while (j < segments[i].length && ol.cut.onCutLine(segments[i][j], [cutLine], e) != -1) {
+			j++;
+		}
+		if (j == segments[i].length) {
+			segments.splice(i, 1);
+			i--;
+		}
+	}
+	ol.cut.clip(segments, cutLine);
+	if (segments.length == 0)
+	{
+		if (cutLine.mode == 'clip') {
+			return [];
+		}
+		ol.cut.warn(ol.cut.CutError.Code.EMPTY_GEOMETRY, {polygon: polygon, cutLine: cutLine});
+		return [[[[0, 0], [0, 0]]]];
+	}
+	var sorted = ol.cut.orderLineStrings(segments, cutLine);
+	for (var i = 0; i < segments.length; i++) {
+		var con = ol.cut.connectSegments(sorted.end[i], sorted.start[i], cutLine);
+		if (con[0] == con[con.length - 1]) {
+			rings.push([con]);
+		} else {
+			sorted.end[sorted.end.indexOf(sorted.start[i])] = sorted.end[i];
+		}
+	}
+	for (var i = 0; i < holes.length; i++) {
+		var j = 0;
+		while(j < rings.length && !ol.cut.holeInRing(holes[i], rings[j][0])) {
+			j++;
+		}
+		if (j == rings.length) {
+			ol.cut.warn(ol.cut.CutError.Code.HOLE_OUTSIDE, {hole: holes[i], cutLine: cutLine});
+		} else {
+			rings[j].push(holes[i]);
+		}
+	}
+	return rings;
+};
+
+/**
+* Cuts a polygon with pole line.
+* @param {Array.<Array.<ol.Coordinate>>} polygon
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.cutPole = function (polygon, cutLine, e) {
+	var pole = 0;
+	for (var i = 0; i < polygon[0].length - 1; i++) {
+		if (polygon[0][i][0] - polygon[0][i + 1][0] > 180) {
+			pole -= 1;
+		}
+		if (polygon[0][i][0] - polygon[0][i + 1][0] < -180) {
+			pole += 1;
+		}
+	}
+	if (pole == 0 || (pole < 0) != (cutLine.deg < 0) || polygon[0][0][1] == -cutLine.deg) {
+		return polygon;
+	}
+	for (var j = 1; j < polygon.length; j++) {
+		for (var i = 0; i < polygon[j].length - 1; i++) {
+			if (polygon[j][i][0] - polygon[j][i + 1][0] > 180) {
+				pole -= 1;
+			}
+			if (polygon[j][i][0] - polygon[j][i + 1][0] < -180) {
+				pole += 1;
+			}
+		}
+		if (pole == 0) {
+			polygon.unshift(polygon.splice(j, 1)[0]);
+			polygon[0] = ol.cut.cutPolygon([polygon[0]], cutLine, e)[0][0];
+			return polygon;
+		}
+	}
+	var line = ol.cut.connectSegments([[0, cutLine.deg]], [[pole * 180, cutLine.deg]], cutLine);
+	line.pop();
+	line = line.concat(ol.cut.connectSegments([[pole * -180, cutLine.deg]], [[0, cutLine.deg]], cutLine));
+	polygon.unshift(line);
+	return polygon;
+}
+
+/**
+* Area of the region on the right of the ring (the one a clockwise ring encloses) on the unit sphere.
+* Exact spherical excess for great circle edges, for rings of any size.
+* @param {Array.<ol.Coordinate>} ring Closed ring.
+* @return {number} Area in steradians, between 0 and 4 * PI.
+* @api
+*/
+ol.cut.sphericalArea = function (ring) {
+	var sum = 0;
+	var a = ol.cut.toVector(ring[0]);
+	var c = ol.cut.toVector(ring[1]);
+	for (var i = 1; i < ring.length - 1; i++) {
+		var b = c;
+		c = ol.cut.toVector(ring[i + 1]);
+		var triple = a[0] * (b[1] * c[2] - b[2] * c[1]) + a[1] * (b[2] * c[0] - b[0] * c[2]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+		var dot = 1 + a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + b[0] * c[0] + b[1] * c[1] + b[2] * c[2] +
+			c[0] * a[0] + c[1] * a[1] + c[2] * a[2];
+		sum += 2 * Math.atan2(triple, dot);
+	}
+	// sum is the counterclockwise area, modulo 4 * PI
+	var area = (-sum) % (4 * Math.PI);
+	return area < 0 ? area + 4 * Math.PI : area;
+};
+
+/**
+* Decides if a ring is clockwise as drawn on a map in geographic coordinates. Edges cross the antimeridian the short way,
+* edges along pole lines have no area. A ring winding around a pole encloses the pole it touches
+* (eg. Antarctica), or if it touches none, the smaller cap.
+* @param {Array.<ol.Coordinate>} ring Closed ring.
+* @return {boolean}
+* @api
+*/
+ol.cut.isClockwise = function (ring) {
+	var winding = 0;
+	var sum = 0;
+	var north = false;
+	var south = false;
+	for (var i = 1; i < ring.length; i++) {
+		var dl = ring[i][0] - ring[i - 1][0];
+		if (dl > 180) {
+			dl -= 360;
+		} else if (dl < -180) {
+			dl += 360;
+		}
+		winding += dl;
+		sum += dl * (ring[i][1] + ring[i - 1][1]);
+		north = north || ring[i][1] >= 90;
+		south = south || ring[i][1] <= -90;
+	}
+	if (Math.abs(winding) < 180) {
+		return sum > 0;
+	} else if (north != south) {
+		return (winding > 0) == south;
+	}
+	return ol.cut.sphericalArea(ring) < 2 * Math.PI;
+};
+
+/**
+* Rings with smaller area (steradians) are removed by ol.cut.orient as slivers.
+* @type {number}
+* @api
+*/
+ol.cut.sliverArea = 1e-12;
+
+/**
+* Sets the exterior ring (the one enclosing the biggest area) first and clockwise, holes counterclockwise.
+* Removes slivers. Modifies original array.
+* @param {Array.<Array.<ol.Coordinate>>} polygon
+* @param {number=} opt_sliverArea Default ol.cut.sliverArea.
+* @return {Array.<Array.<ol.Coordinate>>}
+* @api
+*/
+ol.cut.orient = function (polygon, opt_sliverArea) {
+	var sliverArea = typeof opt_sliverArea === 'undefined' ? ol.cut.sliverArea : opt_sliverArea;
+	var max = -Infinity;
+	var biggest = 0;
+	var clockwise = [];
+	for (var i = 0; i < polygon.length; i++) {
+		var area = ol.cut.sphericalArea(polygon[i]);
+		if (area < sliverArea || 4 * Math.PI - area < sliverArea) {
+			ol.cut.warn(ol.cut.CutError.Code.SLIVER_REMOVED, {ring: polygon[i], area: Math.min(area, 4 * Math.PI - area)});
+			polygon.splice(i, 1);
+			i--;
+			continue;
+		}
+		clockwise[i] = ol.cut.isClockwise(polygon[i]);
+		area = clockwise[i] ? area : 4 * Math.PI - area;
+		if (area > max) {
+			max = area;
+			biggest = i;
+		}
+	}
+	if (polygon.length == 0) {
+		ol.cut.warn(ol.cut.CutError.Code.EMPTY_GEOMETRY, {});
+		return [[[0, 0], [0, 0]]];
+	}
+	if (biggest > 0) {
+		polygon.unshift(polygon.splice(biggest, 1)[0]);
+		clockwise.unshift(clockwise.splice(biggest, 1)[0]);
+	}
+	for (var i = 0; i < polygon.length; i++) {
+		if (clockwise[i] == (i > 0)) {
+			ol.cut.warn(ol.cut.CutError.Code.RING_REVERSED, {ring: polygon[i]});
+			polygon[i].reverse();
+		}
+	}
+	return polygon;
+};
+
+/**
+* Pole of inaccessibility of a polygon: its inner point farthest from the boundary, found by subdividing cells
+* of its bounding box. Planar, for coordinates not crossing the antimeridian.
+* @param {Array.<Array.<ol.Coordinate>>} polygon
+* @param {number} precision Cells are not subdivided below this size.
+* @return {ol.Coordinate}
+*/
+ol.cut.inaccessibility = function (polygon, precision) {
+	var MAXCELLS = 10000;
+	var extent = ol.cut.coordinatesExtent(polygon[0]);
+	var size = Math.min(extent[2] - extent[0], extent[3] - extent[1]);
+	if (size == 0) {
+		return polygon[0][0].slice(0, 2);
+	}
+	var distance = function (x, y) {
+		var inside = false;
+		var min = Infinity;
+		for (var k = 0; k < polygon.length; k++) {
+			var ring = polygon[k];
+			for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+				var a = ring[i];
+				var b = ring[j];
+				if ((a[1] > y) != (b[1] > y) && x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]) {
+					inside = !inside;
+				}
+				var dx = b[0] - a[0];
+				var dy = b[1] - a[1];
+				var t = dx || dy ? Math.max(0, Math.min(1, ((x - a[0]) * dx + (y - a[1]) * dy) / (dx * dx + dy * dy))) : 0;
+				var ex = x - a[0] - t * dx;
+				var ey = y - a[1] - t * dy;
+				min = Math.min(min, ex * ex + ey * ey);
+			}
+		}
+		return (inside ? 1 : -1) * Math.sqrt(min);
+	};
+	var cell = function (x, y, h) {
+		var d = distance(x, y);
+		return {x: x, y: y, h: h, d: d, max: d + h * Math.SQRT2};
+	};
+	var queue = [];
+	for (var x = extent[0]; x < extent[2]; x += size) {
+		for (var y = extent[1]; y < extent[3]; y += size) {
+			queue.push(cell(x + size / 2, y + size / 2, size / 2));
+		}
+	}
+	var best = cell((extent[0] + extent[2]) / 2, (extent[1] + extent[3]) / 2, 0);
+	for (var count = queue.length; queue.length && count < MAXCELLS; count += 4) {
+		var top = 0;
+		for (var i = 1; i < queue.length; i++) {
+			if (queue[i].max > queue[top].max) {
+				top = i;
+			}
+		}
+		var c = queue.splice(top, 1)[0];
+		if (c.d > best.d) {
+			best = c;
+		}
+		if (c.max - best.d <= precision) {
+			break;
+		}
+		var h = c.h / 2;
+		queue.push(cell(c.x - h, c.y - h, h), cell(c.x + h, c.y - h, h), cell(c.x - h, c.y + h, h), cell(c.x + h, c.y + h, h));
+	}
+	return [best.x, best.y];
+};
+
+/**
+* Label point of cut polygons: the pole of inaccessibility of the largest one (by spherical area), in the metagraticule.
+* Distances are measured with longitudes scaled by the cosine of the middle latitude of the polygon.
+* @param {Array.<Array.<Array.<ol.Coordinate>>>} polygons Cut polygons in the metagraticule.
+* @return {ol.Coordinate|null} Null if there is no polygon, or the largest one winds around a pole.
+*/
+ol.cut.labelPoint = function (polygons) {
+	var largest = null;
+	var max = -1;
+	for (var i = 0; i < polygons.length; i++) {
+		var area = 0;
+		for (var j = 0; j < polygons[i].length; j++) {
+			var a = ol.cut.sphericalArea(polygons[i][j]);
+			a = Math.min(a, 4 * Math.PI - a);
+			area += j == 0 ? a : -a;
+		}
+		if (area > max) {
+			max = area;
+			largest = polygons[i];
+		}
+	}
+	if (!largest) {
+		return null;
+	}
+	// Unwraps longitudes around the first vertex, in case the polygon crosses the antimeridian (azimuthal cuts)
+	var x0 = largest[0][0][0];
+	var polygon = largest.map(function (ring) {
+		var prev = x0;
+		return ring.map(function (point) {
+			var x = point[0] + 360 * Math.round((prev - point[0]) / 360);
+			prev = x;
+			return [x, point[1]];
+		});
+	});
+	var exterior = polygon[0];
+	if (Math.abs(exterior[exterior.length - 1][0] - exterior[0][0]) > 1e-6) {
+		return null;
+	}
+	var extent = ol.cut.coordinatesExtent(exterior);
+	var scale = Math.max(0.01, Math.cos((extent[1] + extent[3]) / 360 * Math.PI));
+	var scaled = polygon.map(function (ring) {
+		return ring.map(function (point) {
+			return [point[0] * scale, point[1]];
+		});
+	});
+	var point = ol.cut.inaccessibility(scaled, Math.max((extent[2] - extent[0]) * scale, extent[3] - extent[1]) / 100);
+	var x = point[0] / scale;
+	return [x - 360 * Math.round(x / 360), point[1]];
+};
+
+/**
+* Index of the cut line the point lies on (as moved by ol.cut.move or ol.cut.moveIntersection), or -1.
+* @param {ol.Coordinate} point
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {number}
+*/
+ol.cut.onCutLine = function (point, cutLines, e) {
+	for (var i = 0; i < cutLines.length; i++) {
+		var cutLine = cutLines[i];
+		var frame = ol.cut.frame(cutLine);
+		if (frame) {
+			point = ol.cut.toFrame(point, frame);
+			cutLine = frame.cutLine;
+		}
+		if (cutLine.type == 'meridian') {
+			var d = Math.abs(cutLine.deg) == 180 ? 180 - Math.abs(point[0]) : Math.abs(point[0] - cutLine.deg);
+			var along = point[1];
+		} else {
+			var d = Math.abs(point[1] - cutLine.deg);
+			var along = point[0];
+		}
+		if (d <= 10 * e && along >= cutLine.from - 10 * e && along <= cutLine.to + 10 * e) {
+			return i;
+		}
+		if (frame) {
+			point = ol.cut.toFrame(point, frame, true);
+		}
+	}
+	return -1;
+};
+
+/**
+* Splits a ring of a cut polygon at runs of points lying on cut lines.
+* @param {Array.<ol.Coordinate>} ring
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<ol.cut.Chain_>|null} Chains in ring order, null if ring does not touch any cut line.
+* Empty array if the ring lies on cut lines only.
+*/
+ol.cut.splitRing = function (ring, cutLines, e) {
+	var points = ring.slice(0, ring.length - 1);
+	var on = [];
+	var first = -1;
+	for (var i = 0; i < points.length; i++) {
+		on[i] = ol.cut.onCutLine(points[i], cutLines, e);
+	}
+	for (var i = 0; i < points.length; i++) {
+		if (on[i] != -1 && on[(i + 1) % points.length] == -1) {
+			first = i;
+			break;
+		}
+	}
+	if (first == -1) {
+		return on[0] == -1 ? null : [];
+	}
+	points = points.slice(first).concat(points.slice(0, first));
+	on = on.slice(first).concat(on.slice(0, first));
+	var chains = [];
+	var i = 0;
+	while (i < points.length) {
+		var chain = {points: [points[i]], tail: [], startLine: on[i], next: null};
+		i++;
+		while (on[i % points.length] == -1) {
+			chain.points.push(points[i]);
+			i++;
+		}
+		chain.endLine = on[i % points.length];
+		chain.end = points[i % points.length];
+		while (i < points.length && (on[(i + 1) % points.length] != -1)) {
+			chain.tail.push(points[i]);
+			i++;
+		}
+		chains.push(chain);
+	}
+	for (var i = 0; i < chains.length; i++) {
+		chains[i].next = chains[(i + 1) % chains.length];
+	}
+	return chains;
+};
+
+/**
+* Real edges of cut polygons: the rings without the edges added along cut lines while cutting.
+* @param {Array.<Array.<Array.<ol.Coordinate>>>} polygons
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<Array.<ol.Coordinate>>|null} Line strings of consecutive real edges, null if no ring touches any cut line.
+*/
+ol.cut.realEdges = function (polygons, cutLines, e) {
+	var out = [];
+	var cut = false;
+	for (var i = 0; i < polygons.length; i++) {
+		for (var j = 0; j < polygons[i].length; j++) {
+			var chains = ol.cut.splitRing(polygons[i][j], cutLines, e);
+			if (chains === null) {
+				out.push(polygons[i][j]);
+				continue;
+			}
+			cut = true;
+			for (var k = 0; k < chains.length; k++) {
+				out.push(chains[k].points.concat([chains[k].end]));
+			}
+		}
+	}
+	return cut ? out : null;
+};
+
+/**
+* Piece of a cut ring or line string between two cut lines.
+* points: vertices, the first one lies on startLine.
+* end: vertex on endLine after the last point. Undefined if the line string does not end on a cut line.
+* tail: points along endLine added while cutting (including end), followed by next.
+* next: following chain of the same ring, null for line strings.
+* @typedef {{points: Array.<ol.Coordinate>, tail: Array.<ol.Coordinate>, end: (ol.Coordinate|undefined),
+* startLine: number, endLine: number, next: Object}}
+* @private
+*/
+ol.cut.Chain_;
+
+/**
+* Points of a chain along its end line: end and tail, followed by the start of next.
+* @param {ol.cut.Chain_} chain
+* @return {Array.<ol.Coordinate>}
+*/
+ol.cut.run = function (chain) {
+	return chain.tail.concat([chain.next ? chain.next.points[0] : chain.end]);
+};
+
+/**
+* Finds for each chain the one continuing it on the other side of a cut line.
+* The pair starts at a point of the run (see ol.cut.run) of the chain, usually the first one.
+* Points of the run before it are real vertices lying on the cut line, the rest was added while cutting.
+* Chains without a matching pair are continued with the next chain of their ring.
+* @param {Array.<ol.cut.Chain_>} chains
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @return {Array.<{chain: ol.cut.Chain_, at: number}|null>} Pair of chain at the same index, and index of its start
+* in the run.
+*/
+ol.cut.pairChains = function (chains, cutLines) {
+	var TOL = 1e-4;
+	var pairs = [];
+	var used = [];
+	for (var i = 0; i < chains.length; i++) {
+		pairs[i] = null;
+		var a = chains[i];
+		if (a.endLine == -1 || typeof a.end === 'undefined') {
+			continue;
+		}
+		var cutLine = cutLines[a.endLine];
+		var frame = ol.cut.frame(cutLine);
+		var run = ol.cut.run(a);
+		for (var k = 0; k < run.length; k++) {
+			run[k] = frame ? ol.cut.toFrame(run[k], frame) : run[k];
+		}
+		cutLine = frame ? frame.cutLine : cutLine;
+		var pole = cutLine.type == 'parallel' && Math.abs(cutLine.deg) == 90;
+		var xy = cutLine.type == 'meridian' ? 1 : 0;
+		var best = -1;
+		var bestAt = run.length;
+		var bestDist = TOL;
+		for (var j = 0; j < chains.length; j++) {
+			var b = chains[j];
+			if (used[j] || b.startLine != a.endLine) {
+				continue;
+			}
+			var start = frame ? ol.cut.toFrame(b.points[0], frame) : b.points[0];
+			if (!pole && ol.cut.side(run[0], cutLine) == ol.cut.side(start, cutLine)) {
+				continue;
+			}
+			// Across a pole line only the end itself may continue
+			for (var k = 0; k < (pole ? 1 : run.length) && k <= bestAt; k++) {
+				var dist = pole ? Math.abs(Math.abs(run[k][0] - start[0]) - 180) : Math.abs(run[k][xy] - start[xy]);
+				if (dist <= TOL && (k < bestAt || dist <= bestDist)) {
+					best = j;
+					bestAt = k;
+					bestDist = dist;
+				}
+			}
+		}
+		if (best != -1) {
+			used[best] = true;
+			pairs[i] = {chain: chains[best], at: bestAt};
+		}
+	}
+	return pairs;
+};
+
+/**
+* Point on cutLine where two chains are joined.
+* @param {ol.Coordinate} a End of first chain.
+* @param {ol.Coordinate} b Start of second chain.
+* @param {ol.cut.CutLine} cutLine
+* @return {ol.Coordinate}
+*/
+ol.cut.joinPoint = function (a, b, cutLine) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		return ol.cut.toFrame(ol.cut.joinPoint(ol.cut.toFrame(a, frame), ol.cut.toFrame(b, frame), frame.cutLine), frame, true);
+	}
+	if (cutLine.type == 'meridian') {
+		return [Math.abs(cutLine.deg) == 180 ? (a[0] > 0 ? 180 : -180) : cutLine.deg, (a[1] + b[1]) / 2];
+	} else if (Math.abs(cutLine.deg) == 90) {
+		return [a[0], cutLine.deg];
+	} else {
+		return [(a[0] + b[0]) / 2, cutLine.deg];
+	}
+};
+
+/**
+* Joins chains into line strings (or rings, if closed is true).
+* @param {Array.<ol.cut.Chain_>} chains
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {boolean} closed
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.joinChains = function (chains, cutLines, closed) {
+	var pairs = ol.cut.pairChains(chains, cutLines);
+	var prev = [];
+	for (var i = 0; i < chains.length; i++) {
+		var next = pairs[i] ? pairs[i].chain : chains[i].next;
+		if (next) {
+			prev[chains.indexOf(next)] = i;
+		}
+	}
+	var done = [];
+	var out = [];
+	var order = [];
+	// Start with chains having no predecessor (only line strings), then with the rest
+	for (var i = 0; i < chains.length; i++) {
+		if (typeof prev[i] === 'undefined') {
+			order.push(i);
+		}
+	}
+	for (var i = 0; i < chains.length; i++) {
+		order.push(i);
+	}
+	for (var k = 0; k < order.length; k++) {
+		var i = order[k];
+		if (done[i]) {
+			continue;
+		}
+		var line = [];
+		var skipFirst = false;
+		while (i != -1 && !done[i]) {
+			done[i] = true;
+			var chain = chains[i];
+			line.push.apply(line, chain.points.slice(skipFirst ? 1 : 0));
+			skipFirst = false;
+			if (pairs[i]) {
+				var run = ol.cut.run(chain);
+				var at = pairs[i].at;
+				for (var j = 0; j < at; j++) {
+					line.push(ol.cut.joinPoint(run[j], run[j], cutLines[chain.endLine]));
+				}
+				line.push(ol.cut.joinPoint(run[at], pairs[i].chain.points[0], cutLines[chain.endLine]));
+				skipFirst = true;
+				i = chains.indexOf(pairs[i].chain);
+			} else if (chain.next) {
+				line.push.apply(line, chain.tail);
+				i = chains.indexOf(chain.next);
+			} else {
+				if (typeof chain.end !== 'undefined') {
+					line.push(chain.end);
+				}
+				i = -1;
+			}
+		}
+		if (closed || i != -1) {
+			if (skipFirst) {
+				line[0] = line.pop();
+			}
+			line.push(line[0]);
+		}
+		out.push(line);
+	}
+	return out;
+};
+
+/**
+* Joins pieces of polygons cut by ol.cut.cutPolygon.
+* @param {Array.<Array.<Array.<ol.Coordinate>>>} polygons
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<Array.<Array.<ol.Coordinate>>>}
+*/
+ol.cut.stitchPolygons = function (polygons, cutLines, e) {
+	var chains = [];
+	var rings = [];
+	for (var i = 0; i < polygons.length; i++) {
+		for (var j = 0; j < polygons[i].length; j++) {
+			var temp = ol.cut.splitRing(polygons[i][j], cutLines, e);
+			if (temp === null) {
+				rings.push(polygons[i][j]);
+			} else {
+				chains = chains.concat(temp);
+			}
+		}
+	}
+	rings = rings.concat(ol.cut.joinChains(chains, cutLines, true));
+	var out = [];
+	var holes = [];
+	for (var i = 0; i < rings.length; i++) {
+		if (rings[i].length < 4) {
+			continue;
+		}
+		if (ol.cut.isClockwise(rings[i])) {
+			out.push([rings[i]]);
+		} else {
+			holes.push(rings[i]);
+		}
+	}
+	if (out.length == 0) {
+		for (var i = 0; i < holes.length; i++) {
+			out.push([holes[i]]);
+		}
+		return out;
+	}
+	for (var i = 0; i < holes.length; i++) {
+		var j = 0;
+		while(j < out.length && !ol.cut.holeInRing(holes[i], out[j][0])) {
+			j++;
+		}
+		if (j == out.length) {
+			ol.cut.warn(ol.cut.CutError.Code.HOLE_OUTSIDE, {hole: holes[i], cutLines: cutLines});
+		} else {
+			out[j].push(holes[i]);
+		}
+	}
+	return out;
+};
+
+/**
+* Joins pieces of line strings cut by ol.cut.cutLineString.
+* @param {Array.<Array.<ol.Coordinate>>} lineStrings
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e Distance from cut line used while cutting (degrees)
+* @return {Array.<Array.<ol.Coordinate>>}
+*/
+ol.cut.stitchLineStrings = function (lineStrings, cutLines, e) {
+	var chains = [];
+	for (var i = 0; i < lineStrings.length; i++) {
+		var last = lineStrings[i][lineStrings[i].length - 1];
+		var endLine = ol.cut.onCutLine(last, cutLines, e);
+		chains.push({
+			points: endLine == -1 ? lineStrings[i] : lineStrings[i].slice(0, lineStrings[i].length - 1),
+			tail: [],
+			end: endLine == -1 ? undefined : last,
+			startLine: ol.cut.onCutLine(lineStrings[i][0], cutLines, e),
+			endLine: endLine,
+			next: null
+		});
+	}
+	return ol.cut.joinChains(chains, cutLines, false);
+};
+
+/**
+* Joins pieces of a geometry cut with ol.cut.cutGeometry, and transforms it back to EPSG:4326.
+* Modifies geometry in place. clone() it before, if original needs to be preserved.
+* @param {ol.geom.Geometry} geom
+* @param {ol.proj.ProjectionLike|undefined} metaName SRS of the metagraticule. Default EPSG:4326.
+* @param {ol.proj.ProjectionLike|undefined} source Projection of geom. Default EPSG:4326.
+* @param {boolean|undefined} azimuthal See readCutFeatures.
+* @param {Array.<ol.cut.CutLine>|undefined} cutLines See readCutFeatures.
+* @return {ol.geom.Geometry} Joined geometry (may be a new object).
+*/
+ol.cut.stitchGeometry = function (geom, metaName, source, azimuthal, cutLines) {
+	if (!geom) {
+		return geom;
+	}
+	cutLines = ol.cut.getCutLines(azimuthal, cutLines, source);
+	var e = 1e-6;
+	geom.transform(source || 'EPSG:4326', metaName || 'EPSG:4326');
+	geom = geom.stitch(cutLines, e);
+	return geom.transform(metaName || 'EPSG:4326', 'EPSG:4326');
+};
+
+/**
+* Cuts coordinates of a geometry with cutLine. Does not depend on OpenLayers geometries, so it may run in a worker.
+* Coordinates of types other than Point, MultiPoint, LineString, MultiLineString, Polygon and MultiPolygon are returned unchanged.
+* @param {string} type Geometry type.
+* @param {Array} coordinates Coordinates of the geometry in spherical coords.
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {Array.<number>=} opt_parts Original part index of every part of the geometry. Default: ol.cut.parts.
+* @return {{type: string, coordinates: Array, parts: Array.<number>}} Type may change, eg. a cut LineString becomes
+* MultiLineString. Parts are the original part indices of the parts of the cut geometry.
+*/
+ol.cut.cutCoordinates = function (type, coordinates, cutLine, e, opt_parts) {
+	var out = [];
+	var parts = [];
+	var inp = opt_parts || (type in ol.cut.depths_ ? ol.cut.parts(type, coordinates) : []);
+	if (type == 'Point') {
+		var point = ol.cut.move(coordinates, cutLine, e);
+		return ol.cut.keeps(point, cutLine) ? {type: type, coordinates: point, parts: inp.slice()} :
+			{type: 'MultiPoint', coordinates: [], parts: []};
+	} else if (type == 'MultiPoint') {
+		for (var i = 0; i < coordinates.length; i++) {
+			var point = ol.cut.move(coordinates[i], cutLine, e);
+			if (ol.cut.keeps(point, cutLine)) {
+				out.push(point);
+				parts.push(inp[i]);
+			}
+		}
+		return {type: type, coordinates: out, parts: parts};
+	} else if (type == 'LineString' || type == 'Polygon') {
+		out = type == 'LineString' ? ol.cut.cutLineString(coordinates, cutLine, e) : ol.cut.cutPolygon(coordinates, cutLine, e);
+		for (var i = 0; i < out.length; i++) {
+			parts.push(inp[0]);
+		}
+		return out.length == 1 ? {type: type, coordinates: out[0], parts: parts} :
+			{type: 'Multi' + type, coordinates: out, parts: parts};
+	} else if (type == 'MultiLineString' || type == 'MultiPolygon') {
+		for (var i = 0; i < coordinates.length; i++) {
+			var stack = type == 'MultiLineString' ? ol.cut.cutLineString(coordinates[i], cutLine, e) :
+				ol.cut.cutPolygon(coordinates[i], cutLine, e);
+			for (var j = 0; j < stack.length; j++) {
+				out.push(stack[j]);
+				parts.push(inp[i]);
+			}
+		}
+		return {type: type, coordinates: out, parts: parts};
+	}
+	return {type: type, coordinates: coordinates, parts: inp.slice()};
+};
+
+/**
+* Copies the x and y of flat coordinates from offset to end.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @return {Array.<number>} Flat coordinates of stride 2.
+* @private
+*/
+ol.cut.copyFlat_ = function (flat, offset, end, stride) {
+	var out = [];
+	for (var i = offset; i < end; i += stride) {
+		out.push(flat[i], flat[i + 1]);
+	}
+	return out;
+};
+
+/**
+* Extent of flat coordinates.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} stride
+* @return {ol.Extent}
+*/
+ol.cut.flatExtent = function (flat, stride) {
+	var extent = [Infinity, Infinity, -Infinity, -Infinity];
+	for (var i = 0; i < flat.length; i += stride) {
+		extent[0] = Math.min(extent[0], flat[i]);
+		extent[1] = Math.min(extent[1], flat[i + 1]);
+		extent[2] = Math.max(extent[2], flat[i]);
+		extent[3] = Math.max(extent[3], flat[i + 1]);
+	}
+	return extent;
+};
+
+/**
+* Rotates flat coordinates into the graticule of frame, as ol.cut.toFrame does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @param {{l0: number, f0: number, lm: number}} frame
+* @param {boolean=} opt_inverse Rotate back from the graticule of frame.
+* @return {Array.<number>} Flat coordinates of stride 2.
+*/
+ol.cut.toFrameFlat = function (flat, offset, end, stride, frame, opt_inverse) {
+	var out = [];
+	for (var i = offset; i < end; i += stride) {
+		var point = ol.cut.toFrame([flat[i], flat[i + 1]], frame, opt_inverse);
+		out.push(point[0], point[1]);
+	}
+	return out;
+};
+
+/**
+* Moves the point x, y if too close to a meridian or parallel cut line, as ol.cut.move does.
+* @param {number} x
+* @param {number} y
+* @param {ol.cut.CutLine} cutLine Meridian or parallel.
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {Array.<number>} out Receives the moved point.
+* @private
+*/
+ol.cut.moveXY_ = function (x, y, cutLine, e, out) {
+	out[0] = x;
+	out[1] = y;
+	if (cutLine.type == 'meridian') {
+		if (!(y >= cutLine.from && y <= cutLine.to)) {
+			return;
+		}
+		if (Math.abs(cutLine.deg) == 180) {
+			if (Math.abs(x) > 180 - e) {
+				out[0] = (x > 0 ? 1 : -1) * (180 - e);
+			}
+		} else if (Math.abs(x - cutLine.deg) < e) {
+			out[0] = cutLine.deg + (x >= cutLine.deg ? 1 : -1) * e;
+		}
+	} else if (x >= cutLine.from && x <= cutLine.to && Math.abs(y - cutLine.deg) < e) {
+		out[1] = cutLine.deg + (y >= cutLine.deg && cutLine.deg < 90 ? 1 : -1) * e;
+	}
+};
+
+/**
+* Decides if the edge from ax, ay to bx, by intersects with a meridian or parallel cut line, as ol.cut.hasIntersect does.
+* @param {number} ax
+* @param {number} ay
+* @param {number} bx
+* @param {number} by
+* @param {ol.cut.CutLine} cutLine Meridian or parallel.
+* @return {boolean}
+* @private
+*/
+ol.cut.hasIntersectXY_ = function (ax, ay, bx, by, cutLine) {
+	if (cutLine.type == 'meridian') {
+		if (Math.abs(cutLine.deg) == 180) {
+			return Math.abs(ax - bx) > 180;
+		}
+		return ((ax < cutLine.deg) != (bx < cutLine.deg)) && (Math.abs(ax - bx) < 180);
+	} else if (Math.abs(cutLine.deg) == 90) {
+		return (Math.abs(Math.abs(ax - bx) - 180) < (180 - 180 * Math.sqrt((90 - Math.abs(ay)) * (90 - Math.abs(by))))) &&
+			((ay + by > 0) != (cutLine.deg < 0));
+	}
+	return (ay < cutLine.deg) != (by < cutLine.deg);
+};
+
+/**
+* Adds the point x, y to flat coordinates, as ol.cut.addPoint does. Modifies original array.
+* @param {Array.<number>} flat
+* @param {number} x
+* @param {number} y
+* @param {ol.cut.CutLine} cutLine
+* @private
+*/
+ol.cut.addPointXY_ = function (flat, x, y, cutLine) {
+	var n = flat.length;
+	if (n == 0 || ((cutLine.type != 'parallel' || Math.abs(cutLine.deg) < 90 || flat[n - 1] + y != 2 * cutLine.deg) &&
+		(flat[n - 2] != x || flat[n - 1] != y))) {
+		flat.push(x, y);
+	}
+};
+
+/**
+* Removes pieces on the removed side of cutLine in clip mode, as ol.cut.clip does. Modifies original array.
+* @param {Array.<Array.<number>>} pieces Pieces in flat coordinates.
+* @param {ol.cut.CutLine} cutLine
+* @return {Array.<Array.<number>>}
+* @private
+*/
+ol.cut.clipFlat_ = function (pieces, cutLine) {
+	for (var i = 0; i < pieces.length; i++) {
+		if (!ol.cut.keeps([pieces[i][0], pieces[i][1]], cutLine)) {
+			pieces.splice(i, 1);
+			i--;
+		}
+	}
+	return pieces;
+};
+
+/**
+* Orders pieces by endpoints, as ol.cut.orderLineStrings does.
+* @param {Array.<Array.<number>>} pieces Pieces in flat coordinates.
+* @param {ol.cut.CutLine} cutLine
+* @return {{start: Array.<Array.<number>>, end: Array.<Array.<number>>}} Ordered by start and endpoints.
+* @private
+*/
+ol.cut.orderFlat_ = function (pieces, cutLine) {
+	var xy = cutLine.type == 'meridian' ? 1 : 0;
+	var sides = [];
+	var starts = [];
+	var ends = [];
+	var key = function (piece, i, side) {
+		return side == 1 ? 400 - piece[i + xy] : piece[i + xy];
+	};
+	for (var i = 0; i < pieces.length; i++) {
+		var piece = pieces[i];
+		var n = piece.length;
+		sides[i] = ol.cut.side([piece[0], piece[1]], cutLine);
+		starts[i] = key(piece, 0, sides[i]);
+		ends[i] = key(piece, n - 2, ol.cut.side([piece[n - 2], piece[n - 1]], cutLine));
+	}
+	var sort = function (keys) {
+		var order = pieces.map(function (piece, i) {
+			return i;
+		});
+		return order.sort(function (a, b) {
+			return keys[a] - keys[b];
+		});
+	};
+	var start = sort(starts);
+	var end = sort(ends);
+	if (starts[start[0]] - ends[end[0]] < 0) {
+		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) < 90 && start.length > 1) {
+			var i = 0;
+			var last = start.shift();
+			while (i != start.length && sides[last] == sides[start[i]]) {
+				i++;
+			}
+			if (i != start.length) {
+				start.splice(i, 0, last);
+				start.push(start.splice(i + 1, 1)[0]);
+			}
+		} else {
+			start.push(start.shift());
+		}
+	}
+	var get = function (i) {
+		return pieces[i];
+	};
+	return {start: start.map(get), end: end.map(get)};
+};
+
+/**
+* Connects two pieces in flat coordinates along cutLine, as ol.cut.connectSegments does. Appends to a.
+* If a == b, closes ring.
+* @param {Array.<number>} a
+* @param {Array.<number>} b
+* @param {ol.cut.CutLine} cutLine
+* @return {Array.<number>} a
+* @private
+*/
+ol.cut.connectFlat_ = function (a, b, cutLine) {
+	var INT = .5;
+	var xy = cutLine.type == 'parallel' ? 0 : 1;
+	var start = [a[a.length - 2], a[a.length - 1]];
+	var end = [b[0], b[1]];
+	var push = function (along, deg) {
+		if (xy == 0) {
+			a.push(along, deg);
+		} else {
+			a.push(deg, along);
+		}
+	};
+	var addPoints = function (from, to, deg) {
+		var n = Math.round(Math.abs(to - from) / INT);
+		for (var i = 1; i < n; i++) {
+			var along = from + i * (to - from) / n;
+			push(along > 180 ? along - 360 : along, deg);
+		}
+	};
+	var aside = ol.cut.side(start, cutLine);
+	var bside = ol.cut.side(end, cutLine);
+	if (cutLine.from == -180 && cutLine.to == 180 && aside != bside) {
+		ol.cut.warn(ol.cut.CutError.Code.SIDE_MISMATCH, {a: ol.cut.fromFlat('LineString', a, null),
+			b: ol.cut.fromFlat('LineString', b, null), cutLine: cutLine});
+	}
+	if (cutLine.from == -180 && cutLine.to == 180 && aside * start[xy] < aside * end[xy] - 1e-4) {
+		addPoints(start[xy] + (aside == -1 ? 0 : 360), end[xy] + (aside == 1 ? 0 : 360), start[1 - xy]);
+	} else if (aside == bside) {
+		addPoints(start[xy], end[xy], start[1 - xy]);
+	} else {
+		var limit = aside == -1 ? cutLine.to : cutLine.from;
+		addPoints(start[xy], limit, start[1 - xy]);
+		push(limit, start[1 - xy]);
+		push(limit, end[1 - xy]);
+		addPoints(limit, end[xy], end[1 - xy]);
+	}
+	if (a == b) {
+		a.push(a[0], a[1]);
+	} else {
+		for (var i = 0; i < b.length; i++) {
+			a.push(b[i]);
+		}
+	}
+	return a;
+};
+
+/**
+* Checks if the point x, y is in a ring given in flat coordinates, as ol.cut.pointInRing does.
+* @param {number} x
+* @param {number} y
+* @param {Array.<number>} ring Flat coordinates of stride 2.
+* @return {boolean}
+* @private
+*/
+ol.cut.pointInRingXY_ = function (x, y, ring) {
+	var inside = false;
+	var winding = 0;
+	var rad = Math.PI / 180;
+	for (var i = 2; i < ring.length; i += 2) {
+		var ax = ring[i - 2];
+		var ay = ring[i - 1];
+		var bx = ring[i];
+		var by = ring[i + 1];
+		if (bx - ax > 180) {
+			bx -= 360;
+		} else if (bx - ax < -180) {
+			bx += 360;
+		}
+		winding += bx - ax;
+		for (var shift = -360; shift <= 360; shift += 360) {
+			var sx = x + shift;
+			if ((ax > sx) != (bx > sx)) {
+				var t = (sx - ax) / (bx - ax);
+				var sin = Math.sin((bx - ax) * rad);
+				if (Math.abs(ay) >= 90 || Math.abs(by) >= 90 || Math.abs(sin) < 1e-12) {
+					var f = ay + t * (by - ay);
+				} else {
+					var f = Math.atan((Math.tan(ay * rad) * Math.sin((bx - sx) * rad) +
+						Math.tan(by * rad) * Math.sin((sx - ax) * rad)) / sin) / rad;
+				}
+				if (f > y) {
+					inside = !inside;
+				}
+			}
+		}
+	}
+	return winding < -180 ? !inside : inside;
+};
+
+/**
+* Cuts a line string given in flat coordinates into pieces, as ol.cut.cutLineString does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {boolean=} opt_noClip Keep pieces on both sides even in clip mode.
+* @return {Array.<Array.<number>>} Pieces in flat coordinates of stride 2.
+*/
+ol.cut.cutLineStringFlat = function (flat, offset, end, stride, cutLine, e, opt_noClip) {
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		var framed = ol.cut.toFrameFlat(flat, offset, end, stride, frame);
+		var pieces = ol.cut.cutLineStringFlat(framed, 0, framed.length, 2, frame.cutLine, e, opt_noClip);
+		for (var i = 0; i < pieces.length; i++) {
+			pieces[i] = ol.cut.toFrameFlat(pieces[i], 0, pieces[i].length, 2, frame, true);
+		}
+		return pieces;
+	}
+	var out = [];
+	var stack = [];
+	var moved = [0, 0];
+	var compute = function (a, b) {
+		return [ol.cut.intersect(a, b, cutLine)];
+	};
+	for (var i = offset + stride; i < end; i += stride) {
+		var ax = flat[i - stride];
+		var ay = flat[i - stride + 1];
+		ol.cut.moveXY_(ax, ay, cutLine, e, moved);
+		ol.cut.addPointXY_(stack, moved[0], moved[1], cutLine);
+		if (ol.cut.hasIntersectXY_(ax, ay, flat[i], flat[i + 1], cutLine)) {
+			var a = [ax, ay];
+			var b = [flat[i], flat[i + 1]];
+			var intPoint = ol.cut.sharedEdge(cutLine.type + cutLine.deg, a, b, compute)[0];
+			if (ol.cut.intersectBetween(intPoint, cutLine)) {
+				var point = ol.cut.moveIntersection(intPoint, a, cutLine, e);
+				ol.cut.addPointXY_(stack, point[0], point[1], cutLine);
+				if (stack.length > 2 || out.length == 0) {
+					out.push(stack);
+				}
+				point = ol.cut.moveIntersection(intPoint, b, cutLine, e);
+				stack = [point[0], point[1]];
+			}
+		}
+	}
+	ol.cut.moveXY_(flat[end - stride], flat[end - stride + 1], cutLine, e, moved);
+	ol.cut.addPointXY_(stack, moved[0], moved[1], cutLine);
+	out.push(stack);
+	return opt_noClip ? out : ol.cut.clipFlat_(out, cutLine);
+};
+
+/**
+* Cuts a polygon given in flat coordinates into pieces, as ol.cut.cutPolygon does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {Array.<number>} ends End offsets of the rings.
+* @param {number} stride
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {Array.<Array.<Array.<number>>>} Polygons, as rings in flat coordinates of stride 2.
+*/
+ol.cut.cutPolygonFlat = function (flat, offset, ends, stride, cutLine, e) {
+	if (ends.length == 0) {
+		return [];
+	}
+	var frame = ol.cut.frame(cutLine);
+	if (frame) {
+		var framed = ol.cut.toFrameFlat(flat, offset, ends[ends.length - 1], stride, frame);
+		var framedEnds = ends.map(function (end) {
+			return (end - offset) / stride * 2;
+		});
+		var polygons = ol.cut.cutPolygonFlat(framed, 0, framedEnds, 2, frame.cutLine, e);
+		for (var i = 0; i < polygons.length; i++) {
+			for (var j = 0; j < polygons[i].length; j++) {
+				polygons[i][j] = ol.cut.toFrameFlat(polygons[i][j], 0, polygons[i][j].length, 2, frame, true);
+			}
+		}
+		return polygons;
+	}
+	var rings = function () {
+		var out = [];
+		for (var i = 0; i < ends.length; i++) {
+			out.push(ol.cut.copyFlat_(flat, i ? ends[i - 1] : offset, ends[i], stride));
+		}
+		return out;
+	};
+	var segments = ol.cut.cutLineStringFlat(flat, offset, ends[0], stride, cutLine, e, true);
+	if (segments.length == 1) {
+		if (!ol.cut.keeps([segments[0][0], segments[0][1]], cutLine)) {
+			return [];
+		}
+		var polygon = rings();
+		if (cutLine.from == -180 && cutLine.to == 180 && Math.abs(cutLine.deg) == 90) {
+			polygon = ol.cut.cutPoleFlat_(polygon, cutLine, e);
+		}
+		return [polygon];
+	}
+	segments[0] = segments[segments.length - 1].concat(segments[0].slice(2));
+	segments.pop();
+	var holes = [];
+	var out = [];
+	for (var i = 1; i < ends.length; i++) {
+		var temp = ol.cut.cutLineStringFlat(flat, ends[i - 1], ends[i], stride, cutLine, e, true);
+		if (temp.length == 1) {
+			if (ol.cut.keeps([temp[0][0], temp[0][1]], cutLine)) {
+				holes.push(temp[0]);
+			}
+		} else {
+			temp[0] = temp[temp.length - 1].concat(temp[0].slice(2));
+			temp.pop();
+			segments = segments.concat(temp);
+		}
+	}
+	// Drop pieces lying along the cut line, having no vertex off it
+	for (var i = 0; i < segments.length; i++) {
+		var j = 0;
+		while (j < segments[i].length && ol.cut.onCutLine([segments[i][j], segments[i][j + 1]], [cutLine], e) != -1) {
+			j += 2;
+		}
+		if (j == segments[i].length) {
+			segments.splice(i, 1);
+			i--;
+		}
+	}
+	ol.cut.clipFlat_(segments, cutLine);
+	if (segments.length == 0) {
+		if (cutLine.mode == 'clip') {
+			return [];
+		}
+		ol.cut.warn(ol.cut.CutError.Code.EMPTY_GEOMETRY, {polygon: rings().map(function (ring) {
+			return ol.cut.fromFlat('LineString', ring, null);
+		}), cutLine: cutLine});
+		return [[[0, 0, 0, 0]]];
+	}
+	var sorted = ol.cut.orderFlat_(segments, cutLine);
+	for (var i = 0; i < segments.length; i++) {
+		ol.cut.connectFlat_(sorted.end[i], sorted.start[i], cutLine);
+		if (sorted.end[i] == sorted.start[i]) {
+			out.push([sorted.end[i]]);
+		} else {
+			sorted.end[sorted.end.indexOf(sorted.start[i])] = sorted.end[i];
+		}
+	}
+	for (var i = 0; i < holes.length; i++) {
+		var j = 0;
+		while (j < out.length && !ol.cut.pointInRingXY_(holes[i][0], holes[i][1], out[j][0])) {
+			j++;
+		}
+		if (j == out.length) {
+			ol.cut.warn(ol.cut.CutError.Code.HOLE_OUTSIDE, {hole: ol.cut.fromFlat('LineString', holes[i], null), cutLine: cutLine});
+		} else {
+			out[j].push(holes[i]);
+		}
+	}
+	return out;
+};
+
+/**
+* Cuts a polygon given as rings in flat coordinates with pole line, as ol.cut.cutPole does. Modifies original array.
+* @param {Array.<Array.<number>>} polygon Rings in flat coordinates of stride 2.
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @return {Array.<Array.<number>>}
+* @private
+*/
+ol.cut.cutPoleFlat_ = function (polygon, cutLine, e) {
+	var pole = 0;
+	var wind = function (ring) {
+		for (var i = 0; i < ring.length - 2; i += 2) {
+			if (ring[i] - ring[i + 2] > 180) {
+				pole -= 1;
+			}
+			if (ring[i] - ring[i + 2] < -180) {
+				pole += 1;
+			}
+		}
+	};
+	wind(polygon[0]);
+	if (pole == 0 || (pole < 0) != (cutLine.deg < 0) || polygon[0][1] == -cutLine.deg) {
+		return polygon;
+	}
+	for (var j = 1; j < polygon.length; j++) {
+		wind(polygon[j]);
+		if (pole == 0) {
+			polygon.unshift(polygon.splice(j, 1)[0]);
+			polygon[0] = ol.cut.cutPolygonFlat(polygon[0], 0, [polygon[0].length], 2, cutLine, e)[0][0];
+			return polygon;
+		}
+	}
+	var line = ol.cut.connectFlat_([0, cutLine.deg], [pole * 180, cutLine.deg], cutLine);
+	line.length -= 2;
+	polygon.unshift(line.concat(ol.cut.connectFlat_([pole * -180, cutLine.deg], [0, cutLine.deg], cutLine)));
+	return polygon;
+};
+
+/**
+* Cuts flat coordinates of a geometry with cutLine, as ol.cut.cutCoordinates does.
+* @param {string} type Geometry type.
+* @param {Array.<number>|Float64Array} flat Flat coordinates in spherical coords.
+* @param {Array|null} ends End offsets of line strings or rings (array of arrays for MultiPolygons), null for other types.
+* @param {number} stride
+* @param {ol.cut.CutLine} cutLine
+* @param {number} e Minimum distance from cut line (degrees)
+* @param {Array.<number>} parts Original part index of every part of the geometry, see ol.cut.parts.
+* @return {{type: string, flat: Array.<number>, ends: (Array|null), parts: Array.<number>}} Cut geometry
+* in flat coordinates of stride 2. Type may change, eg. a cut LineString becomes MultiLineString.
+*/
+ol.cut.cutCoordinatesFlat = function (type, flat, ends, stride, cutLine, e, parts) {
+	var out = [];
+	var outEnds = [];
+	var outParts = [];
+	var addLines = function (lines, part) {
+		for (var i = 0; i < lines.length; i++) {
+			for (var k = 0; k < lines[i].length; k++) {
+				out.push(lines[i][k]);
+			}
+			outEnds.push(out.length);
+			outParts.push(part);
+		}
+	};
+	var addPolygons = function (polygons, part) {
+		for (var i = 0; i < polygons.length; i++) {
+			var polygonEnds = [];
+			for (var j = 0; j < polygons[i].length; j++) {
+				for (var k = 0; k < polygons[i][j].length; k++) {
+					out.push(polygons[i][j][k]);
+				}
+				polygonEnds.push(out.length);
+			}
+			outEnds.push(polygonEnds);
+			outParts.push(part);
+		}
+	};
+	if (type == 'Point' || type == 'MultiPoint') {
+		for (var i = 0, k = 0; i < flat.length; i += stride, k++) {
+			var point = ol.cut.move([flat[i], flat[i + 1]], cutLine, e);
+			if (ol.cut.keeps(point, cutLine)) {
+				out.push(point[0], point[1]);
+				outParts.push(parts[k]);
+			}
+		}
+		return {type: type == 'Point' && out.length ? type : 'MultiPoint', flat: out, ends: null, parts: outParts};
+	} else if (type == 'LineString' || type == 'MultiLineString') {
+		if (type == 'LineString') {
+			addLines(ol.cut.cutLineStringFlat(flat, 0, flat.length, stride, cutLine, e), parts[0]);
+		} else {
+			for (var i = 0; i < ends.length; i++) {
+				addLines(ol.cut.cutLineStringFlat(flat, i ? ends[i - 1] : 0, ends[i], stride, cutLine, e), parts[i]);
+			}
+		}
+		return type == 'LineString' && outEnds.length == 1 ? {type: type, flat: out, ends: null, parts: outParts} :
+			{type: 'MultiLineString', flat: out, ends: outEnds, parts: outParts};
+	} else if (type == 'Polygon' || type == 'MultiPolygon') {
+		if (type == 'Polygon') {
+			addPolygons(ol.cut.cutPolygonFlat(flat, 0, ends, stride, cutLine, e), parts[0]);
+		} else {
+			var offset = 0;
+			for (var i = 0; i < ends.length; i++) {
+				addPolygons(ol.cut.cutPolygonFlat(flat, offset, ends[i], stride, cutLine, e), parts[i]);
+				offset = ends[i].length ? ends[i][ends[i].length - 1] : offset;
+			}
+		}
+		return type == 'Polygon' && outEnds.length == 1 ? {type: type, flat: out, ends: outEnds[0], parts: outParts} :
+			{type: 'MultiPolygon', flat: out, ends: outEnds, parts: outParts};
+	}
+	return {type: type, flat: ol.cut.copyFlat_(flat, 0, flat.length, stride), ends: ends, parts: parts.slice()};
+};
+
+/**
+* Unit vector of the point x, y, as ol.cut.toVector computes it.
+* @param {number} x
+* @param {number} y
+* @param {Array.<number>} out Receives the vector.
+* @return {Array.<number>} out
+* @private
+*/
+ol.cut.toVectorXY_ = function (x, y, out) {
+	var l = x * Math.PI / 180;
+	var f = y * Math.PI / 180;
+	out[0] = Math.cos(f) * Math.cos(l);
+	out[1] = Math.cos(f) * Math.sin(l);
+	out[2] = Math.sin(f);
+	return out;
+};
+
+/**
+* Area of the region on the right of a ring given in flat coordinates, as ol.cut.sphericalArea computes it.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @return {number} Area in steradians, between 0 and 4 * PI.
+*/
+ol.cut.sphericalAreaFlat = function (flat, offset, end, stride) {
+	var sum = 0;
+	var a = ol.cut.toVectorXY_(flat[offset], flat[offset + 1], []);
+	var b = [];
+	var c = ol.cut.toVectorXY_(flat[offset + stride], flat[offset + stride + 1], []);
+	for (var i = offset + stride; i < end - stride; i += stride) {
+		var temp = b;
+		b = c;
+		c = ol.cut.toVectorXY_(flat[i + stride], flat[i + stride + 1], temp);
+		var triple = a[0] * (b[1] * c[2] - b[2] * c[1]) + a[1] * (b[2] * c[0] - b[0] * c[2]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+		var dot = 1 + a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + b[0] * c[0] + b[1] * c[1] + b[2] * c[2] +
+			c[0] * a[0] + c[1] * a[1] + c[2] * a[2];
+		sum += 2 * Math.atan2(triple, dot);
+	}
+	var area = (-sum) % (4 * Math.PI);
+	return area < 0 ? area + 4 * Math.PI : area;
+};
+
+/**
+* Decides if a ring given in flat coordinates is clockwise, as ol.cut.isClockwise does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {number} end
+* @param {number} stride
+* @return {boolean}
+*/
+ol.cut.isClockwiseFlat = function (flat, offset, end, stride) {
+	var winding = 0;
+	var sum = 0;
+	var north = false;
+	var south = false;
+	for (var i = offset + stride; i < end; i += stride) {
+		var dl = flat[i] - flat[i - stride];
+		if (dl > 180) {
+			dl -= 360;
+		} else if (dl < -180) {
+			dl += 360;
+		}
+		winding += dl;
+		sum += dl * (flat[i + 1] + flat[i - stride + 1]);
+		north = north || flat[i + 1] >= 90;
+		south = south || flat[i + 1] <= -90;
+	}
+	if (Math.abs(winding) < 180) {
+		return sum > 0;
+	} else if (north != south) {
+		return (winding > 0) == south;
+	}
+	return ol.cut.sphericalAreaFlat(flat, offset, end, stride) < 2 * Math.PI;
+};
+
+/**
+* Orients the rings of a polygon given in flat coordinates, as ol.cut.orient does.
+* @param {Array.<number>|Float64Array} flat
+* @param {number} offset
+* @param {Array.<number>} ends End offsets of the rings.
+* @param {number} stride
+* @return {Array.<Array.<number>>} Rings in flat coordinates of stride 2, the exterior one first.
+*/
+ol.cut.orientFlat = function (flat, offset, ends, stride) {
+	var max = -Infinity;
+	var biggest = 0;
+	var rings = [];
+	var clockwise = [];
+	for (var i = 0; i < ends.length; i++) {
+		var start = i ? ends[i - 1] : offset;
+		var area = ol.cut.sphericalAreaFlat(flat, start, ends[i], stride);
+		if (area < ol.cut.sliverArea || 4 * Math.PI - area < ol.cut.sliverArea) {
+			ol.cut.warn(ol.cut.CutError.Code.SLIVER_REMOVED, {ring: ol.cut.fromFlat('LineString',
+				ol.cut.copyFlat_(flat, start, ends[i], stride), null), area: Math.min(area, 4 * Math.PI - area)});
+			continue;
+		}
+		clockwise.push(ol.cut.isClockwiseFlat(flat, start, ends[i], stride));
+		rings.push(ol.cut.copyFlat_(flat, start, ends[i], stride));
+		area = clockwise[rings.length - 1] ? area : 4 * Math.PI - area;
+		if (area > max) {
+			max = area;
+			biggest = rings.length - 1;
+		}
+	}
+	if (rings.length == 0) {
+		ol.cut.warn(ol.cut.CutError.Code.EMPTY_GEOMETRY, {});
+		return [[0, 0, 0, 0]];
+	}
+	if (biggest > 0) {
+		rings.unshift(rings.splice(biggest, 1)[0]);
+		clockwise.unshift(clockwise.splice(biggest, 1)[0]);
+	}
+	for (var i = 0; i < rings.length; i++) {
+		if (clockwise[i] == (i > 0)) {
+			var ring = rings[i];
+			ol.cut.warn(ol.cut.CutError.Code.RING_REVERSED, {ring: ol.cut.fromFlat('LineString', ring, null)});
+			for (var j = 0, k = ring.length - 2; j < k; j += 2, k -= 2) {
+				var x = ring[j];
+				var y = ring[j + 1];
+				ring[j] = ring[k];
+				ring[j + 1] = ring[k + 1];
+				ring[k] = x;
+				ring[k + 1] = y;
+			}
+		}
+	}
+	return rings;
+};
+
+/**
+* Points of a metagraticule line from a to b, densified as cut lines in ol.cut.connectSegments.
+* @param {number} a
+* @param {number} b
+* @param {number} xy 0 for parallels, 1 for meridians.
+* @param {number} deg Metalatitude of parallel or metalongitude of meridian.
+* @return {Array.<ol.Coordinate>}
+*/
+ol.cut.graticuleLine = function (a, b, xy, deg) {
+	var INT = .5;
+	var n = Math.max(1, Math.round(Math.abs(b - a) / INT));
+	var out = [];
+	for (var i = 0; i <= n; i++) {
+		var point = [];
+		point[xy] = a + i * (b - a) / n;
+		point[-(xy - 1)] = deg;
+		out.push(point);
+	}
+	return out;
+};
+
+/**
+* Closed ring along a parallel, clockwise around the region north (westward) or south (eastward) of it.
+* Starts at the midmeridian, so the ring crosses the antimeridian.
+* @param {number} deg Latitude of the parallel.
+* @param {boolean} north Region north of the parallel.
+* @return {Array.<ol.Coordinate>}
+*/
+ol.cut.parallelRing = function (deg, north) {
+	var ring = north ? ol.cut.graticuleLine(360, 0, 0, deg) : ol.cut.graticuleLine(0, 360, 0, deg);
+	for (var i = 0; i < ring.length; i++) {
+		if (ring[i][0] > 180) {
+			ring[i][0] -= 360;
+		}
+	}
+	return ring;
+};
+
+/**
+* Outline of the sphere in the metagraticule, with slits of cut lines reaching it.
+* Closed cut lines in clip mode (small circles, parallels from -180 to 180) bound the outline instead of the sphere.
+* @param {boolean} azimuthal See readCutFeatures.
+* @param {Array.<ol.cut.CutLine>} cutLines Additional cut lines, without automatic antimeridian and pole line cuts.
+* @param {number} e Distance from cut line (degrees)
+* @return {{type: string, coordinates: Array}} Polygon or MultiPolygon.
+*/
+ol.cut.outline = function (azimuthal, cutLines, e) {
+	var clipRing = null;
+	var splitLines = [];
+	cutLines = ol.cut.expandCutLines(cutLines);
+	for (var i = 0; i < cutLines.length; i++) {
+		var frame = ol.cut.frame(cutLines[i]);
+		var cutLine = frame ? frame.cutLine : cutLines[i];
+		if (cutLine.mode == 'clip' && cutLine.type == 'parallel' && cutLine.from == -180 && cutLine.to == 180) {
+			var keep = cutLine.keep || 1;
+			clipRing = ol.cut.parallelRing(cutLine.deg + keep * e, keep == 1);
+			if (frame) {
+				clipRing = ol.cut.toFrame(clipRing, frame, true);
+			}
+		} else {
+			splitLines.push(cutLines[i]);
+		}
+	}
+	if (clipRing) {
+		var ring = clipRing;
+	} else if (azimuthal) {
+		var ring = ol.cut.parallelRing(-90 + e, true);
+	} else {
+		var ring = ol.cut.graticuleLine(-90 + e, 90 - e, 1, -180 + e);
+		ring.pop();
+		ring = ring.concat(ol.cut.graticuleLine(-180 + e, 180 - e, 0, 90 - e));
+		ring.pop();
+		ring = ring.concat(ol.cut.graticuleLine(90 - e, -90 + e, 1, 180 - e));
+		ring.pop();
+		ring = ring.concat(ol.cut.graticuleLine(180 - e, -180 + e, 0, -90 + e));
+	}
+	var out = {type: 'Polygon', coordinates: [ring]};
+	for (var i = 0; i < splitLines.length; i++) {
+		out = ol.cut.cutCoordinates(out.type, out.coordinates, splitLines[i], e);
+	}
+	return {type: out.type, coordinates: out.coordinates};
+};
+
+/**
+* Radius of the sphere in units of projection, as OpenLayers measures degrees.
+* @param {ol.proj.Projection} projection
+* @return {number}
+* @private
+*/
+ol.cut.sphereRadius_ = function (projection) {
+	return 6370997 / (projection.getMetersPerUnit() || 1);
+};
+
+/**
+* Projections, formats, geometries, sources and interactions of OpenLayers 3, only if it is loaded.
+*/
+if (ol.proj) {
+	/**
+	* Rotates a projection to oblique aspect and registers transform functions between EPSG:4326 and the new projection.
+	* @param {ol.proj.ProjectionLike} projection Original projection.
+	* Transform function between EPSG:4326 and this projection must be defined earlier in either OpenLayers or proj4js.
+	* @param {number} l0 Longitude of the metapole. Set to zero if you only want to change the midmeridian.
+	* @param {number} f0 Latitude of the metapole. Set to 90 if you only want to change the midmeridian.
+	* @param {number} lm Metalongitude of the midmeridian.
+	* @param {string} rotName SRS of the new, rotated projection.
+	* @param {string} metaName SRS of the created metagraticule.
+	* @return {ol.proj.RotatedProjection} Object for the rotated projection. Use its setPole() to change the rotation later.
+	* Calling it again with the same projection, rotName and metaName rotates and returns the registered object.
+	* Throws if rotName is registered otherwise.
+	* @api
+	*/
+	ol.proj.rotateProjection = function (projection, l0, f0, lm, rotName, metaName) {
+		var meta = new ol.proj.Projection({
+			code: metaName,
+			units: 'degrees'
+		});
+		if (!ol.proj.get(metaName)) {
+			ol.proj.addProjection(meta);
+		}
+		var orig = ol.proj.get(projection);
+		var rotated = ol.proj.get(rotName);
+		if (rotated) {
+			// Rotate the registered projection again, so that sources listening to it follow
+			if (!(rotated instanceof ol.proj.RotatedProjection) || rotated.orig_ !== orig || rotated.metaName_ != metaName) {
+				throw new Error('Projection ' + rotName + ' is already registered, not as a rotation of ' + orig.getCode() +
+					' with metagraticule ' + metaName);
+			}
+		} else {
+			rotated = new ol.proj.RotatedProjection({
+				code: rotName,
+				units: orig.getUnits(),
+				extent: orig.getExtent(),
+				global: orig.isGlobal()
+			}, orig, metaName);
+			ol.proj.addProjection(rotated);
+		}
+		ol.proj.addCoordinateTransforms(metaName, rotName, function(point) {
+			return ol.proj.fromLonLat(point, orig);
+		}, function(point) {
+			return ol.proj.toLonLat(point, orig);
+		});
+		rotated.setPole(l0, f0, lm);
+		ol.cut.setMetaName(rotName, metaName);
+		var interruption = ol.cut.getInterruption(orig);
+		if (interruption) {
+			ol.cut.registerInterruption(rotName, interruption);
+		}
+		return rotated;
+	};
+
+	/**
+	* Projection created by ol.proj.rotateProjection. Its metapole may be changed with setPole().
+	* @constructor
+	* @extends {ol.proj.Projection}
+	* @param {olx.ProjectionOptions} options Projection options.
+	* @param {ol.proj.Projection} orig Original projection.
+	* @param {string} metaName SRS of the metagraticule.
+	* @api
+	*/
+	ol.proj.RotatedProjection = function (options, orig, metaName) {
+		ol.proj.Projection.call(this, options);
+		this.orig_ = orig;
+		this.metaName_ = metaName;
+		this.pole_ = null;
+		this.events_ = new ol.Observable();
+	};
+	ol.inherits(ol.proj.RotatedProjection, ol.proj.Projection);
+
+	/**
+	* Changes the metapole. Registers the transform functions between EPSG:4326, the metagraticule and this projection again,
+	* then fires a change event.
+	* @param {number} l0 Longitude of the metapole.
+	* @param {number} f0 Latitude of the metapole.
+	* @param {number} lm Metalongitude of the midmeridian.
+	* @api
+	*/
+	ol.proj.RotatedProjection.prototype.setPole = function (l0, f0, lm) {
+		var orig = this.orig_;
+		this.pole_ = [l0, f0, lm];
+		ol.cut.setMetaPole(this.metaName_, this.pole_);
+		ol.proj.addCoordinateTransforms('EPSG:4326', this.metaName_, function(point) {
+			return ol.cut.rotate(point, l0, f0, lm);
+		}, function(point) {
+			return ol.cut.rotate(point, 180 - lm, f0, 180 - l0);
+		});
+		ol.proj.addCoordinateTransforms('EPSG:4326', this.getCode(), function(point) {
+			return ol.proj.fromLonLat(ol.cut.rotate(point, l0, f0, lm), orig);
+		}, function(point) {
+			return ol.cut.rotate(ol.proj.toLonLat(point, orig), 180 - lm, f0, 180 - l0);
+		});
+		this.events_.changed();
+	};
+
+	/**
+	* Returns the metapole.
+	* @return {Array.<number>} Longitude and latitude of the metapole, metalongitude of the midmeridian.
+	* @api
+	*/
+	ol.proj.RotatedProjection.prototype.getPole = function () {
+		return this.pole_.slice(0);
+	};
+
+	/**
+	* Returns the SRS of the metagraticule.
+	* @return {string}
+	* @api
+	*/
+	ol.proj.RotatedProjection.prototype.getMetaName = function () {
+		return this.metaName_;
+	};
+
+	/**
+	* Listens to change events, fired when the metapole changes.
+	* @param {string|Array.<string>} type The event type or array of event types.
+	* @param {function(?): ?} listener The listener function.
+	* @param {Object=} opt_this The object to use as `this` in `listener`.
+	* @return {ol.EventsKey} Unique key for the listener.
+	* @api
+	*/
+	ol.proj.RotatedProjection.prototype.on = function (type, listener, opt_this) {
+		return this.events_.on(type, listener, opt_this);
+	};
+
+	/**
+	* Unlistens to change events.
+	* @param {string|Array.<string>} type The event type or array of event types.
+	* @param {function(?): ?} listener The listener function.
+	* @param {Object=} opt_this The object used as `this` in `listener`.
+	* @api
+	*/
+	ol.proj.RotatedProjection.prototype.un = function (type, listener, opt_this) {
+		this.events_.un(type, listener, opt_this);
+	};
+
+	/**
+	* Creates an interrupted projection of lobes, each projected with the base projection around its own central meridian,
+	* and moved by its offset (eg. Goode homolosine, interrupted Mollweide). Registers transform functions between EPSG:4326
+	* and the new projection, and the lobe boundaries as its cut lines with ol.cut.registerInterruption.
+	* Points outside of the lobes are transformed to NaN. The projection may be rotated with ol.proj.rotateProjection.
+	* @param {ol.proj.ProjectionLike} base Base projection. Transform function between EPSG:4326 and this projection
+	* must be defined earlier in either OpenLayers or proj4js.
+	* @param {Array.<ol.cut.Lobe>} lobes Lobes covering the sphere without overlaps. Default offset: the base projection
+	* of the central meridian at the equator, so lobes of pseudocylindrical projections meet along the equator.
+	* @param {string} code SRS of the new projection.
+	* @return {ol.proj.Projection}
+	* @api
+	*/
+	ol.proj.createInterruptedProjection = function (base, lobes, code) {
+		base = ol.proj.get(base);
+		lobes = lobes.map(function (lobe) {
+			var central = lobe.central || 0;
+			return {extent: lobe.extent, central: central, offset: lobe.offset || ol.proj.fromLonLat([central, 0], base)};
+		});
+		var tolerance = 1e-6 * ol.cut.sphereRadius_(base);
+		var project = function (index, lonLat) {
+			var lobe = lobes[index];
+			var lon = lonLat[0] - lobe.central;
+			lon += lon > 180 ? -360 : (lon < -180 ? 360 : 0);
+			var point = ol.proj.fromLonLat([lon, lonLat[1]], base);
+			return [point[0] + lobe.offset[0], point[1] + lobe.offset[1]];
+		};
+		var unproject = function (point) {
+			for (var i = 0; i < lobes.length; i++) {
+				var lobe = lobes[i];
+				var local = [point[0] - lobe.offset[0], point[1] - lobe.offset[1]];
+				var lonLat = ol.proj.toLonLat(local, base);
+				var back = ol.proj.fromLonLat(lonLat, base);
+				var lon = lonLat[0] + lobe.central;
+				lon += lon > 180 ? -360 : (lon < -180 ? 360 : 0);
+				var extent = lobe.extent;
+				// Lobes are checked with a small margin, so points on their edges are found after rounding errors
+				if (Math.abs(back[0] - local[0]) <= tolerance && Math.abs(back[1] - local[1]) <= tolerance &&
+						lon >= extent[0] - 1e-9 && lon <= extent[2] + 1e-9 && lonLat[1] >= extent[1] - 1e-9 && lonLat[1] <= extent[3] + 1e-9) {
+					return [lon, lonLat[1]];
+				}
+			}
+			return [NaN, NaN];
+		};
+		var extent = [Infinity, Infinity, -Infinity, -Infinity];
+		for (var i = 0; i < lobes.length; i++) {
+			var lobeExtent = lobes[i].extent;
+			var outline = ol.cut.graticuleLine(lobeExtent[0], lobeExtent[2], 0, lobeExtent[1])
+				.concat(ol.cut.graticuleLine(lobeExtent[0], lobeExtent[2], 0, lobeExtent[3]))
+				.concat(ol.cut.graticuleLine(lobeExtent[1], lobeExtent[3], 1, lobeExtent[0]))
+				.concat(ol.cut.graticuleLine(lobeExtent[1], lobeExtent[3], 1, lobeExtent[2]));
+			for (var j = 0; j < outline.length; j++) {
+				ol.cut.coordinatesExtent(project(i, outline[j]), extent);
+			}
+		}
+		var projection = new ol.proj.Projection({
+			code: code,
+			units: base.getUnits(),
+			extent: extent,
+			global: base.isGlobal()
+		});
+		ol.proj.addProjection(projection);
+		ol.proj.addCoordinateTransforms('EPSG:4326', projection, function (point) {
+			var index = ol.cut.findLobe(lobes, point);
+			return index == -1 ? [NaN, NaN] : project(index, point);
+		}, unproject);
+		ol.cut.registerInterruption(code, {azimuthal: false, cutLines: ol.cut.lobeCutLines(lobes, project, tolerance)});
+		return projection;
+	};
+
+	/**
+	* Acts as readFeature() but cuts features at antimeridian and optional other arbitary lines.
+	* @param {Document|Node|Object|string} source Source.
+	* @param {olx.format.ReadOptions=} opt_options Read options.
+	* @param {ol.proj.ProjectionLike|undefined} opt_metaName SRS of the metagraticule created with ol.proj.rotateProjection.
+	* Required when the destination projection is in oblique aspect or the midmeridian is not Greenwich. Default EPSG:4326.
+	* If used, please set featureProjection in the read options to the projection created with ol.proj.rotateProjection.
+	* @param {boolean|undefined} opt_azimuthal If true, cut will not preform at the antimeridian, only at the antipode.
+	* Default is the one registered for featureProjection with ol.cut.registerInterruption, or false.
+	* Only set true for azimuthal projections (eg. Lambert Azimuthal or Berghaus star).
+	* @param {Array.<ol.cut.CutLine>|undefined} opt_cutLines If the projection has additional boundary cuts following any metagraticule line
+	* (eg. Goode or Berghaus), specify them here. Antimeridian and pole line cuts are automatic, must not be included.
+	* Default is the one registered for featureProjection with ol.cut.registerInterruption, or empty array.
+	* Read options may also have onWarning, a function called with the feature, the code (see ol.cut.CutError.Code)
+	* and the details of every warning and error, and errorPolicy, deciding what happens to features failed to cut:
+	* 'throw' (default) throws an ol.cut.CutError, 'skip' leaves them out, 'keep' keeps them uncut.
+	* Set densify in the read options to add points along edges, until they follow great circles within this distance
+	* in featureProjection units, or in pixels if resolution is also set.
+	* Set topology in the read options to compute the points cutting and densifying borders shared by features
+	* (eg. arcs of ol.format.TopoJSON) only once, so neighbours get the same points along them. See ol.cut.sharedEdge.
+	* Features keep their uncut geometries, see ol.cut.getOriginalGeometry.
+	* @return {Array.<ol.Feature>} Features.
+	* @api
+	*/
+	ol.format.Feature.prototype.readCutFeatures = function(source, opt_options, opt_metaName, opt_azimuthal, opt_cutLines) {
+		if (typeof opt_options === 'undefined') {
+			opt_options = {};
+		}
+		var dest = opt_options.featureProjection || 'EPSG:4326';
+		var onWarning = opt_options.onWarning;
+		var policy = opt_options.errorPolicy || 'throw';
+		var tolerance = opt_options.densify ? opt_options.densify * (opt_options.resolution || 1) : undefined;
+		opt_options.featureProjection = 'EPSG:4326';
+		var features = this.readFeatures(source, opt_options);
+		var out = [];
+		ol.cut.setTopology(!!opt_options.topology);
+		for (var i = 0; i < features.length; i++) {
+			var feature = features[i];
+			var geom = feature.getGeometry();
+			var record = {};
+			feature.cutOriginal_ = geom ? geom.clone() : null;
+			ol.cut.setWarningHandler(onWarning ? function (code, details) {
+				onWarning(feature, code, details);
+			} : null);
+			try {
+				feature.setGeometry(ol.cut.cutGeometry(geom, opt_metaName, dest, opt_azimuthal, opt_cutLines, tolerance, record));
+				feature.cutRecord_ = record;
+				out.push(feature);
+			} catch (err) {
+				if (!(err instanceof ol.cut.CutError)) {
+					err = new ol.cut.CutError(ol.cut.CutError.Code.CUT_FAILED, String(err.message || err), {error: err});
+				}
+				ol.cut.warn(err.code, err.details);
+				if (policy == 'keep') {
+					var orig = feature.cutOriginal_;
+					feature.setGeometry(orig ? orig.clone().transform('EPSG:4326', dest) : orig);
+					feature.cutRecord_ = null;
+					out.push(feature);
+				} else if (policy != 'skip') {
+					ol.cut.setWarningHandler(null);
+					ol.cut.setTopology(false);
+					throw err;
+				}
+			}
+		}
+		ol.cut.setWarningHandler(null);
+		ol.cut.setTopology(false);
+		return out;
+	};
+
+	/**
+	* Acts as readCutFeatures() but cuts features in Web Workers, so the page is not blocked while reading large data.
+	* Geometries are sent to the workers as transferable flat coordinate buffers (only x and y are kept),
+	* features are rebuilt in the calling thread. GeometryCollections and Circles are cut in the calling thread.
+	* Falls back to readCutFeatures() where Web Workers are not available, or the topology read option is set.
+	* @param {Document|Node|Object|string} source Source.
+	* @param {olx.format.ReadOptions=} opt_options Read options, as in readCutFeatures. May also have workers, the number
+	* of workers (default navigator.hardwareConcurrency or 2), and onProgress, a function called with the number of features
+	* done and the number of all features after every batch.
+	* @param {ol.proj.ProjectionLike|undefined} opt_metaName See readCutFeatures.
+	* @param {boolean|undefined} opt_azimuthal See readCutFeatures.
+	* @param {Array.<ol.cut.CutLine>|undefined} opt_cutLines See readCutFeatures.
+	* @return {Promise.<Array.<ol.Feature>>} Promise of the features. Its cancel() method stops the workers,
+	* and rejects the promise with an ol.cut.CutError of code CANCELLED.
+	* @api
+	*/
+	ol.format.Feature.prototype.readCutFeaturesAsync = function(source, opt_options, opt_metaName, opt_azimuthal, opt_cutLines) {
+		var BATCH = 100;
+		var format = this;
+		var options = {};
+		for (var key in opt_options) {
+			options[key] = opt_options[key];
+		}
+		if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || options.topology) {
+			var sync = new Promise(function (resolve) {
+				resolve(format.readCutFeatures(source, options, opt_metaName, opt_azimuthal, opt_cutLines));
+			});
+			sync.cancel = function () {};
+			return sync;
+		}
+		var dest = options.featureProjection || 'EPSG:4326';
+		var onWarning = options.onWarning;
+		var policy = options.errorPolicy || 'throw';
+		var tolerance = options.densify ? options.densify * (options.resolution || 1) : undefined;
+		var cutLines = ol.cut.getCutLines(opt_azimuthal, opt_cutLines, dest);
+		var e = 1e-6;
+		var pole = opt_metaName ? ol.cut.getMetaPole(ol.proj.get(opt_metaName).getCode()) : null;
+		var prepare = !opt_metaName || !!pole;
+		options.featureProjection = 'EPSG:4326';
+		var features = this.readFeatures(source, options);
+		var out = [];
+		var geoms = [];
+		var done = 0;
+		var failed = null;
+		var finished = false;
+		var workers = [];
+		var url = null;
+		var settle;
+		var cutFeature = function (index, cut) {
+			var feature = features[index];
+			var record = {};
+			feature.cutOriginal_ = feature.getGeometry() || null;
+			ol.cut.setWarningHandler(onWarning ? function (code, details) {
+				onWarning(feature, code, details);
+			} : null);
+			try {
+				feature.setGeometry(cut(record));
+				feature.cutRecord_ = record;
+				out[index] = feature;
+			} catch (err) {
+				if (!(err instanceof ol.cut.CutError)) {
+					err = new ol.cut.CutError(ol.cut.CutError.Code.CUT_FAILED, String(err.message || err), {error: err});
+				}
+				ol.cut.warn(err.code, err.details);
+				if (policy == 'keep') {
+					var orig = feature.cutOriginal_;
+					feature.setGeometry(orig ? orig.clone().transform('EPSG:4326', dest) : orig);
+					feature.cutRecord_ = null;
+					out[index] = feature;
+				} else if (policy != 'skip') {
+					failed = failed || err;
+				}
+			}
+			ol.cut.setWarningHandler(null);
+			done++;
+		};
+		var promise = new Promise(function (resolve, reject) {
+			settle = function (err) {
+				if (finished) {
+					return;
+				}
+				finished = true;
+				for (var i = 0; i < workers.length; i++) {
+					workers[i].terminate();
+				}
+				if (url) {
+					URL.revokeObjectURL(url);
+				}
+				if (err) {
+					reject(err);
+				} else {
+					resolve(out.filter(function (feature) {
+						return !!feature;
+					}));
+				}
+			};
+		});
+		var check = function () {
+			if (failed) {
+				settle(failed);
+			} else {
+				if (options.onProgress) {
+					options.onProgress(done, features.length);
+				}
+				if (done == features.length) {
+					settle();
+				}
+			}
+			return finished;
+		};
+		for (var i = 0; i < features.length; i++) {
+			var geom = features[i].getGeometry();
+			var type = geom ? geom.getType() : null;
+			if (geom && type in ol.cut.depths_) {
+				geom = geom.clone();
+				if (!prepare) {
+					geom.clockwiseGeometry();
+					geom.transform('EPSG:4326', opt_metaName);
+				}
+				var flat = ol.cut.toFlat(type, geom.getCoordinates());
+				flat.index = i;
+				geoms.push(flat);
+			} else {
+				cutFeature(i, function (record) {
+					return ol.cut.cutGeometry(geom ? geom.clone() : geom, opt_metaName, dest, opt_azimuthal, opt_cutLines, tolerance, record);
+				});
+			}
+		}
+		var next = 0;
+		var send = function (worker) {
+			var batch = geoms.slice(next, next + BATCH);
+			next += BATCH;
+			if (batch.length) {
+				worker.postMessage({geoms: batch, prepare: prepare, pole: pole, cutLines: cutLines, e: e}, batch.map(function (geom) {
+					return geom.flat.buffer;
+				}));
+			}
+		};
+		var receive = function (evt) {
+			if (finished) {
+				return;
+			}
+			var results = evt.data;
+			for (var i = 0; i < results.length; i++) {
+				var result = results[i];
+				cutFeature(result.index, function (record) {
+					for (var j = 0; j < result.warnings.length; j++) {
+						ol.cut.warn(result.warnings[j].code, result.warnings[j].details);
+					}
+					if (result.error) {
+						throw new ol.cut.CutError(result.error.code, result.error.message, result.error.details);
+					}
+					record.parts = result.parts;
+					record.metaName = opt_metaName || 'EPSG:4326';
+					record.dest = dest;
+					var geom = new ol.geom[result.type](ol.cut.fromFlat(result.type, result.flat, result.ends));
+					return ol.cut.transformMetaGeometry(geom, opt_metaName, dest, cutLines, e, tolerance, record);
+				});
+			}
+			if (!check()) {
+				send(evt.target);
+			}
+		};
+		if (!check()) {
+			url = URL.createObjectURL(new Blob([ol.cut.workerSource_()], {type: 'application/javascript'}));
+			var count = Math.min(options.workers || navigator.hardwareConcurrency || 2, Math.ceil(geoms.length / BATCH));
+			for (var i = 0; i < count; i++) {
+				var worker = new Worker(url);
+				worker.onmessage = receive;
+				worker.onerror = function (evt) {
+					settle(new ol.cut.CutError(ol.cut.CutError.Code.CUT_FAILED, evt.message || 'Worker failed.', {}));
+				};
+				workers.push(worker);
+				send(worker);
+			}
+		}
+		promise.cancel = function () {
+			if (!finished) {
+				settle(new ol.cut.CutError(ol.cut.CutError.Code.CANCELLED, 'Reading was cancelled.', {}));
+			}
+		};
+		return promise;
+	};
+
+	/**
+	* Acts as writeFeatures() but joins pieces of features cut by readCutFeatures(), and writes them in dataProjection.
+	* Points added along cut lines are removed. Features are not modified.
+	* @param {Array.<ol.Feature>} features Features.
+	* @param {olx.format.WriteOptions=} opt_options Write options.
+	* @param {ol.proj.ProjectionLike|undefined} opt_metaName See readCutFeatures.
+	* @param {boolean|undefined} opt_azimuthal See readCutFeatures.
+	* @param {Array.<ol.cut.CutLine>|undefined} opt_cutLines See readCutFeatures.
+	* @return {Node|Object|string} Result.
+	* @api
+	*/
+	ol.format.Feature.prototype.writeCutFeatures = function(features, opt_options, opt_metaName, opt_azimuthal, opt_cutLines) {
+		var options = {};
+		for (var key in opt_options) {
+			options[key] = opt_options[key];
+		}
+		var source = options.featureProjection || 'EPSG:4326';
+		options.featureProjection = 'EPSG:4326';
+		var out = [];
+		for (var i = 0; i < features.length; i++) {
+			out[i] = features[i].clone();
+			out[i].setGeometry(ol.cut.stitchGeometry(out[i].getGeometry(), opt_metaName, source, opt_azimuthal, opt_cutLines));
+		}
+		return this.writeFeatures(out, options);
+	};
+
+	ol.geom.Geometry.prototype.cut = function () {return this;};
+
+	/**
+	* Cuts a geometry through its coordinates with ol.cut.cutCoordinates, as workers do.
+	* @param {ol.geom.SimpleGeometry} geom Modified in place.
+	* @param {ol.cut.CutLine} cutLine
+	* @param {number} e Minimum distance from cut line (degrees)
+	* @param {Array.<number>=} opt_parts Original part index of every part, updated in place.
+	* @return {ol.geom.SimpleGeometry} geom, or a new geometry if the type changed.
+	* @private
+	*/
+	ol.cut.cutSimpleGeometry_ = function (geom, cutLine, e, opt_parts) {
+		var out = ol.cut.cutCoordinates(geom.getType(), geom.getCoordinates(), cutLine, e, opt_parts);
+		if (opt_parts) {
+			opt_parts.length = 0;
+			opt_parts.push.apply(opt_parts, out.parts);
+		}
+		if (out.type == geom.getType()) {
+			geom.setCoordinates(out.coordinates);
+			return geom;
+		} else {
+			return new ol.geom[out.type](out.coordinates);
+		}
+	};
+
+	/**
+	* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+	* @param {ol.cut.CutLine} cutLine
+	* @param {number} e Minimum distance from cut line (degrees)
+	* @param {Array.<number>=} opt_parts Original part index of every part, updated in place. See ol.cut.cutCoordinates.
+	*/
+	ol.geom.Point.prototype.cut = function (cutLine, e, opt_parts) {
+		return ol.cut.cutSimpleGeometry_(this, cutLine, e, opt_parts);
+	};
+
+	/**
+	* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+	* @param {ol.cut.CutLine} cutLine
+	* @param {number} e Minimum distance from cut line (degrees)
+	*/
+	ol.geom.Circle.prototype.cut = function (cutLine, e) {
+		this.setCenter(ol.cut.move(this.getCenter(), cutLine, e));
+		if (!ol.cut.keeps(this.getCenter(), cutLine)) {
+			return new ol.geom.GeometryCollection([]);
+		}
+		return this;
+	};
+
+	/**
+	* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+	* @param {ol.cut.CutLine} cutLine
+	* @param {number} e Minimum distance from cut line (degrees)
+	* @param {Array.<number>=} opt_parts Original part index of every part, updated in place. See ol.cut.cutCoordinates.
+	*/
+	ol.geom.MultiPoint.prototype.cut = function (cutLine, e, opt_parts) {
+		return ol.cut.cutSimpleGeometry_(this, cutLine, e, opt_parts);
+	};
+
+	/**
+	* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+	* @param {ol.cut.CutLine} cutLine
+	* @param {number} e Minimum distance from cut line (degrees)
+	* @param {Array.<number>=} opt_parts Original part index of every part, updated in place. See ol.cut.cutCoordinates.
+	*/
+	ol.geom.LineString.prototype.cut = function (cutLine, e, opt_parts) {
+		return ol.cut.cutSimpleGeometry_(this, cutLine, e, opt_parts);
+	};
+
+	/**
+	* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+	* @param {ol.cut.CutLine} cutLine
+	* @param {number} e Minimum distance from cut line (degrees)
+	* @param {Array.<number>=} opt_parts Original part index of every part, updated in place. See ol.cut.cutCoordinates.
+	*/
+	ol.geom.MultiLineString.prototype.cut = function (cutLine, e, opt_parts) {
+		return ol.cut.cutSimpleGeometry_(this, cutLine, e, opt_parts);
+	};
+
+	/**
+	* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+	* @param {ol.cut.CutLine} cutLine
+	* @param {number} e Minimum distance from cut line (degrees)
+	* @param {Array.<number>=} opt_parts Original part index of every part, updated in place. See ol.cut.cutCoordinates.
+	*/
+	ol.geom.Polygon.prototype.cut = function (cutLine, e, opt_parts) {
+		return ol.cut.cutSimpleGeometry_(this, cutLine, e, opt_parts);
+	};
+
+	/**
+	* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+	* @param {ol.cut.CutLine} cutLine
+	* @param {number} e Minimum distance from cut line (degrees)
+	* @param {Array.<number>=} opt_parts Original part index of every part, updated in place. See ol.cut.cutCoordinates.
+	*/
+	ol.geom.MultiPolygon.prototype.cut = function (cutLine, e, opt_parts) {
+		return ol.cut.cutSimpleGeometry_(this, cutLine, e, opt_parts);
+	};
+
+	ol.geom.Geometry.prototype.clockwiseGeometry = function () {};
+
+	/**
+	* Sets exterior ring clockwise, interiors counterclockwise.
+	*/
+	ol.geom.Polygon.prototype.clockwiseGeometry = function() {
+		this.setCoordinates(ol.cut.orient(this.getCoordinates()));
+	};
+
+	/**
+	* Sets exterior ring clockwise, interiors counterclockwise.
+	*/
+	ol.geom.MultiPolygon.prototype.clockwiseGeometry = function() {
+		var inp = this.getCoordinates();
+		var out = [];
+		for (var i = 0; i < inp.length; i++) {
+			out[i] = ol.cut.orient(inp[i]);
+		}
+		this.setCoordinates(out);
+	};
+
+	/**
+	* Cuts geometry with cutLine. Modifies geometry in place. clone() it before, if original needs to be preserved.
+	* Members turned into Multi* geometries are replaced in the collection.
+	* @param {ol.cut.CutLine} cutLine
+	* @param {number} e Minimum distance from cut line (degrees)
+	*/
+	ol.geom.GeometryCollection.prototype.cut = function (cutLine, e) {
+		var inp = this.getGeometries();
+		var out = [];
+		for (var i = 0; i < inp.length; i++) {
+			out.push(inp[i].cut(cutLine, e));
+		}
+		this.setGeometries(out);
+		return this;
+	};
+
+	/**
+	* Sets exterior ring clockwise, interiors counterclockwise in every member geometry.
+	*/
+	ol.geom.GeometryCollection.prototype.clockwiseGeometry = function() {
+		var inp = this.getGeometries();
+		for (var i = 0; i < inp.length; i++) {
+			inp[i].clockwiseGeometry();
+		}
+		this.setGeometries(inp);
+	};
+
+	ol.geom.Geometry.prototype.densify = function () {};
+
+	/**
+	* Densifies edges to follow great circles after transform. See ol.cut.densify.
+	* @param {ol.TransformFunction} transform
+	* @param {number} tolerance
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e
+	*/
+	ol.geom.LineString.prototype.densify = function (transform, tolerance, cutLines, e) {
+		this.setCoordinates(ol.cut.densify(this.getCoordinates(), transform, tolerance, cutLines, e));
+	};
+
+	/**
+	* Densifies edges to follow great circles after transform. See ol.cut.densify.
+	* @param {ol.TransformFunction} transform
+	* @param {number} tolerance
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e
+	*/
+	ol.geom.MultiLineString.prototype.densify = function (transform, tolerance, cutLines, e) {
+		var inp = this.getCoordinates();
+		for (var i = 0; i < inp.length; i++) {
+			inp[i] = ol.cut.densify(inp[i], transform, tolerance, cutLines, e);
+		}
+		this.setCoordinates(inp);
+	};
+
+	/**
+	* Densifies edges to follow great circles after transform. See ol.cut.densify.
+	* @param {ol.TransformFunction} transform
+	* @param {number} tolerance
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e
+	*/
+	ol.geom.Polygon.prototype.densify = ol.geom.MultiLineString.prototype.densify;
+
+	/**
+	* Densifies edges to follow great circles after transform. See ol.cut.densify.
+	* @param {ol.TransformFunction} transform
+	* @param {number} tolerance
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e
+	*/
+	ol.geom.MultiPolygon.prototype.densify = function (transform, tolerance, cutLines, e) {
+		var inp = this.getCoordinates();
+		for (var i = 0; i < inp.length; i++) {
+			for (var j = 0; j < inp[i].length; j++) {
+				inp[i][j] = ol.cut.densify(inp[i][j], transform, tolerance, cutLines, e);
+			}
+		}
+		this.setCoordinates(inp);
+	};
+
+	/**
+	* Densifies edges of every member geometry. See ol.cut.densify.
+	* @param {ol.TransformFunction} transform
+	* @param {number} tolerance
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e
+	*/
+	ol.geom.GeometryCollection.prototype.densify = function (transform, tolerance, cutLines, e) {
+		var inp = this.getGeometries();
+		for (var i = 0; i < inp.length; i++) {
+			inp[i].densify(transform, tolerance, cutLines, e);
+		}
+		this.setGeometries(inp);
+	};
+
+	/**
+	* Vector source cutting its features at antimeridian and optional other arbitary lines.
+	* Keeps the original EPSG:4326 geometries, and cuts them again when the projection changes.
+	* Features must be added in EPSG:4326. Loaders are called with EPSG:4326 as projection.
+	* @constructor
+	* @extends {ol.source.Vector}
+	* @param {Object=} opt_options Options of ol.source.Vector, and also:
+	* projection: destination projection (default EPSG:4326),
+	* metaName, azimuthal, cutLines: as opt_metaName, opt_azimuthal and opt_cutLines of readCutFeatures.
+	* If metaName is not set, the one created by ol.proj.rotateProjection for the projection is used.
+	* densify: tolerance of edge densification in destination map units, see readCutFeatures.
+	* @api
+	*/
+	ol.source.CutVector = function (opt_options) {
+		var options = opt_options || {};
+		this.cutProjection_ = ol.proj.get(options.projection || 'EPSG:4326');
+		this.metaName_ = options.metaName || ol.cut.getMetaName(this.cutProjection_);
+		this.azimuthal_ = options.azimuthal;
+		this.cutLines_ = options.cutLines;
+		this.densify_ = options.densify;
+		this.mapKeys_ = [];
+		this.poleKey_ = null;
+		var vectorOptions = {};
+		for (var key in options) {
+			if (['features', 'url', 'loader', 'projection', 'metaName', 'azimuthal', 'cutLines', 'densify'].indexOf(key) == -1) {
+				vectorOptions[key] = options[key];
+			}
+		}
+		var loader = options.loader;
+		if (!loader && options.url && options.format) {
+			loader = ol.source.CutVector.xhrLoader_(options.url, options.format);
+		}
+		if (loader) {
+			vectorOptions.loader = function (extent, resolution) {
+				loader.call(this, extent, resolution, ol.proj.get('EPSG:4326'));
+			};
+		}
+		ol.source.Vector.call(this, vectorOptions);
+		this.listenPole_();
+		if (options.features) {
+			this.addFeatures(options.features instanceof ol.Collection ? options.features.getArray() : options.features);
+		}
+	};
+	ol.inherits(ol.source.CutVector, ol.source.Vector);
+
+	/**
+	* Loader reading features from url in EPSG:4326.
+	* @param {string|function(ol.Extent, number, ol.proj.Projection): string} url
+	* @param {ol.format.Feature} format
+	* @return {function(ol.Extent, number, ol.proj.Projection)}
+	* @private
+	*/
+	ol.source.CutVector.xhrLoader_ = function (url, format) {
+		return function (extent, resolution, projection) {
+			var source = this;
+			var xhr = new XMLHttpRequest();
+			xhr.open('GET', typeof url === 'function' ? url(extent, resolution, projection) : url, true);
+			xhr.onload = function () {
+				if (xhr.status >= 200 && xhr.status < 300) {
+					var data = xhr.responseXML && xhr.responseXML.documentElement ? xhr.responseXML : xhr.responseText;
+					source.addFeatures(format.readFeatures(data, {featureProjection: projection}));
+				}
+			};
+			xhr.send();
+		};
+	};
+
+	/**
+	* Stores original geometry of feature and replaces it with the cut one.
+	* @param {ol.Feature} feature
+	* @private
+	*/
+	ol.source.CutVector.prototype.cutFeature_ = function (feature) {
+		if (!feature.cutOriginal_) {
+			var geom = feature.getGeometry();
+			feature.cutOriginal_ = geom ? geom.clone() : null;
+		}
+		if (feature.cutOriginal_) {
+			var record = {};
+			feature.setGeometry(this.cutGeometry_(feature.cutOriginal_, record));
+			feature.cutRecord_ = record;
+		}
+	};
+
+	/**
+	* Cuts a copy of a geometry given in EPSG:4326 with the settings of the source.
+	* @param {ol.geom.Geometry} geom
+	* @param {ol.cut.CutRecord=} opt_record See ol.cut.cutGeometry.
+	* @return {ol.geom.Geometry}
+	* @private
+	*/
+	ol.source.CutVector.prototype.cutGeometry_ = function (geom, opt_record) {
+		return ol.cut.cutGeometry(geom.clone(), this.metaName_, this.cutProjection_, this.azimuthal_, this.cutLines_, this.densify_,
+			opt_record);
+	};
+
+	/**
+	* Adds a feature given in EPSG:4326, and cuts it.
+	* @param {ol.Feature} feature
+	* @api
+	*/
+	ol.source.CutVector.prototype.addFeature = function (feature) {
+		this.cutFeature_(feature);
+		ol.source.Vector.prototype.addFeature.call(this, feature);
+	};
+
+	/**
+	* Adds features given in EPSG:4326, and cuts them.
+	* @param {Array.<ol.Feature>} features
+	* @api
+	*/
+	ol.source.CutVector.prototype.addFeatures = function (features) {
+		for (var i = 0; i < features.length; i++) {
+			this.cutFeature_(features[i]);
+		}
+		ol.source.Vector.prototype.addFeatures.call(this, features);
+	};
+
+	/**
+	* Sets destination projection and cuts all features again from their original geometries.
+	* @param {ol.proj.ProjectionLike} projection Destination projection.
+	* @param {ol.proj.ProjectionLike|undefined} opt_metaName SRS of the metagraticule.
+	* Default: the one created by ol.proj.rotateProjection for the projection.
+	* @param {boolean|undefined} opt_azimuthal Default: registered for the projection with ol.cut.registerInterruption.
+	* @param {Array.<ol.cut.CutLine>|undefined} opt_cutLines Default: registered for the projection with ol.cut.registerInterruption.
+	* @api
+	*/
+	ol.source.CutVector.prototype.setCutProjection = function (projection, opt_metaName, opt_azimuthal, opt_cutLines) {
+		this.cutProjection_ = ol.proj.get(projection);
+		this.metaName_ = opt_metaName || ol.cut.getMetaName(this.cutProjection_);
+		this.azimuthal_ = opt_azimuthal;
+		this.cutLines_ = opt_cutLines;
+		this.listenPole_();
+		this.recut();
+	};
+
+	/**
+	* Cuts all features again from their original geometries.
+	* Called when the metapole of the projection changes (see ol.proj.RotatedProjection).
+	* @api
+	*/
+	ol.source.CutVector.prototype.recut = function () {
+		var features = this.getFeatures();
+		for (var i = 0; i < features.length; i++) {
+			this.cutFeature_(features[i]);
+		}
+		this.changed();
+	};
+
+	/**
+	* Cuts a feature of the source again from its original geometry, after the geometry was modified
+	* (see ol.cut.getOriginalGeometry).
+	* @param {ol.Feature} feature
+	* @api
+	*/
+	ol.source.CutVector.prototype.recutFeature = function (feature) {
+		this.cutFeature_(feature);
+	};
+
+	/**
+	* Listens to metapole changes of the projection.
+	* @private
+	*/
+	ol.source.CutVector.prototype.listenPole_ = function () {
+		if (this.poleKey_) {
+			ol.Observable.unByKey(this.poleKey_);
+			this.poleKey_ = null;
+		}
+		if (this.cutProjection_ instanceof ol.proj.RotatedProjection) {
+			this.poleKey_ = this.cutProjection_.on('change', this.recut, this);
+		}
+	};
+
+	/**
+	* Returns the destination projection.
+	* @return {ol.proj.Projection}
+	* @api
+	*/
+	ol.source.CutVector.prototype.getCutProjection = function () {
+		return this.cutProjection_;
+	};
+
+	/**
+	* Follows the view projection of map. Features are cut again whenever the view of the map is replaced
+	* with one in another projection. Pass null to stop following.
+	* @param {ol.Map} map
+	* @api
+	*/
+	ol.source.CutVector.prototype.setMap = function (map) {
+		for (var i = 0; i < this.mapKeys_.length; i++) {
+			ol.Observable.unByKey(this.mapKeys_[i]);
+		}
+		this.mapKeys_ = [];
+		if (map) {
+			var onView = function () {
+				var view = map.getView();
+				if (view && view.getProjection() !== this.cutProjection_) {
+					this.setCutProjection(view.getProjection());
+				}
+			};
+			this.mapKeys_.push(map.on('change:view', onView, this));
+			onView.call(this);
+		}
+	};
+
+	/**
+	* Vector source reading vector tiles (eg. Mapbox Vector Tiles) of a tile grid, and cutting their features for
+	* the destination projection like ol.source.CutVector. Tiles covering the view of the map set with setMap() are loaded
+	* after each move, in the zoom level matching the resolution of the view. Tile features are clipped to their tile
+	* (without the buffer), transformed from tile pixels to EPSG:4326 and cut. Pieces of a feature in neighbouring tiles
+	* remain separate features, but their vertices along the tile border are the same, and they are cut in topology mode
+	* (see readCutFeatures), so they fit exactly after cutting. Ids of tile features are not kept, as the pieces would share them.
+	* Tiles leaving the view are dropped with their features. Fires tileloaderror events with the tileCoord of tiles failed to load;
+	* these tiles are requested again after the next move.
+	* @constructor
+	* @extends {ol.source.CutVector}
+	* @param {Object} options Options of ol.source.CutVector, except url, loader and format, and also:
+	* url: template with {z}, {x} and {y} (XYZ scheme), or a function returning the url for an ol.TileCoord.
+	* format: format reading tiles from an ArrayBuffer into ol.Features (default ol.format.MVT with featureClass ol.Feature).
+	* tileGrid: default ol.tilegrid.createXYZ with maxZoom 22. tileProjection: projection of tileGrid (default EPSG:3857).
+	* tilePixelRatio: pixels of tile data per pixel of the tile size of tileGrid (default 16, for the extent 4096 of MVT).
+	* maxZoom: tiles are not loaded beyond this zoom level (default: maximum zoom of tileGrid).
+	* @api
+	*/
+	ol.source.CutVectorTile = function (options) {
+		var vectorOptions = {};
+		for (var key in options) {
+			if (['url', 'loader', 'format', 'tileGrid', 'tileProjection', 'tilePixelRatio', 'maxZoom'].indexOf(key) == -1) {
+				vectorOptions[key] = options[key];
+			}
+		}
+		ol.source.CutVector.call(this, vectorOptions);
+		this.tileUrl_ = options.url;
+		this.format_ = options.format || new ol.format.MVT({featureClass: ol.Feature});
+		this.tileGrid_ = options.tileGrid || ol.tilegrid.createXYZ({maxZoom: 22});
+		this.tileProjection_ = ol.proj.get(options.tileProjection || 'EPSG:3857');
+		this.tilePixelRatio_ = options.tilePixelRatio || 16;
+		this.maxZoom_ = typeof options.maxZoom === 'number' ? options.maxZoom : this.tileGrid_.getMaxZoom();
+		this.tileZ_ = -1;
+		this.tiles_ = {};
+		this.edges_ = {};
+	};
+	ol.inherits(ol.source.CutVectorTile, ol.source.CutVector);
+
+	/**
+	* Tile requested by ol.source.CutVectorTile: its request while loading (null after), and the features added from it.
+	* @typedef {{xhr: XMLHttpRequest, features: Array.<ol.Feature>}}
+	* @private
+	*/
+	ol.source.CutVectorTile.Tile_;
+
+	/**
+	* Cuts the feature in topology mode, sharing the cut edges with features of other tiles.
+	* @param {ol.Feature} feature
+	* @private
+	*/
+	ol.source.CutVectorTile.prototype.cutFeature_ = function (feature) {
+		ol.cut.setTopology(this.edges_);
+		try {
+			ol.source.CutVector.prototype.cutFeature_.call(this, feature);
+		} catch (err) {
+			ol.cut.setTopology(false);
+			throw err;
+		}
+		ol.cut.setTopology(false);
+	};
+
+	/**
+	* Cuts all features again from their original geometries.
+	* @api
+	*/
+	ol.source.CutVectorTile.prototype.recut = function () {
+		this.edges_ = {};
+		ol.source.CutVector.prototype.recut.call(this);
+	};
+
+	/**
+	* Follows the view projection of map as ol.source.CutVector does, and loads the tiles covering the view after each move.
+	* @param {ol.Map} map
+	* @api
+	*/
+	ol.source.CutVectorTile.prototype.setMap = function (map) {
+		ol.source.CutVector.prototype.setMap.call(this, map);
+		if (map) {
+			this.mapKeys_.push(map.on('moveend', function () {
+				var view = map.getView();
+				var size = map.getSize();
+				if (view && size && view.getResolution() !== undefined) {
+					this.loadTiles_(view.calculateExtent(size), view.getResolution());
+				}
+			}, this));
+		}
+	};
+
+	/**
+	* Loads the tiles covering extent, sampling it every 16 pixels. Other tiles and features of other zoom levels are removed.
+	* @param {ol.Extent} extent Extent in the destination projection.
+	* @param {number} resolution Resolution of the view.
+	* @private
+	*/
+	ol.source.CutVectorTile.prototype.loadTiles_ = function (extent, resolution) {
+		var tileGrid = this.tileGrid_;
+		var projection = this.getCutProjection();
+		var z = tileGrid.getZForResolution(resolution * projection.getMetersPerUnit() / this.tileProjection_.getMetersPerUnit());
+		z = Math.max(tileGrid.getMinZoom(), Math.min(this.maxZoom_, z));
+		if (z != this.tileZ_) {
+			for (var key in this.tiles_) {
+				this.dropTile_(key);
+			}
+			this.tileZ_ = z;
+			this.edges_ = {};
+			this.clear();
+		}
+		var covered = {};
+		var toLonLat = ol.proj.getTransform(projection, 'EPSG:4326');
+		var toTile = ol.proj.getTransform('EPSG:4326', this.tileProjection_);
+		var gridExtent = this.tileProjection_.getExtent();
+		var step = 16 * resolution;
+		for (var x = extent[0]; x < extent[2] + step; x += step) {
+			for (var y = extent[1]; y < extent[3] + step; y += step) {
+				var point = toTile(toLonLat([Math.min(x, extent[2]), Math.min(y, extent[3])]));
+				if (!isFinite(point[0]) || !isFinite(point[1]) || (gridExtent && !ol.extent.containsCoordinate(gridExtent, point))) {
+					continue;
+				}
+				var tileCoord = tileGrid.getTileCoordForCoordAndZ(point, z);
+				covered[tileCoord.join('/')] = true;
+				if (!(tileCoord.join('/') in this.tiles_)) {
+					this.loadTile_(tileCoord);
+				}
+			}
+		}
+		var dropped = false;
+		for (var key in this.tiles_) {
+			if (!covered[key]) {
+				this.dropTile_(key);
+				dropped = true;
+			}
+		}
+		// Edges are computed the same way again, so only the edges of features left are needed
+		if (dropped) {
+			this.edges_ = {};
+		}
+	};
+
+	/**
+	* Stops loading a tile, and removes its features.
+	* @param {string} key Tile coordinate joined by '/'.
+	* @private
+	*/
+	ol.source.CutVectorTile.prototype.dropTile_ = function (key) {
+		var tile = this.tiles_[key];
+		delete this.tiles_[key];
+		if (tile.xhr) {
+			tile.xhr.abort();
+		}
+		for (var i = 0; i < tile.features.length; i++) {
+			this.removeFeature(tile.features[i]);
+		}
+	};
+
+	/**
+	* Loads a tile, and adds its features. If it fails, the tile is forgotten, and a tileloaderror event is fired.
+	* @param {ol.TileCoord} tileCoord
+	* @private
+	*/
+	ol.source.CutVectorTile.prototype.loadTile_ = function (tileCoord) {
+		var source = this;
+		var key = tileCoord.join('/');
+		var url = typeof this.tileUrl_ === 'function' ? this.tileUrl_(tileCoord) : this.tileUrl_
+			.replace('{z}', String(tileCoord[0]))
+			.replace('{x}', String(tileCoord[1]))
+			.replace('{y}', String(-tileCoord[2] - 1));
+		var xhr = new XMLHttpRequest();
+		var tile = {xhr: xhr, features: []};
+		this.tiles_[key] = tile;
+		var fail = function () {
+			tile.xhr = null;
+			if (source.tiles_[key] === tile) {
+				delete source.tiles_[key];
+				source.dispatchEvent({type: 'tileloaderror', tileCoord: tileCoord});
+			}
+		};
+		xhr.open('GET', url, true);
+		xhr.responseType = 'arraybuffer';
+		xhr.onload = function () {
+			// Tiles dropped since are ignored
+			if (xhr.status < 200 || xhr.status >= 300 || source.tiles_[key] !== tile) {
+				fail();
+				return;
+			}
+			try {
+				tile.features = source.readTile_(tileCoord, xhr.response);
+			} catch (err) {
+				fail();
+				return;
+			}
+			tile.xhr = null;
+			source.addFeatures(tile.features);
+		};
+		xhr.onerror = fail;
+		xhr.send();
+	};
+
+	/**
+	* Reads the features of a tile, clips them to the tile and transforms them to EPSG:4326.
+	* Features left empty are dropped.
+	* @param {ol.TileCoord} tileCoord
+	* @param {ArrayBuffer} data
+	* @return {Array.<ol.Feature>}
+	* @private
+	*/
+	ol.source.CutVectorTile.prototype.readTile_ = function (tileCoord, data) {
+		var z = tileCoord[0];
+		var size = this.tileGrid_.getTileSize(z);
+		size = typeof size === 'number' ? [size * this.tilePixelRatio_, size * this.tilePixelRatio_] :
+			[size[0] * this.tilePixelRatio_, size[1] * this.tilePixelRatio_];
+		// Pixels are counted from the origin of the tile grid (downwards), so vertices on tile borders are the same in both tiles
+		var left = tileCoord[1] * size[0];
+		var top = -(tileCoord[2] + 1) * size[1];
+		var box = [left, top, left + size[0], top + size[1]];
+		var origin = this.tileGrid_.getOrigin(z);
+		var resolution = this.tileGrid_.getResolution(z) / this.tilePixelRatio_;
+		var toLonLat = ol.proj.getTransform(this.tileProjection_, 'EPSG:4326');
+		var step = size[0] / 16;
+		var transform = function (coords) {
+			if (typeof coords[0] === 'number') {
+				return toLonLat([origin[0] + coords[0] * resolution, origin[1] - coords[1] * resolution]);
+			}
+			return coords.map(transform);
+		};
+		var features = this.format_.readFeatures(data);
+		var out = [];
+		for (var i = 0; i < features.length; i++) {
+			var geom = features[i].getGeometry();
+			var clipped = geom ? ol.source.CutVectorTile.clip_(geom.getType(), geom.getCoordinates(), left, top, box) : null;
+			if (clipped) {
+				var coordinates = clipped.type.indexOf('Point') < 0 ? ol.cut.subdividePlanar(clipped.coordinates, step) :
+					clipped.coordinates;
+				features[i].setGeometry(new ol.geom[clipped.type](transform(coordinates)));
+				features[i].setId(undefined);
+				out.push(features[i]);
+			}
+		}
+		return out;
+	};
+
+	/**
+	* Moves tile pixel coordinates by left and top, and clips them to box. Rings of MVT polygons having the winding
+	* of the first ring start new polygons.
+	* @param {string} type Geometry type.
+	* @param {Array} coordinates
+	* @param {number} left
+	* @param {number} top
+	* @param {ol.Extent} box
+	* @return {{type: string, coordinates: Array}|null} Null if nothing is left.
+	* @private
+	*/
+	ol.source.CutVectorTile.clip_ = function (type, coordinates, left, top, box) {
+		var move = function (coords) {
+			if (typeof coords[0] === 'number') {
+				return [coords[0] + left, coords[1] + top];
+			}
+			return coords.map(move);
+		};
+		var area = function (ring) {
+			var sum = 0;
+			for (var i = 1; i < ring.length; i++) {
+				sum += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+			}
+			return sum;
+		};
+		var i, out = [];
+		coordinates = move(type == 'Point' || type == 'LineString' || type == 'Polygon' ? [coordinates] : coordinates);
+		if (type == 'Point' || type == 'MultiPoint') {
+			for (i = 0; i < coordinates.length; i++) {
+				var point = coordinates[i];
+				// Points on a border belong to one tile only
+				if (point[0] >= box[0] && point[1] >= box[1] && point[0] < box[2] && point[1] < box[3]) {
+					out.push(point);
+				}
+			}
+			return out.length ? {type: type == 'Point' && out.length == 1 ? 'Point' : 'MultiPoint',
+				coordinates: type == 'Point' ? out[0] : out} : null;
+		} else if (type == 'LineString' || type == 'MultiLineString') {
+			for (i = 0; i < coordinates.length; i++) {
+				out = out.concat(ol.cut.clipLineString(coordinates[i], box));
+			}
+			return out.length ? {type: out.length == 1 && type == 'LineString' ? 'LineString' : 'MultiLineString',
+				coordinates: type == 'LineString' && out.length == 1 ? out[0] : out} : null;
+		}
+		var polygons = type == 'Polygon' ? [] : coordinates;
+		if (type == 'Polygon') {
+			var sign = coordinates[0].length ? area(coordinates[0][0]) > 0 : true;
+			for (i = 0; i < coordinates[0].length; i++) {
+				if (!polygons.length || (area(coordinates[0][i]) > 0) == sign) {
+					polygons.push([]);
+				}
+				polygons[polygons.length - 1].push(coordinates[0][i]);
+			}
+		}
+		for (i = 0; i < polygons.length; i++) {
+			var rings = [];
+			for (var j = 0; j < polygons[i].length; j++) {
+				var ring = ol.cut.clipRing(polygons[i][j], box);
+				if (ring) {
+					rings.push(ring);
+				} else if (j == 0) {
+					break;
+				}
+			}
+			if (rings.length) {
+				out.push(rings);
+			}
+		}
+		return out.length ? {type: out.length == 1 ? 'Polygon' : 'MultiPolygon', coordinates: out.length == 1 ? out[0] : out} : null;
+	};
+
+	/**
+	* Joins pieces cut by cutLines. Geometries of other types are returned unchanged.
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e Distance from cut line used while cutting (degrees)
+	* @return {ol.geom.Geometry}
+	*/
+	ol.geom.Geometry.prototype.stitch = function () {return this;};
+
+	/**
+	* Joins pieces cut by cutLines. Modifies geometry in place.
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e Distance from cut line used while cutting (degrees)
+	*/
+	ol.geom.MultiLineString.prototype.stitch = function (cutLines, e) {
+		var out = ol.cut.stitchLineStrings(this.getCoordinates(), cutLines, e);
+		if (out.length == 1) {
+			return new ol.geom.LineString(out[0]);
+		} else {
+			this.setCoordinates(out);
+			return this;
+		}
+	};
+
+	/**
+	* Joins pieces cut by cutLines. Modifies geometry in place.
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e Distance from cut line used while cutting (degrees)
+	*/
+	ol.geom.Polygon.prototype.stitch = function (cutLines, e) {
+		var out = ol.cut.stitchPolygons([this.getCoordinates()], cutLines, e);
+		if (out.length == 1) {
+			this.setCoordinates(out[0]);
+			return this;
+		} else {
+			return new ol.geom.MultiPolygon(out);
+		}
+	};
+
+	/**
+	* Joins pieces cut by cutLines. Modifies geometry in place.
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e Distance from cut line used while cutting (degrees)
+	*/
+	ol.geom.MultiPolygon.prototype.stitch = function (cutLines, e) {
+		var out = ol.cut.stitchPolygons(this.getCoordinates(), cutLines, e);
+		if (out.length == 1) {
+			return new ol.geom.Polygon(out[0]);
+		} else {
+			this.setCoordinates(out);
+			return this;
+		}
+	};
+
+	/**
+	* Joins pieces cut by cutLines in every member geometry. Modifies geometry in place.
+	* @param {Array.<ol.cut.CutLine>} cutLines
+	* @param {number} e Distance from cut line used while cutting (degrees)
+	*/
+	ol.geom.GeometryCollection.prototype.stitch = function (cutLines, e) {
+		var inp = this.getGeometries();
+		var out = [];
+		for (var i = 0; i < inp.length; i++) {
+			out.push(inp[i].stitch(cutLines, e));
+		}
+		this.setGeometries(out);
+		return this;
+	};
+
+	/**
+	* Vector source of the outline of the projected sphere, metagraticule and graticule lines.
+	* Lines are cut like features of readCutFeatures, so they fit to them.
+	* The type property of features is 'outline', 'metagraticule' or 'graticule'.
+	* @constructor
+	* @extends {ol.source.Vector}
+	* @param {Object=} opt_options Options:
+	* projection, metaName, azimuthal, cutLines: as in ol.source.CutVector,
+	* metagraticule: interval of metagraticule lines in degrees (default 30, 0 for none),
+	* graticule: interval of graticule lines in degrees (default 0, none).
+	* @api
+	*/
+	ol.source.CutGraticule = function (opt_options) {
+		var options = opt_options || {};
+		this.metagraticule_ = typeof options.metagraticule === 'undefined' ? 30 : options.metagraticule;
+		this.graticule_ = options.graticule || 0;
+		this.mapKeys_ = [];
+		this.poleKey_ = null;
+		ol.source.Vector.call(this, {
+			attributions: options.attributions,
+			logo: options.logo,
+			wrapX: options.wrapX
+		});
+		this.setCutProjection(options.projection || 'EPSG:4326', options.metaName, options.azimuthal, options.cutLines);
+	};
+	ol.inherits(ol.source.CutGraticule, ol.source.Vector);
+
+	/**
+	* Sets destination projection and builds features again.
+	* @param {ol.proj.ProjectionLike} projection Destination projection.
+	* @param {ol.proj.ProjectionLike|undefined} opt_metaName See ol.source.CutVector.
+	* @param {boolean|undefined} opt_azimuthal See ol.source.CutVector.
+	* @param {Array.<ol.cut.CutLine>|undefined} opt_cutLines See ol.source.CutVector.
+	* @api
+	*/
+	ol.source.CutGraticule.prototype.setCutProjection = function (projection, opt_metaName, opt_azimuthal, opt_cutLines) {
+		var e = 1e-6;
+		this.cutProjection_ = ol.proj.get(projection);
+		this.cutArgs_ = [opt_metaName, opt_azimuthal, opt_cutLines];
+		this.listenPole_();
+		var metaName = opt_metaName || ol.cut.getMetaName(this.cutProjection_) || 'EPSG:4326';
+		var interruption = ol.cut.getInterruption(this.cutProjection_) || {};
+		var azimuthal = typeof opt_azimuthal === 'undefined' ? !!interruption.azimuthal : opt_azimuthal;
+		var cutLines = opt_cutLines || interruption.cutLines || [];
+		var outline = ol.cut.outline(azimuthal, cutLines, e);
+		var features = [new ol.Feature({
+			geometry: new ol.geom[outline.type](outline.coordinates).transform(metaName, this.cutProjection_),
+			type: 'outline'
+		})];
+		var addLines = function (interval, type) {
+			for (var l = -180 + interval; l < 180; l += interval) {
+				var geom = new ol.geom.LineString(ol.cut.graticuleLine(-90, 90, 1, l));
+				if (type == 'metagraticule') {
+					geom = ol.cut.cutMetaGeometry(geom, metaName, this.cutProjection_, azimuthal, cutLines);
+				} else {
+					geom = ol.cut.cutGeometry(geom, metaName, this.cutProjection_, azimuthal, cutLines);
+				}
+				features.push(new ol.Feature({geometry: geom, type: type}));
+			}
+			for (var f = -90 + interval; f < 90; f += interval) {
+				var geom = new ol.geom.LineString(ol.cut.graticuleLine(-180, 180, 0, f));
+				if (type == 'metagraticule') {
+					geom = ol.cut.cutMetaGeometry(geom, metaName, this.cutProjection_, azimuthal, cutLines);
+				} else {
+					geom = ol.cut.cutGeometry(geom, metaName, this.cutProjection_, azimuthal, cutLines);
+				}
+				features.push(new ol.Feature({geometry: geom, type: type}));
+			}
+		};
+		if (this.metagraticule_) {
+			addLines.call(this, this.metagraticule_, 'metagraticule');
+		}
+		if (this.graticule_) {
+			addLines.call(this, this.graticule_, 'graticule');
+		}
+		this.clear(true);
+		this.addFeatures(features);
+	};
+
+	/**
+	* Returns the destination projection.
+	* @return {ol.proj.Projection}
+	* @function
+	* @api
+	*/
+	ol.source.CutGraticule.prototype.getCutProjection = ol.source.CutVector.prototype.getCutProjection;
+
+	/**
+	* Follows the view projection of map. See ol.source.CutVector.
+	* @param {ol.Map} map
+	* @function
+	* @api
+	*/
+	ol.source.CutGraticule.prototype.setMap = ol.source.CutVector.prototype.setMap;
+
+	/**
+	* Builds features again. Called when the metapole of the projection changes.
+	* @api
+	*/
+	ol.source.CutGraticule.prototype.recut = function () {
+		this.setCutProjection.apply(this, [this.cutProjection_].concat(this.cutArgs_));
+	};
+
+	/**
+	* @private
+	*/
+	ol.source.CutGraticule.prototype.listenPole_ = ol.source.CutVector.prototype.listenPole_;
+
+	/**
+	* Vector source of Tissot indicatrices: small circles on a graticule grid, cut like features of readCutFeatures.
+	* Their shape on the map shows the distortion of the projection. Features have the properties areal (areal scale)
+	* and angular (maximum angular deformation in degrees) of the projection at the center, see ol.cut.distortion.
+	* @constructor
+	* @extends {ol.source.Vector}
+	* @param {Object=} opt_options Options:
+	* projection, metaName, azimuthal, cutLines: as in ol.source.CutVector,
+	* interval: interval of the grid in degrees (default 30),
+	* radius: angular radius of the circles in degrees (default: interval / 6).
+	* @api
+	*/
+	ol.source.CutTissot = function (opt_options) {
+		var options = opt_options || {};
+		this.interval_ = options.interval || 30;
+		this.radius_ = options.radius || this.interval_ / 6;
+		this.mapKeys_ = [];
+		this.poleKey_ = null;
+		ol.source.Vector.call(this, {
+			attributions: options.attributions,
+			logo: options.logo,
+			wrapX: options.wrapX
+		});
+		this.setCutProjection(options.projection || 'EPSG:4326', options.metaName, options.azimuthal, options.cutLines);
+	};
+	ol.inherits(ol.source.CutTissot, ol.source.Vector);
+
+	/**
+	* Sets destination projection and builds features again.
+	* @param {ol.proj.ProjectionLike} projection Destination projection.
+	* @param {ol.proj.ProjectionLike|undefined} opt_metaName See ol.source.CutVector.
+	* @param {boolean|undefined} opt_azimuthal See ol.source.CutVector.
+	* @param {Array.<ol.cut.CutLine>|undefined} opt_cutLines See ol.source.CutVector.
+	* @api
+	*/
+	ol.source.CutTissot.prototype.setCutProjection = function (projection, opt_metaName, opt_azimuthal, opt_cutLines) {
+		this.cutProjection_ = ol.proj.get(projection);
+		this.cutArgs_ = [opt_metaName, opt_azimuthal, opt_cutLines];
+		this.listenPole_();
+		var metaName = opt_metaName || ol.cut.getMetaName(this.cutProjection_) || 'EPSG:4326';
+		var transform = ol.proj.getTransform('EPSG:4326', this.cutProjection_);
+		var radius = ol.cut.sphereRadius_(this.cutProjection_);
+		var features = [];
+		for (var f = -90 + this.interval_; f < 90; f += this.interval_) {
+			for (var l = -180; l < 180; l += this.interval_) {
+				var distortion = ol.cut.distortion(transform, [l, f], radius);
+				features.push(new ol.Feature({
+					geometry: ol.cut.cutGeometry(new ol.geom.Polygon([ol.cut.smallCircle([l, f], this.radius_)]), metaName,
+						this.cutProjection_, opt_azimuthal, opt_cutLines),
+					areal: distortion ? distortion.areal : undefined,
+					angular: distortion ? distortion.angular : undefined
+				}));
+			}
+		}
+		this.clear(true);
+		this.addFeatures(features);
+	};
+
+	/**
+	* Returns the destination projection.
+	* @return {ol.proj.Projection}
+	* @function
+	* @api
+	*/
+	ol.source.CutTissot.prototype.getCutProjection = ol.source.CutVector.prototype.getCutProjection;
+
+	/**
+	* Follows the view projection of map. See ol.source.CutVector.
+	* @param {ol.Map} map
+	* @function
+	* @api
+	*/
+	ol.source.CutTissot.prototype.setMap = ol.source.CutVector.prototype.setMap;
+
+	/**
+	* Builds features again. Called when the metapole of the projection changes.
+	* @function
+	* @api
+	*/
+	ol.source.CutTissot.prototype.recut = ol.source.CutGraticule.prototype.recut;
+
+	/**
+	* @private
+	*/
+	ol.source.CutTissot.prototype.listenPole_ = ol.source.CutVector.prototype.listenPole_;
+
+	/**
+	* Image source of the distortion of the view projection, computed from its registered transforms
+	* with ol.cut.distortion in cells of the map. Points not transformed back to themselves (eg. outside the outline)
+	* are left empty. Drawn again when the metapole of the projection changes.
+	* @constructor
+	* @extends {ol.source.ImageCanvas}
+	* @param {Object=} opt_options Options of ol.source.ImageCanvas except canvasFunction, and also:
+	* type: 'areal' (default) or 'angular'.
+	* cellSize: size of the cells in pixels (default 8).
+	* color: function returning the color (ol.Color) of an areal scale or an angular deformation (degrees).
+	* Default is a blue to red ramp of log2 areal scale from -2 to 2, or a white to purple ramp of angular deformation from 0 to 90.
+	* @api
+	*/
+	ol.source.CutDistortion = function (opt_options) {
+		var options = opt_options || {};
+		this.type_ = options.type || 'areal';
+		this.cellSize_ = options.cellSize || 8;
+		this.color_ = options.color || (this.type_ == 'angular' ? ol.source.CutDistortion.angularColor_ :
+			ol.source.CutDistortion.arealColor_);
+		this.poleProjection_ = null;
+		this.poleKey_ = null;
+		var imageOptions = {};
+		for (var key in options) {
+			if (['type', 'cellSize', 'color'].indexOf(key) == -1) {
+				imageOptions[key] = options[key];
+			}
+		}
+		imageOptions.canvasFunction = this.draw_.bind(this);
+		ol.source.ImageCanvas.call(this, imageOptions);
+	};
+	ol.inherits(ol.source.CutDistortion, ol.source.ImageCanvas);
+
+	/**
+	* Blue to white to red, by log2 of areal scale from -2 to 2.
+	* @param {number} areal
+	* @return {ol.Color}
+	* @private
+	*/
+	ol.source.CutDistortion.arealColor_ = function (areal) {
+		var t = Math.max(-1, Math.min(1, Math.log(areal) / Math.LN2 / 2));
+		var c = Math.round(255 * (1 - Math.abs(t)));
+		return t > 0 ? [255, c, c, 0.6] : [c, c, 255, 0.6];
+	};
+
+	/**
+	* White to purple, by angular deformation from 0 to 90 degrees.
+	* @param {number} angular
+	* @return {ol.Color}
+	* @private
+	*/
+	ol.source.CutDistortion.angularColor_ = function (angular) {
+		var t = Math.min(1, angular / 90);
+		return [Math.round(255 - 127 * t), Math.round(255 * (1 - t)), Math.round(255 - 127 * t), 0.6];
+	};
+
+	/**
+	* Canvas function of the source.
+	* @param {ol.Extent} extent
+	* @param {number} resolution
+	* @param {number} pixelRatio
+	* @param {ol.Size} size
+	* @param {ol.proj.Projection} projection
+	* @return {HTMLCanvasElement}
+	* @private
+	*/
+	ol.source.CutDistortion.prototype.draw_ = function (extent, resolution, pixelRatio, size, projection) {
+		if (projection !== this.poleProjection_) {
+			if (this.poleKey_) {
+				ol.Observable.unByKey(this.poleKey_);
+				this.poleKey_ = null;
+			}
+			this.poleProjection_ = projection;
+			if (projection instanceof ol.proj.RotatedProjection) {
+				this.poleKey_ = projection.on('change', this.changed, this);
+			}
+		}
+		var canvas = document.createElement('canvas');
+		canvas.width = Math.round(size[0]);
+		canvas.height = Math.round(size[1]);
+		var context = canvas.getContext('2d');
+		var toLonLat = ol.proj.getTransform(projection, 'EPSG:4326');
+		var fromLonLat = ol.proj.getTransform('EPSG:4326', projection);
+		var radius = ol.cut.sphereRadius_(projection);
+		var cell = this.cellSize_ * pixelRatio;
+		var step = resolution / pixelRatio;
+		for (var i = 0; i < canvas.width; i += cell) {
+			for (var j = 0; j < canvas.height; j += cell) {
+				var point = [extent[0] + (i + cell / 2) * step, extent[3] - (j + cell / 2) * step];
+				var lonLat = toLonLat(point);
+				if (!isFinite(lonLat[0]) || !isFinite(lonLat[1])) {
+					continue;
+				}
+				var back = fromLonLat(lonLat);
+				if (!(Math.abs(back[0] - point[0]) < step && Math.abs(back[1] - point[1]) < step)) {
+					continue;
+				}
+				var distortion = ol.cut.distortion(fromLonLat, lonLat, radius);
+				if (distortion) {
+					context.fillStyle = ol.color.asString(this.color_(this.type_ == 'angular' ? distortion.angular : distortion.areal));
+					context.fillRect(i, j, cell, cell);
+				}
+			}
+		}
+		return canvas;
+	};
+
+	/**
+	* Interaction rotating the globe by dragging. Changes the metapole of the view projection,
+	* if it was created with ol.proj.rotateProjection. The point grabbed follows the pointer.
+	* Sources following the projection (eg. ol.source.CutVector) cut their features again on each change.
+	* @constructor
+	* @extends {ol.interaction.Pointer}
+	* @param {Object=} opt_options Options: condition (ol.events.ConditionType), default ol.events.condition.always.
+	* @api
+	*/
+	ol.interaction.RotateGlobe = function (opt_options) {
+		var options = opt_options || {};
+		this.condition_ = options.condition || ol.events.condition.always;
+		this.lastMeta_ = null;
+		ol.interaction.Pointer.call(this, {
+			handleDownEvent: ol.interaction.RotateGlobe.handleDownEvent_,
+			handleDragEvent: ol.interaction.RotateGlobe.handleDragEvent_,
+			handleUpEvent: ol.interaction.RotateGlobe.handleUpEvent_
+		});
+	};
+	ol.inherits(ol.interaction.RotateGlobe, ol.interaction.Pointer);
+
+	/**
+	* Metagraticule coordinates of the pixel of the event, null if outside of the sphere.
+	* @param {ol.MapBrowserEvent} evt
+	* @return {ol.Coordinate|null}
+	* @private
+	*/
+	ol.interaction.RotateGlobe.toMeta_ = function (evt) {
+		var projection = evt.map.getView().getProjection();
+		var point = ol.proj.transform(evt.coordinate, projection, projection.getMetaName());
+		return isFinite(point[0]) && isFinite(point[1]) ? point : null;
+	};
+
+	/**
+	* @param {ol.MapBrowserPointerEvent} evt
+	* @return {boolean} Start drag sequence?
+	* @this {ol.interaction.RotateGlobe}
+	* @private
+	*/
+	ol.interaction.RotateGlobe.handleDownEvent_ = function (evt) {
+		if (!(evt.map.getView().getProjection() instanceof ol.proj.RotatedProjection) || !this.condition_(evt)) {
+			return false;
+		}
+		this.lastMeta_ = ol.interaction.RotateGlobe.toMeta_(evt);
+		return !!this.lastMeta_;
+	};
+
+	/**
+	* Rotates the metagraticule, so the point under the last pixel gets under the current one.
+	* @param {ol.MapBrowserPointerEvent} evt
+	* @this {ol.interaction.RotateGlobe}
+	* @private
+	*/
+	ol.interaction.RotateGlobe.handleDragEvent_ = function (evt) {
+		var meta = ol.interaction.RotateGlobe.toMeta_(evt);
+		if (!meta) {
+			return;
+		}
+		var projection = evt.map.getView().getProjection();
+		var pole = projection.getPole();
+		var u = ol.cut.toVector(this.lastMeta_);
+		var v = ol.cut.toVector(meta);
+		var k = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+		var sin = Math.sqrt(k[0] * k[0] + k[1] * k[1] + k[2] * k[2]);
+		if (sin < 1e-12) {
+			return;
+		}
+		k = [k[0] / sin, k[1] / sin, k[2] / sin];
+		var cos = u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+		// Rotates back around k (Rodrigues), then to geographic coordinates with the current pole
+		var back = function (x) {
+			var kx = [k[1] * x[2] - k[2] * x[1], k[2] * x[0] - k[0] * x[2], k[0] * x[1] - k[1] * x[0]];
+			var kdx = k[0] * x[0] + k[1] * x[1] + k[2] * x[2];
+			var r = [];
+			for (var i = 0; i < 3; i++) {
+				r[i] = x[i] * cos - kx[i] * sin + k[i] * kdx * (1 - cos);
+			}
+			var point = [Math.atan2(r[1], r[0]) * 180 / Math.PI, Math.asin(Math.max(-1, Math.min(1, r[2]))) * 180 / Math.PI];
+			return ol.cut.rotate(point, 180 - pole[2], pole[1], 180 - pole[0]);
+		};
+		var newPole = back([0, 0, 1]);
+		var lm = ol.cut.rotate(back([1, 0, 0]), newPole[0], newPole[1], 0)[0];
+		projection.setPole(newPole[0], newPole[1], lm);
+		this.lastMeta_ = meta;
+	};
+
+	/**
+	* @param {ol.MapBrowserPointerEvent} evt
+	* @return {boolean} Continue drag sequence?
+	* @this {ol.interaction.RotateGlobe}
+	* @private
+	*/
+	ol.interaction.RotateGlobe.handleUpEvent_ = function (evt) {
+		this.lastMeta_ = null;
+		return false;
+	};
+
+	/**
+	* Geographic coordinates of the pixel of the event, null if outside of the sphere.
+	* @param {ol.MapBrowserEvent} evt
+	* @param {ol.proj.Projection} projection Projection of the map.
+	* @return {ol.Coordinate|null}
+	* @private
+	*/
+	ol.cut.toLonLat_ = function (evt, projection) {
+		return ol.cut.toLonLat(evt.coordinate, projection);
+	};
+
+	/**
+	* Inverse transform aware of interruptions. Transforms coordinate with the registered inverse transform,
+	* then checks the result with ol.cut.inLobe against the forward transform and the cut lines of the projection.
+	* The registered transforms are not changed, as OpenLayers needs coordinates for every point (eg. for extents).
+	* @param {ol.Coordinate} coordinate Coordinate in projection.
+	* @param {ol.proj.ProjectionLike} projection
+	* @param {Array.<ol.cut.CutLine>=} opt_cutLines Default: registered for the projection with ol.cut.registerInterruption.
+	* @return {ol.Coordinate|null} Longitude and latitude, null outside of the outline and in the gaps of interruptions.
+	* @api
+	*/
+	ol.cut.toLonLat = function (coordinate, projection, opt_cutLines) {
+		projection = ol.proj.get(projection);
+		var metaName = ol.cut.getMetaName(projection);
+		var interruption = ol.cut.getInterruption(projection) || {};
+		var lonLat = ol.proj.transform(coordinate, projection, 'EPSG:4326');
+		return ol.cut.inLobe(coordinate, lonLat, ol.proj.getTransform('EPSG:4326', projection),
+			metaName ? ol.cut.getMetaPole(metaName) : null, opt_cutLines || interruption.cutLines || [],
+			1e-6 * ol.cut.sphereRadius_(projection)) ? lonLat : null;
+	};
+
+	/**
+	* Pixel of a point given in EPSG:4326.
+	* @param {ol.Map} map
+	* @param {ol.Coordinate} point
+	* @param {ol.proj.Projection} projection Projection of the map.
+	* @return {ol.Pixel}
+	* @private
+	*/
+	ol.cut.toPixel_ = function (map, point, projection) {
+		return map.getPixelFromCoordinate(ol.proj.transform(point, 'EPSG:4326', projection));
+	};
+
+	/**
+	* Control showing the coordinates of the mouse pointer, like ol.control.MousePosition, but transformed with
+	* ol.cut.toLonLat: outside the outline and in the gaps of interruptions undefinedHTML is shown.
+	* @constructor
+	* @extends {ol.control.Control}
+	* @param {Object=} opt_options Options: className (default 'ol-mouse-position'), target,
+	* coordinateFormat (ol.CoordinateFormatType, default: numbers joined by comma),
+	* projection (ol.proj.ProjectionLike of the coordinates shown, default EPSG:4326),
+	* cutLines (default: registered for the view projection with ol.cut.registerInterruption),
+	* undefinedHTML (shown when the pointer is not on the map, default empty).
+	* @api
+	*/
+	ol.control.CutMousePosition = function (opt_options) {
+		var options = opt_options || {};
+		this.element_ = document.createElement('div');
+		this.element_.className = typeof options.className === 'undefined' ? 'ol-mouse-position' : options.className;
+		ol.control.Control.call(this, {
+			element: this.element_,
+			target: options.target
+		});
+		this.coordinateFormat_ = options.coordinateFormat;
+		this.projection_ = ol.proj.get(options.projection || 'EPSG:4326');
+		this.cutLines_ = options.cutLines;
+		this.undefinedHTML_ = typeof options.undefinedHTML === 'undefined' ? '' : options.undefinedHTML;
+		this.viewport_ = null;
+		this.onMove_ = this.handleMouseMove_.bind(this);
+		this.onOut_ = this.handleMouseOut_.bind(this);
+	};
+	ol.inherits(ol.control.CutMousePosition, ol.control.Control);
+
+	/**
+	* @param {ol.Map} map
+	* @api
+	*/
+	ol.control.CutMousePosition.prototype.setMap = function (map) {
+		if (this.viewport_) {
+			this.viewport_.removeEventListener('mousemove', this.onMove_);
+			this.viewport_.removeEventListener('mouseout', this.onOut_);
+			this.viewport_ = null;
+		}
+		ol.control.Control.prototype.setMap.call(this, map);
+		if (map) {
+			this.viewport_ = map.getViewport();
+			this.viewport_.addEventListener('mousemove', this.onMove_);
+			this.viewport_.addEventListener('mouseout', this.onOut_);
+		}
+	};
+
+	/**
+	* @param {Event} evt
+	* @private
+	*/
+	ol.control.CutMousePosition.prototype.handleMouseMove_ = function (evt) {
+		var map = this.getMap();
+		var view = map.getView();
+		var lonLat = view ? ol.cut.toLonLat(map.getCoordinateFromPixel(map.getEventPixel(evt)), view.getProjection(),
+			this.cutLines_) : null;
+		if (!lonLat) {
+			this.element_.innerHTML = this.undefinedHTML_;
+			return;
+		}
+		var coordinate = ol.proj.transform(lonLat, 'EPSG:4326', this.projection_);
+		this.element_.innerHTML = this.coordinateFormat_ ? this.coordinateFormat_(coordinate) : coordinate.toString();
+	};
+
+	/**
+	* @private
+	*/
+	ol.control.CutMousePosition.prototype.handleMouseOut_ = function () {
+		this.element_.innerHTML = this.undefinedHTML_;
+	};
+
+	/**
+	* Draws features into an ol.source.CutVector. Vertices are stored in EPSG:4326, edges between them are
+	* great circle arcs, so the sketch may jump across the antimeridian or any interruption. The sketch is cut
+	* after each change like the features of the source, finished features are added with addFeature().
+	* Fires drawstart and drawend events with the feature.
+	* @constructor
+	* @extends {ol.interaction.Interaction}
+	* @param {Object} options Options: source (ol.source.CutVector), type ('Point', 'LineString' or 'Polygon'),
+	* condition (ol.events.ConditionType, default ol.events.condition.noModifierKeys),
+	* snapTolerance (pixels to the first or last vertex to finish drawing, default 12),
+	* style (ol.style.Style|Array.<ol.style.Style>|ol.StyleFunction of the sketch, default the default style of ol.layer.Vector).
+	* @api
+	*/
+	ol.interaction.CutDraw = function (options) {
+		this.source_ = options.source;
+		this.type_ = options.type;
+		this.condition_ = options.condition || ol.events.condition.noModifierKeys;
+		this.snapTolerance_ = typeof options.snapTolerance === 'undefined' ? 12 : options.snapTolerance;
+		this.coordinates_ = null;
+		this.feature_ = null;
+		this.overlay_ = new ol.layer.Vector({
+			source: new ol.source.Vector({wrapX: false}),
+			style: options.style,
+			updateWhileAnimating: true,
+			updateWhileInteracting: true
+		});
+		ol.interaction.Interaction.call(this, {handleEvent: ol.interaction.CutDraw.handleEvent_});
+		this.on('change:active', function () {
+			if (!this.getActive()) {
+				this.abortDrawing();
+			}
+		}, this);
+	};
+	ol.inherits(ol.interaction.CutDraw, ol.interaction.Interaction);
+
+	/**
+	* Adds a vertex on click, finishes drawing when the first or the last vertex is clicked,
+	* redraws the sketch on pointer move. Double clicks do not zoom while drawing.
+	* @param {ol.MapBrowserEvent} evt
+	* @return {boolean} Propagate event?
+	* @this {ol.interaction.CutDraw}
+	* @private
+	*/
+	ol.interaction.CutDraw.handleEvent_ = function (evt) {
+		var projection = this.source_.getCutProjection();
+		if (evt.type == 'pointermove') {
+			this.updateSketch_(evt.map, ol.cut.toLonLat_(evt, projection));
+		} else if (evt.type == 'click' && this.condition_(evt)) {
+			var point = ol.cut.toLonLat_(evt, projection);
+			if (!point) {
+				return true;
+			}
+			var coords = this.coordinates_;
+			if (!coords) {
+				coords = this.coordinates_ = [];
+				this.feature_ = new ol.Feature();
+				this.dispatchEvent({type: 'drawstart', feature: this.feature_});
+			}
+			var snap = coords.length && this.type_ == 'Polygon' ? coords[0] : coords[coords.length - 1];
+			var min = this.type_ == 'Polygon' ? 3 : 2;
+			if (coords.length >= min && this.distance_(evt, snap, projection) <= this.snapTolerance_) {
+				this.finishDrawing();
+				return false;
+			}
+			coords.push(point);
+			if (this.type_ == 'Point') {
+				this.finishDrawing();
+			} else {
+				this.updateSketch_(evt.map, point);
+			}
+			return false;
+		} else if (evt.type == 'dblclick') {
+			return false;
+		}
+		return true;
+	};
+
+	/**
+	* Distance of the pixel of the event to a point given in EPSG:4326.
+	* @param {ol.MapBrowserEvent} evt
+	* @param {ol.Coordinate} point
+	* @param {ol.proj.Projection} projection
+	* @return {number} Pixels.
+	* @private
+	*/
+	ol.interaction.CutDraw.prototype.distance_ = function (evt, point, projection) {
+		var pixel = ol.cut.toPixel_(evt.map, point, projection);
+		return Math.sqrt(Math.pow(pixel[0] - evt.pixel[0], 2) + Math.pow(pixel[1] - evt.pixel[1], 2));
+	};
+
+	/**
+	* Geometry of the vertices given in EPSG:4326.
+	* @param {Array.<ol.Coordinate>} coords
+	* @return {ol.geom.Geometry}
+	* @private
+	*/
+	ol.interaction.CutDraw.prototype.createGeometry_ = function (coords) {
+		if (this.type_ == 'Point') {
+			return new ol.geom.Point(coords[0]);
+		}
+		if (this.type_ == 'Polygon' && coords.length > 2) {
+			return new ol.geom.Polygon([coords.concat([coords[0]])]);
+		}
+		return new ol.geom.LineString(coords);
+	};
+
+	/**
+	* Cuts the sketch again with the pointer at point.
+	* @param {ol.Map} map
+	* @param {ol.Coordinate|null} point Pointer in EPSG:4326.
+	* @private
+	*/
+	ol.interaction.CutDraw.prototype.updateSketch_ = function (map, point) {
+		var source = this.overlay_.getSource();
+		source.clear(true);
+		var coords = this.coordinates_ ? this.coordinates_.slice() : [];
+		if (point) {
+			coords.push(point);
+			source.addFeature(new ol.Feature(new ol.geom.Point(ol.proj.transform(point, 'EPSG:4326', this.source_.getCutProjection()))));
+		}
+		if (coords.length > 1) {
+			try {
+				source.addFeature(new ol.Feature(this.source_.cutGeometry_(this.createGeometry_(coords))));
+			} catch (err) {
+				if (!(err instanceof ol.cut.CutError)) {
+					throw err;
+				}
+			}
+		}
+	};
+
+	/**
+	* Finishes drawing and adds the feature to the source, if it has enough vertices.
+	* @api
+	*/
+	ol.interaction.CutDraw.prototype.finishDrawing = function () {
+		var coords = this.coordinates_;
+		var feature = this.feature_;
+		this.abortDrawing();
+		if (coords && coords.length >= {Point: 1, LineString: 2, Polygon: 3}[this.type_]) {
+			feature.setGeometry(this.createGeometry_(coords));
+			this.source_.addFeature(feature);
+			this.dispatchEvent({type: 'drawend', feature: feature});
+		}
+	};
+
+	/**
+	* Stops drawing without adding the feature.
+	* @api
+	*/
+	ol.interaction.CutDraw.prototype.abortDrawing = function () {
+		this.coordinates_ = null;
+		this.feature_ = null;
+		this.overlay_.getSource().clear(true);
+	};
+
+	/**
+	* @param {ol.Map} map
+	* @api
+	*/
+	ol.interaction.CutDraw.prototype.setMap = function (map) {
+		ol.interaction.Interaction.prototype.setMap.call(this, map);
+		this.overlay_.setMap(map);
+	};
+
+	/**
+	* Modifies features of an ol.source.CutVector. Vertices of the original EPSG:4326 geometries are dragged,
+	* so they may be moved across the antimeridian or any interruption; dragging the midpoint of an edge
+	* (on its great circle) inserts a vertex. Features are cut again after each change by recutFeature of the source.
+	* Fires modifystart and modifyend events with the feature.
+	* @constructor
+	* @extends {ol.interaction.Pointer}
+	* @param {Object} options Options: source (ol.source.CutVector),
+	* pixelTolerance (pixels to a vertex to grab it, default 10),
+	* deleteCondition (ol.events.ConditionType of removing the vertex clicked, default ol.events.condition.altKeyOnly),
+	* style (of the vertex handle, as in ol.interaction.CutDraw).
+	* @api
+	*/
+	ol.interaction.CutModify = function (options) {
+		this.source_ = options.source;
+		this.pixelTolerance_ = typeof options.pixelTolerance === 'undefined' ? 10 : options.pixelTolerance;
+		this.deleteCondition_ = options.deleteCondition || ol.events.condition.altKeyOnly;
+		this.vertex_ = null;
+		this.overlay_ = new ol.layer.Vector({
+			source: new ol.source.Vector({wrapX: false}),
+			style: options.style,
+			updateWhileAnimating: true,
+			updateWhileInteracting: true
+		});
+		ol.interaction.Pointer.call(this, {
+			handleDownEvent: ol.interaction.CutModify.handleDownEvent_,
+			handleDragEvent: ol.interaction.CutModify.handleDragEvent_,
+			handleMoveEvent: ol.interaction.CutModify.handleMoveEvent_,
+			handleUpEvent: ol.interaction.CutModify.handleUpEvent_
+		});
+	};
+	ol.inherits(ol.interaction.CutModify, ol.interaction.Pointer);
+
+	/**
+	* Vertex of a feature in the source, or midpoint of an edge.
+	* feature: the feature, coordinates: coordinates of its original geometry, path: the array of vertices
+	* (a line string, ring or multipoint), index: index of the vertex in path (of the first one for midpoints),
+	* closed: whether path is a ring, midpoint: whether it is a midpoint, point: its EPSG:4326 coordinates.
+	* @typedef {{feature: ol.Feature, coordinates: Array, path: Array.<ol.Coordinate>, index: number, closed: boolean,
+	*	midpoint: boolean, point: ol.Coordinate}}
+	* @private
+	*/
+	ol.interaction.CutModify.Vertex_;
+
+	/**
+	* Arrays of vertices of coordinates.
+	* @param {string} type Geometry type.
+	* @param {Array} coords Coordinates.
+	* @return {Array.<Array.<ol.Coordinate>>}
+	* @private
+	*/
+	ol.interaction.CutModify.paths_ = function (type, coords) {
+		var depth = ol.cut.depths_[type];
+		var out = depth ? [coords] : [[coords]];
+		for (var i = 1; i < depth; i++) {
+			out = [].concat.apply([], out);
+		}
+		return out;
+	};
+
+	/**
+	* Finds the nearest vertex or midpoint within pixelTolerance.
+	* @param {ol.MapBrowserEvent} evt
+	* @return {ol.interaction.CutModify.Vertex_|null}
+	* @private
+	*/
+	ol.interaction.CutModify.prototype.findVertex_ = function (evt) {
+		var projection = this.source_.getCutProjection();
+		var tolerance = this.pixelTolerance_ * evt.map.getView().getResolution();
+		var extent = [evt.coordinate[0] - tolerance, evt.coordinate[1] - tolerance,
+			evt.coordinate[0] + tolerance, evt.coordinate[1] + tolerance];
+		var features = this.source_.getFeaturesInExtent(extent);
+		var best = null;
+		var min = this.pixelTolerance_;
+		var test = function (vertex) {
+			var pixel = ol.cut.toPixel_(evt.map, vertex.point, projection);
+			var distance = Math.sqrt(Math.pow(pixel[0] - evt.pixel[0], 2) + Math.pow(pixel[1] - evt.pixel[1], 2));
+			if (distance <= min) {
+				min = distance;
+				best = vertex;
+			}
+		};
+		for (var i = 0; i < features.length; i++) {
+			var geom = ol.cut.getOriginalGeometry(features[i]);
+			var type = geom ? geom.getType() : null;
+			if (!(type in ol.cut.depths_)) {
+				continue;
+			}
+			var coords = geom.getCoordinates();
+			var paths = ol.interaction.CutModify.paths_(type, coords);
+			var closed = type == 'Polygon' || type == 'MultiPolygon';
+			var line = closed || type == 'LineString' || type == 'MultiLineString';
+			for (var j = 0; j < paths.length; j++) {
+				var path = paths[j];
+				for (var k = 0; k < path.length; k++) {
+					var vertex = {feature: features[i], coordinates: coords, path: path, index: k, closed: closed};
+					vertex.midpoint = false;
+					vertex.point = path[k];
+					test(vertex);
+					if (line && k < path.length - 1) {
+						var va = ol.cut.toVector(path[k]);
+						var vb = ol.cut.toVector(path[k + 1]);
+						var vm = [va[0] + vb[0], va[1] + vb[1], va[2] + vb[2]];
+						var length = Math.sqrt(vm[0] * vm[0] + vm[1] * vm[1] + vm[2] * vm[2]);
+						if (length > 1e-9) {
+							vertex = {feature: features[i], coordinates: coords, path: path, index: k, closed: closed};
+							vertex.midpoint = true;
+							vertex.point = [Math.atan2(vm[1], vm[0]) * 180 / Math.PI, Math.asin(vm[2] / length) * 180 / Math.PI];
+							test(vertex);
+						}
+					}
+				}
+			}
+		}
+		return best;
+	};
+
+	/**
+	* Writes the coordinates of vertex back to the original geometry, and cuts the feature again.
+	* @param {ol.interaction.CutModify.Vertex_} vertex
+	* @private
+	*/
+	ol.interaction.CutModify.prototype.update_ = function (vertex) {
+		var geom = ol.cut.getOriginalGeometry(vertex.feature);
+		geom.setCoordinates(geom.getType() == 'Point' ? vertex.path[0] : vertex.coordinates);
+		this.source_.recutFeature(vertex.feature);
+	};
+
+	/**
+	* Shows the vertex handle under the pointer.
+	* @param {ol.MapBrowserEvent} evt
+	* @this {ol.interaction.CutModify}
+	* @private
+	*/
+	ol.interaction.CutModify.handleMoveEvent_ = function (evt) {
+		var source = this.overlay_.getSource();
+		source.clear(true);
+		var vertex = this.findVertex_(evt);
+		if (vertex) {
+			source.addFeature(new ol.Feature(new ol.geom.Point(
+				ol.proj.transform(vertex.point, 'EPSG:4326', this.source_.getCutProjection()))));
+		}
+	};
+
+	/**
+	* Grabs the nearest vertex (inserting it at a midpoint), or removes it if deleteCondition is met.
+	* @param {ol.MapBrowserPointerEvent} evt
+	* @return {boolean} Start drag sequence?
+	* @this {ol.interaction.CutModify}
+	* @private
+	*/
+	ol.interaction.CutModify.handleDownEvent_ = function (evt) {
+		var vertex = this.findVertex_(evt);
+		if (!vertex) {
+			return false;
+		}
+		var path = vertex.path;
+		if (this.deleteCondition_(evt)) {
+			if (!vertex.midpoint && path.length > (vertex.closed ? 4 : 2)) {
+				this.dispatchEvent({type: 'modifystart', feature: vertex.feature});
+				path.splice(vertex.index, 1);
+				if (vertex.closed && vertex.index == 0) {
+					path[path.length - 1] = path[0];
+				}
+				this.update_(vertex);
+				this.overlay_.getSource().clear(true);
+				this.dispatchEvent({type: 'modifyend', feature: vertex.feature});
+			}
+			return false;
+		}
+		this.dispatchEvent({type: 'modifystart', feature: vertex.feature});
+		if (vertex.midpoint) {
+			vertex.index++;
+			path.splice(vertex.index, 0, vertex.point);
+			vertex.midpoint = false;
+			this.update_(vertex);
+		}
+		this.vertex_ = vertex;
+		return true;
+	};
+
+	/**
+	* Moves the grabbed vertex under the pointer, and cuts the feature again.
+	* @param {ol.MapBrowserPointerEvent} evt
+	* @this {ol.interaction.CutModify}
+	* @private
+	*/
+	ol.interaction.CutModify.handleDragEvent_ = function (evt) {
+		var vertex = this.vertex_;
+		var point = ol.cut.toLonLat_(evt, this.source_.getCutProjection());
+		if (!point) {
+			return;
+		}
+		var path = vertex.path;
+		path[vertex.index] = point;
+		if (vertex.closed && vertex.index == 0) {
+			path[path.length - 1] = point;
+		} else if (vertex.closed && vertex.index == path.length - 1) {
+			path[0] = point;
+		}
+		vertex.point = point;
+		this.update_(vertex);
+		ol.interaction.CutModify.handleMoveEvent_.call(this, evt);
+	};
+
+	/**
+	* @param {ol.MapBrowserPointerEvent} evt
+	* @return {boolean} Continue drag sequence?
+	* @this {ol.interaction.CutModify}
+	* @private
+	*/
+	ol.interaction.CutModify.handleUpEvent_ = function (evt) {
+		if (this.vertex_) {
+			this.dispatchEvent({type: 'modifyend', feature: this.vertex_.feature});
+		}
+		this.vertex_ = null;
+		return false;
+	};
+
+	/**
+	* @param {ol.Map} map
+	* @api
+	*/
+	ol.interaction.CutModify.prototype.setMap = function (map) {
+		ol.interaction.Pointer.prototype.setMap.call(this, map);
+		this.overlay_.setMap(map);
+	};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = ol.cut;
+}
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+* ES module of ol-cut for OpenLayers 6+. It does not extend OpenLayers: rotated projections are registered
+* with addCoordinateTransforms of ol/proj, geometries are cut through their flat coordinates (see cut.cutFlat) and rebuilt
+* with the classes of ol/geom. The OpenLayers-free functions of ol-cut.js (ol-cut.core.mjs) are exported as cut.
+*/
+import {addCoordinateTransforms, addProjection, fromLonLat, get as getProjection, getTransform, toLonLat, Projection} from 'ol/proj.js';
+import {GeometryCollection, LineString, MultiLineString, MultiPoint, MultiPolygon, Point, Polygon} from 'ol/geom.js';
+import cut from './ol-cut.core.mjs';
+
+export {cut};
+
+/**
+* Geometry classes by type, for the types which can be cut.
+* @type {Object.<string, function(new: import('ol/geom/Geometry.js').default, Array)>}
+*/
+var geometries = {
+	Point: Point,
+	MultiPoint: MultiPoint,
+	LineString: LineString,
+	MultiLineString: MultiLineString,
+	Polygon: Polygon,
+	MultiPolygon: MultiPolygon
+};
+
+/**
+* Original projections of projections created with rotateProjection, by code.
+* @type {Object.<string, Projection>}
+*/
+var origs = {};
+
+/**
+* Rotates a projection to oblique aspect and registers transform functions between EPSG:4326 and the new projection.
+* @param {import('ol/proj.js').ProjectionLike} projection Original projection.
+* Transform function between EPSG:4326 and this projection must be defined earlier in either OpenLayers or proj4js.
+* @param {number} l0 Longitude of the metapole. Set to zero if you only want to change the midmeridian.
+* @param {number} f0 Latitude of the metapole. Set to 90 if you only want to change the midmeridian.
+* @param {number} lm Metalongitude of the midmeridian.
+* @param {string} rotName SRS of the new, rotated projection.
+* @param {string} metaName SRS of the created metagraticule.
+* @return {Projection} The rotated projection. Use setPole() to change the rotation later.
+* Calling it again with the same projection, rotName and metaName rotates and returns the registered projection.
+* Throws if rotName is registered otherwise.
+*/
+export function rotateProjection(projection, l0, f0, lm, rotName, metaName) {
+	if (!getProjection(metaName)) {
+		addProjection(new Projection({
+			code: metaName,
+			units: 'degrees'
+		}));
+	}
+	var orig = getProjection(projection);
+	if (getProjection(rotName)) {
+		if (origs[rotName] !== orig || cut.getMetaName(rotName) != metaName) {
+			throw new Error('Projection ' + rotName + ' is already registered, not as a rotation of ' + orig.getCode() +
+				' with metagraticule ' + metaName);
+		}
+	} else {
+		addProjection(new Projection({
+			code: rotName,
+			units: orig.getUnits(),
+			extent: orig.getExtent(),
+			global: orig.isGlobal()
+		}));
+	}
+	addCoordinateTransforms(metaName, rotName, function(point) {
+		return fromLonLat(point, orig);
+	}, function(point) {
+		return toLonLat(point, orig);
+	});
+	origs[rotName] = orig;
+	cut.setMetaName(rotName, metaName);
+	setPole(rotName, l0, f0, lm);
+	var interruption = cut.getInterruption(orig);
+	if (interruption) {
+		cut.registerInterruption(rotName, interruption);
+	}
+	return getProjection(rotName);
+}
+
+/**
+* Changes the metapole of a projection created with rotateProjection. Registers the transform functions between EPSG:4326,
+* the metagraticule and the projection again. Features already read have to be read again.
+* @param {import('ol/proj.js').ProjectionLike} projection Rotated projection.
+* @param {number} l0 Longitude of the metapole.
+* @param {number} f0 Latitude of the metapole.
+* @param {number} lm Metalongitude of the midmeridian.
+*/
+export function setPole(projection, l0, f0, lm) {
+	var code = getProjection(projection).getCode();
+	var orig = origs[code];
+	var metaName = cut.getMetaName(code);
+	cut.setMetaPole(metaName, [l0, f0, lm]);
+	addCoordinateTransforms('EPSG:4326', metaName, function(point) {
+		return cut.rotate(point, l0, f0, lm);
+	}, function(point) {
+		return cut.rotate(point, 180 - lm, f0, 180 - l0);
+	});
+	addCoordinateTransforms('EPSG:4326', code, function(point) {
+		return fromLonLat(cut.rotate(point, l0, f0, lm), orig);
+	}, function(point) {
+		return cut.rotate(toLonLat(point, orig), 180 - lm, f0, 180 - l0);
+	});
+}
+
+/**
+* Returns the metapole of a projection created with rotateProjection.
+* @param {import('ol/proj.js').ProjectionLike} projection Rotated projection.
+* @return {Array.<number>} Longitude and latitude of the metapole, metalongitude of the midmeridian.
+*/
+export function getPole(projection) {
+	return cut.getMetaPole(cut.getMetaName(getProjection(projection)));
+}
+
+/**
+* Densifies line strings or rings of coordinates with cut.densify. Any nesting depth of line strings is accepted.
+* @param {Array} coordinates
+* @param {import('ol/proj.js').TransformFunction} transform
+* @param {number} tolerance
+* @param {Array.<ol.cut.CutLine>} cutLines
+* @param {number} e
+* @return {Array}
+*/
+function densifyCoordinates(coordinates, transform, tolerance, cutLines, e) {
+	if (coordinates.length && typeof coordinates[0][0] === 'number') {
+		return cut.densify(coordinates, transform, tolerance, cutLines, e);
+	}
+	return coordinates.map(function (coords) {
+		return densifyCoordinates(coords, transform, tolerance, cutLines, e);
+	});
+}
+
+/**
+* Cuts a geometry given in EPSG:4326 at antimeridian and optional other arbitary lines, and transforms it
+* to featureProjection. Does not modify geometry. Members of GeometryCollections are cut one by one,
+* geometries of other types (Circle) are only transformed.
+* @param {import('ol/geom/Geometry.js').default} geometry
+* @param {Object=} options featureProjection: destination projection (default EPSG:4326),
+* metaName, azimuthal, cutLines, densify, resolution: as in readCutFeatures.
+* @return {import('ol/geom/Geometry.js').default} Cut geometry.
+*/
+export function cutGeometry(geometry, options) {
+	var opts = options || {};
+	var dest = getProjection(opts.featureProjection || 'EPSG:4326').getCode();
+	var metaName = opts.metaName || cut.getMetaName(dest) || 'EPSG:4326';
+	var type = geometry.getType();
+	if (type == 'GeometryCollection') {
+		return new GeometryCollection(geometry.getGeometries().map(function (geom) {
+			return cutGeometry(geom, opts);
+		}));
+	} else if (!(type in geometries)) {
+		return geometry.clone().transform('EPSG:4326', dest);
+	}
+	var cutLines = cut.getCutLines(opts.azimuthal, opts.cutLines, dest);
+	var e = 1e-6;
+	var meta = geometry.clone().transform('EPSG:4326', metaName);
+	var out = cut.cutFlat({
+		type: type,
+		flat: meta.getFlatCoordinates(),
+		ends: type == 'MultiPolygon' ? meta.getEndss() : (type == 'Polygon' || type == 'MultiLineString' ? meta.getEnds() : null),
+		stride: meta.getStride()
+	}, true, null, cutLines, e);
+	if (opts.densify && out.type.indexOf('Point') < 0) {
+		var coordinates = densifyCoordinates(cut.fromFlat(out.type, out.flat, out.ends), getTransform(metaName, dest),
+			opts.densify * (opts.resolution || 1), cutLines, e);
+		return new geometries[out.type](coordinates).transform(metaName, dest);
+	}
+	return new geometries[out.type](Array.prototype.slice.call(out.flat), 'XY', out.ends).transform(metaName, dest);
+}
+
+/**
+* Reads features with format, and cuts them at antimeridian and optional other arbitary lines.
+* @param {import('ol/format/Feature.js').default} format Feature format.
+* @param {Document|Node|Object|string} source Source.
+* @param {Object=} options Read options of format, and also:
+* metaName: SRS of the metagraticule created with rotateProjection. Default is the one created for featureProjection,
+* or EPSG:4326. azimuthal, cutLines: interruptions of the projection, default is the ones registered
+* for featureProjection with cut.registerInterruption. densify, resolution: edges are densified to follow great circles
+* within densify distance in featureProjection units, or in pixels if resolution is also set.
+* onWarning, errorPolicy, topology: as in readCutFeatures of ol-cut.js.
+* @return {Array.<import('ol/Feature.js').default>} Features.
+*/
+export function readCutFeatures(format, source, options) {
+	var opts = {};
+	for (var key in options) {
+		opts[key] = options[key];
+	}
+	var dest = opts.featureProjection || 'EPSG:4326';
+	var onWarning = opts.onWarning;
+	var policy = opts.errorPolicy || 'throw';
+	var cutOptions = {
+		featureProjection: dest,
+		metaName: opts.metaName,
+		azimuthal: opts.azimuthal,
+		cutLines: opts.cutLines,
+		densify: opts.densify,
+		resolution: opts.resolution
+	};
+	opts.featureProjection = 'EPSG:4326';
+	var features = format.readFeatures(source, opts);
+	var out = [];
+	cut.setTopology(!!opts.topology);
+	features.forEach(function (feature) {
+		var geom = feature.getGeometry();
+		cut.setWarningHandler(onWarning ? function (code, details) {
+			onWarning(feature, code, details);
+		} : null);
+		try {
+			feature.setGeometry(geom ? cutGeometry(geom, cutOptions) : geom);
+			out.push(feature);
+		} catch (err) {
+			if (!(err instanceof cut.CutError)) {
+				err = new cut.CutError(cut.CutError.Code.CUT_FAILED, String(err.message || err), {error: err});
+			}
+			cut.warn(err.code, err.details);
+			if (policy == 'keep') {
+				feature.setGeometry(geom ? geom.transform('EPSG:4326', dest) : geom);
+				out.push(feature);
+			} else if (policy != 'skip') {
+				cut.setWarningHandler(null);
+				cut.setTopology(false);
+				throw err;
+			}
+		}
+	});
+	cut.setWarningHandler(null);
+	cut.setTopology(false);
+	return out;
+}
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+* Checks that ol.cut.stitchPolygons joins every piece cut by ol.cut.cutAll, whatever the order of the pieces,
+* also when real vertices lie on a cut line. Uses only the OpenLayers-free functions of ol-cut.js.
+*
+* Usage: node test/stitch.js
+*/
+var assert = require('assert');
+var path = require('path');
+var cut = require(path.join(__dirname, '..', 'ol-cut.js'));
+
+var cutLines = cut.getCutLines(false);
+var e = 1e-6;
+var polygons = {
+	// Several real vertices on the antimeridian
+	A: [[[170, 0], [170, 10], [180, 10], [180, 7], [180, 5], [180, 3], [-170, 3], [-170, 0], [170, 0]]],
+	B: [[[160, 30], [160, 40], [-160, 40], [-160, 30], [160, 30]]],
+	C: [[[160, 50], [160, 60], [-160, 60], [-160, 50], [160, 50]]]
+};
+var pieces = {};
+for (var name in polygons) {
+	pieces[name] = cut.cutAll('Polygon', polygons[name], true, null, cutLines, e).coordinates;
+	assert.strictEqual(pieces[name].length, 2, name + ' is cut in two');
+}
+
+['AB', 'BA', 'AC', 'CA', 'ABC', 'ACB', 'BAC', 'BCA', 'CAB', 'CBA'].forEach(function (order) {
+	var input = [];
+	order.split('').forEach(function (name) {
+		input = input.concat(pieces[name]);
+	});
+	var out = cut.stitchPolygons(input, cutLines, e);
+	assert.strictEqual(out.length, order.length, order + ': every polygon is stitched');
+	var a = out.filter(function (polygon) {
+		return polygon[0].some(function (point) {
+			return point[1] == 7;
+		});
+	});
+	assert.strictEqual(a.length, 1, order + ': A is stitched');
+	assert.deepStrictEqual(a[0][0].filter(function (point) {
+		return Math.abs(point[0]) == 180;
+	}).map(function (point) {
+		return Math.round(point[1] * 1e6) / 1e6;
+	}).sort(function (a, b) {
+		return a - b;
+	}), [0, 3, 3, 5, 7, 10], order + ': vertices of A on the antimeridian are kept');
+});
+process.stdout.write('stitch: ok\n');